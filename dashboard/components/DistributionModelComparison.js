@@ -0,0 +1,78 @@
+// /dashboard/components/DistributionModelComparison.js
+// The same candles profiled with each intrabar volume distribution model, side by side,
+// so the POC (and value area) each model produces can be compared (see volumeProfileService)
+
+import React, { useMemo } from 'react';
+import { BarChart, Bar, XAxis, YAxis, ResponsiveContainer, Cell } from 'recharts';
+import volumeProfileService from '../lib/volumeProfileService';
+import { formatPrice } from '../lib/symbolRegistry';
+
+const PROFILE_ROWS = 40;
+
+// Re-bucket a profile's levels into a fixed number of rows so the four charts line up
+const toRows = (profile, minPrice, maxPrice) => {
+  const step = (maxPrice - minPrice) / PROFILE_ROWS || 1;
+  const rows = Array.from({ length: PROFILE_ROWS }, (_, i) => ({ price: minPrice + (i + 0.5) * step, volume: 0, isPoc: false, inValue: false }));
+
+  profile.levels.forEach(level => {
+    const index = Math.min(PROFILE_ROWS - 1, Math.max(0, Math.floor((level.price - minPrice) / step)));
+    rows[index].volume += level.volume;
+    if (level === profile.poc) rows[index].isPoc = true;
+    if (profile.vah && profile.val && level.price >= profile.val.price && level.price <= profile.vah.price) rows[index].inValue = true;
+  });
+
+  return rows.reverse(); // highest price on top
+};
+
+const DistributionModelComparison = ({ candles, lowerTimeframeCandles = null, timeframe = null, symbol, title = 'Distribution Model Comparison', className = '' }) => {
+  const results = useMemo(() => {
+    if (!candles || candles.length === 0) return [];
+
+    const minPrice = Math.min(...candles.map(candle => candle.low));
+    const maxPrice = Math.max(...candles.map(candle => candle.high));
+    return volumeProfileService.compareDistributionModels(candles, { lowerTimeframeCandles, timeframe })
+      .map(result => ({ ...result, rows: toRows(result.profile, minPrice, maxPrice) }));
+  }, [candles, lowerTimeframeCandles, timeframe]);
+
+  if (results.length === 0) return null;
+
+  return (
+    <div className={`bg-white border rounded-lg p-4 ${className}`}>
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="text-sm font-semibold text-gray-900">{title}</h4>
+        <span className="text-xs text-gray-500">
+          {candles.length} bars{lowerTimeframeCandles ? ` • bars without lower-timeframe data fall back to triangular` : ''}
+        </span>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        {results.map(result => (
+          <div key={result.model}>
+            <div className="text-xs font-medium text-gray-700 mb-1">{result.label}</div>
+            <ResponsiveContainer width="100%" height={180}>
+              <BarChart data={result.rows} layout="vertical" margin={{ top: 0, right: 0, left: 0, bottom: 0 }} barCategoryGap={1}>
+                <XAxis type="number" hide />
+                <YAxis type="category" dataKey="price" hide />
+                <Bar dataKey="volume" isAnimationActive={false}>
+                  {result.rows.map((row, index) => (
+                    <Cell key={index} fill={row.isPoc ? '#2563eb' : row.inValue ? '#93c5fd' : '#e5e7eb'} />
+                  ))}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+            <div className="text-xs text-gray-600 mt-1 space-y-0.5">
+              <div>POC <span className="font-semibold text-blue-700">{result.poc !== null ? formatPrice(symbol, result.poc) : '—'}</span>
+                {result.model !== 'uniform' && result.pocShift !== null && (
+                  <span className="text-gray-500"> ({result.pocShift >= 0 ? '+' : ''}{result.pocShift.toFixed(2)}% vs uniform)</span>
+                )}
+              </div>
+              <div>VA {result.val !== null ? formatPrice(symbol, result.val) : '—'} – {result.vah !== null ? formatPrice(symbol, result.vah) : '—'}</div>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default DistributionModelComparison;
@@ -3,6 +3,15 @@
 import React, { useState, useEffect } from 'react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine, ReferenceArea, ComposedChart, Bar } from 'recharts';
 import { TrendingUp, TrendingDown, Activity, DollarSign, BarChart3, AlertTriangle, Wifi, WifiOff, Target, Eye } from 'lucide-react';
+import requestScheduler from '../lib/requestScheduler';
+import { coinGeckoSimplePriceUrl } from '../lib/marketDataProviders';
+import { getProviderId } from '../lib/symbolRegistry';
+import cryptoDataService from '../lib/cryptoDataService';
+import SimulatedDataBanner from './SimulatedDataBanner';
+import ScoreBreakdown from './ScoreBreakdown';
+import enhancedDataService from '../lib/enhancedDataService';
+
+const COINGECKO_ID = getProviderId('ETHUSDT', 'coingecko');
 
 const DrPaulLiveDashboard = () => {
   const [mounted, setMounted] = useState(false);
@@ -11,6 +20,7 @@ const DrPaulLiveDashboard = () => {
     priceChange24h: 0,
     volume24h: 0,
     isLive: false,
+    simulated: false,
     lastUpdate: new Date(),
     priceHistory: []
   });
@@ -90,70 +100,20 @@ const DrPaulLiveDashboard = () => {
     return structure;
   };
 
-  // Calculate Dr. Paul's Setup Quality (based on his actual criteria)
-  const calculateSetupQuality = (priceHistory, volume24h) => {
-    if (!priceHistory || priceHistory.length < 20) return { score: 0, quality: 'INSUFFICIENT_DATA' };
-    
-    const prices = priceHistory.map(p => p.close);
-    const volumes = priceHistory.map(p => p.volume);
-    const currentPrice = prices[prices.length - 1];
-    
-    let score = 0;
-    const factors = [];
-    
-    // 1. Volume Analysis (Dr. Paul emphasized volume)
-    const avgVolume = volumes.slice(-10).reduce((a, b) => a + b, 0) / 10;
-    const currentVolume = volume24h;
-    const volumeRatio = currentVolume / avgVolume;
-    
-    if (volumeRatio > 1.5) {
-      score += 25;
-      factors.push('High Volume Confirmation');
-    } else if (volumeRatio < 0.7) {
-      score += 10;
-      factors.push('Low Volume (Potential Accumulation)');
-    }
-    
-    // 2. Price Position vs Recent Range
-    const recentHigh = Math.max(...prices.slice(-14));
-    const recentLow = Math.min(...prices.slice(-14));
-    const pricePosition = (currentPrice - recentLow) / (recentHigh - recentLow);
-    
-    // Dr. Paul liked buying near lows (hard trades)
-    if (pricePosition < 0.3) {
-      score += 30;
-      factors.push('Near Recent Lows (Hard Trade)');
-    } else if (pricePosition > 0.7) {
-      score += 15;
-      factors.push('Momentum Play');
-    }
-    
-    // 3. Volatility Analysis  
-    const priceChanges = prices.slice(-10).map((price, i) => 
-      i > 0 ? Math.abs(price - prices[prices.length - 10 + i - 1]) / prices[prices.length - 10 + i - 1] : 0
-    ).slice(1);
-    const avgVolatility = priceChanges.reduce((a, b) => a + b, 0) / priceChanges.length;
-    
-    if (avgVolatility > 0.03) { // High volatility
-      score += 20;
-      factors.push('High Volatility (Opportunity)');
-    }
-    
-    // 4. Trend Context
-    const sma20 = prices.slice(-20).reduce((a, b) => a + b, 0) / 20;
-    const sma50 = prices.slice(-50) ? prices.slice(-50).reduce((a, b) => a + b, 0) / Math.min(50, prices.length) : sma20;
-    
-    if (currentPrice < sma20 && sma20 > sma50) {
-      score += 25; // Pullback in uptrend (Dr. Paul's favorite)
-      factors.push('Pullback in Uptrend');
-    }
-    
-    // Quality rating
-    let quality = 'LOW';
-    if (score >= 70) quality = 'HIGH';
-    else if (score >= 50) quality = 'MEDIUM';
+  // Dr. Paul's Setup Quality; key factors are the ones scoring 70+. Live candles (the full feed) are scored
+  // through the shared data service with its market context, generated ones with their made-up 24h change
+  const calculateSetupQuality = (candles, { simulated, priceChange24h }) => {
+    const result = simulated
+      ? enhancedDataService.analyzeCandles(candles, { priceChange24h }).signals
+      : enhancedDataService.scoreMarket('ETHUSDT', candles);
+    if (!result) return { score: 0, quality: 'INSUFFICIENT_DATA', factors: [], breakdown: [] };
     
-    return { score, quality, factors };
+    return {
+      score: result.overallScore,
+      quality: result.rating,
+      factors: result.factors.filter(factor => factor.score >= 70).map(factor => factor.detail),
+      breakdown: result.factors
+    };
   };
 
   // Calculate Smart Money Activity (based on price/volume relationship)
@@ -204,6 +164,31 @@ const DrPaulLiveDashboard = () => {
     return 'NEUTRAL';
   };
 
+  // 7 days of real hourly closes; generated history only when the providers fail and simulated data is allowed
+  const loadPriceHistory = async (currentPrice) => {
+    try {
+      const { candles } = await cryptoDataService.fetchCandles('ETHUSDT', '1h');
+      return {
+        priceHistory: candles.slice(-168).map(candle => ({
+          timestamp: new Date(candle.timestamp).getTime(),
+          open: candle.open,
+          high: candle.high,
+          low: candle.low,
+          close: candle.close,
+          volume: candle.volume * candle.close // Quote (USD) volume, like the generated series
+        })),
+        candles, // The full feed, for the score
+        simulated: false
+      };
+    } catch (error) {
+      if (!cryptoDataService.isSyntheticFallbackEnabled()) throw error;
+      
+      console.warn(`⚠️ No live hourly candles (${error.message}) - generating history around $${currentPrice}`);
+      const generated = generateHistoricalData(currentPrice);
+      return { priceHistory: generated, candles: generated, simulated: true };
+    }
+  };
+
   // Fetch live market data and calculate everything dynamically
   const fetchMarketData = async () => {
     if (!mounted) return;
@@ -211,30 +196,22 @@ const DrPaulLiveDashboard = () => {
     try {
       console.log('🔄 Fetching ETH price from CoinGecko...');
       
-      // Simple price endpoint (no auth required)
-      const response = await fetch(
-        'https://api.coingecko.com/api/v3/simple/price?ids=ethereum&vs_currencies=usd&include_24hr_vol=true&include_24hr_change=true'
-      );
-      
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      
-      const data = await response.json();
+      // Simple price endpoint (no auth required), shared with the other tabs via the scheduler
+      const data = await requestScheduler.fetchJson(coinGeckoSimplePriceUrl(COINGECKO_ID), { maxAge: 15000 });
       console.log('✅ CoinGecko response:', data);
       
-      if (data?.ethereum) {
-        const currentPrice = data.ethereum.usd;
-        const priceChange24h = data.ethereum.usd_24h_change || 0;
-        const volume24h = data.ethereum.usd_24h_vol || 50000000;
+      const coin = data?.[COINGECKO_ID];
+      if (coin) {
+        const currentPrice = coin.usd;
+        const priceChange24h = coin.usd_24h_change || 0;
+        const volume24h = coin.usd_24h_vol || 50000000;
         
         console.log(`💰 ETH Price: $${currentPrice} (${priceChange24h.toFixed(2)}%)`);
         
-        // Generate historical data for analysis (since market chart endpoint needs auth)
-        const priceHistory = generateHistoricalData(currentPrice);
+        const { priceHistory, candles, simulated } = await loadPriceHistory(currentPrice);
         
         // Calculate all technical indicators
-        const setupAnalysis = calculateSetupQuality(priceHistory, volume24h);
+        const setupAnalysis = calculateSetupQuality(candles, { simulated, priceChange24h });
         const smartMoneyFlow = calculateSmartMoneyFlow(priceHistory);
         const marketStructure = analyzeMarketStructure(priceHistory);
         
@@ -244,6 +221,7 @@ const DrPaulLiveDashboard = () => {
           priceChange24h,
           volume24h,
           isLive: true,
+          simulated,
           lastUpdate: new Date(),
           priceHistory
         });
@@ -259,6 +237,12 @@ const DrPaulLiveDashboard = () => {
         throw new Error('Invalid API response format');
       }
     } catch (error) {
+      if (!cryptoDataService.isSyntheticFallbackEnabled()) {
+        console.log('❌ Market data unavailable and simulated data is disabled:', error.message);
+        setMarketData(prev => ({ ...prev, isLive: false, simulated: false, lastUpdate: new Date() }));
+        return;
+      }
+      
       console.log('❌ CoinGecko API failed, using mock data:', error.message);
       
       // Fallback to realistic mock data
@@ -267,7 +251,7 @@ const DrPaulLiveDashboard = () => {
       const mockVolume = 40000000 + Math.random() * 20000000; // 40-60M
       
       const priceHistory = generateHistoricalData(mockPrice);
-      const setupAnalysis = calculateSetupQuality(priceHistory, mockVolume);
+      const setupAnalysis = calculateSetupQuality(priceHistory, { simulated: true, priceChange24h: mockChange });
       const smartMoneyFlow = calculateSmartMoneyFlow(priceHistory);
       const marketStructure = analyzeMarketStructure(priceHistory);
       
@@ -276,6 +260,7 @@ const DrPaulLiveDashboard = () => {
         priceChange24h: mockChange,
         volume24h: mockVolume,
         isLive: false,
+        simulated: true,
         lastUpdate: new Date(),
         priceHistory
       });
@@ -364,11 +349,16 @@ const DrPaulLiveDashboard = () => {
     );
   }
 
-  const { currentPrice, priceChange24h, volume24h, isLive, lastUpdate } = marketData;
+  const { currentPrice, priceChange24h, volume24h, isLive, simulated, lastUpdate } = marketData;
   const riskLevels = getRiskLevels();
 
   return (
     <div className="min-h-screen bg-gray-50 p-6">
+      <SimulatedDataBanner
+        active={simulated}
+        detail={isLive ? 'The ETH price is live, but the price history behind this analysis is generated and must not be traded.' : undefined}
+      />
+
       {/* Header */}
       <div className="mb-8">
         <div className="flex items-center justify-between">
@@ -398,7 +388,7 @@ const DrPaulLiveDashboard = () => {
             <div>
               <h3 className="font-semibold text-lg mb-2">Dr. Paul's Live Market Assessment</h3>
               <p className="text-sm leading-relaxed">{generateMarketAssessment()}</p>
-              {technicalAnalysis.setupQuality?.factors && (
+              {technicalAnalysis.setupQuality?.factors?.length > 0 && (
                 <div className="mt-3">
                   <strong>Key Factors: </strong>
                   {technicalAnalysis.setupQuality.factors.join(' • ')}
@@ -409,6 +399,13 @@ const DrPaulLiveDashboard = () => {
         </div>
       </div>
 
+      <ScoreBreakdown
+        factors={technicalAnalysis.setupQuality?.breakdown}
+        score={technicalAnalysis.setupQuality?.score}
+        title="Setup Quality Breakdown"
+        className="mb-8"
+      />
+
       {/* Live Market Metrics */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
         <div className="bg-white rounded-lg shadow-md p-6 border-l-4 border-blue-500">
@@ -7,6 +7,11 @@ import { Activity, Target, TrendingUp, TrendingDown, AlertTriangle, Volume2, Eye
 import VolumeProfileService from '../lib/volumeProfileService';
 import enhancedDataService from '../lib/enhancedDataService';
 import cryptoDataService from '../lib/cryptoDataService';
+import SimulatedDataBanner from './SimulatedDataBanner';
+import ScoreBreakdown from './ScoreBreakdown';
+import ScoreHistoryChart from './ScoreHistoryChart';
+import SessionProfiles from './SessionProfiles';
+import { loadTradingSessions } from '../lib/sessionAnchors';
 
 const EnhancedDrPaulDashboard = ({ 
   onTradeSignal,
@@ -68,16 +73,25 @@ const EnhancedDrPaulDashboard = ({
       setDataSource('crypto');
       
       try {
-        cryptoUnsubscribe = cryptoDataService.subscribe('ETHUSDT', '1m', (candleData) => {
+        cryptoUnsubscribe = cryptoDataService.subscribe('ETHUSDT', '1m', (candleData, provenance) => {
           console.log('📊 Crypto data received:', candleData);
           
-          // Transform crypto data to enhanced format
+          if (candleData.length === 0) {
+            setConnectionStatus('ERROR');
+            return;
+          }
+          
+          // Transform crypto data to enhanced format, scored with the same market context as the shared stream
+          const marketContext = enhancedDataService.getMarketContext('ETHUSDT');
+          const priceChange24h = marketContext.priceChange24h;
+          const { candles, signals } = enhancedDataService.analyzeCandles(candleData, marketContext);
           const enhancedData = {
-            historicalData: candleData,
+            historicalData: candles,
             currentPrice: candleData[candleData.length - 1]?.close || 0,
-            priceChange24h: Math.random() * 10 - 5, // Mock for now
+            priceChange24h: priceChange24h || 0,
             volume24h: candleData.reduce((sum, candle) => sum + (candle.volume || 0), 0),
-            drPaulSignals: generateMockDrPaulSignals(candleData),
+            drPaulSignals: signals || {},
+            provenance,
             timestamp: Date.now()
           };
           
@@ -89,27 +103,13 @@ const EnhancedDrPaulDashboard = ({
         console.error('❌ Fallback also failed:', error);
         setConnectionStatus('ERROR');
         
-        // Generate mock data as last resort
-        generateMockData();
+        // Generate mock data as last resort (clearly labelled, and only if simulated data is allowed)
+        if (cryptoDataService.isSyntheticFallbackEnabled()) {
+          generateMockData();
+        }
       }
     }
     
-    function generateMockDrPaulSignals(candleData) {
-      if (!candleData || candleData.length === 0) return {};
-      
-      const currentPrice = candleData[candleData.length - 1]?.close || 3400;
-      
-      return {
-        trend: Math.random() > 0.5 ? 'bullish' : 'bearish',
-        entrySignal: Math.random() > 0.7,
-        signalQuality: Math.floor(Math.random() * 40) + 50, // 50-90%
-        overallScore: Math.floor(Math.random() * 30) + 60, // 60-90%
-        whaleAccumulation: Math.floor(Math.random() * 50) + 40, // 40-90%
-        pullbackOpportunity: Math.floor(Math.random() * 30) + 20, // 20-50%
-        timestamp: Date.now()
-      };
-    }
-    
     function generateMockData() {
       console.log('🎭 Generating mock data for demo...');
       
@@ -126,19 +126,21 @@ const EnhancedDrPaulDashboard = ({
           high: price + Math.random() * 20,
           low: price - Math.random() * 20,
           close: price + (Math.random() - 0.5) * 10,
-          volume: 1000000 + Math.random() * 2000000,
-          ma9: price + Math.random() * 10 - 5,
-          ma21: price + Math.random() * 15 - 7,
-          ma200: price + Math.random() * 30 - 15
+          volume: 1000000 + Math.random() * 2000000
         });
       }
       
+      // Scored by the same engine as live data
+      const priceChange24h = Math.random() * 10 - 5;
+      const { candles, signals } = enhancedDataService.analyzeCandles(mockCandles, { priceChange24h });
+      
       const mockData = {
-        historicalData: mockCandles,
+        historicalData: candles,
         currentPrice: price,
-        priceChange24h: Math.random() * 10 - 5,
+        priceChange24h,
         volume24h: 25000000000,
-        drPaulSignals: generateMockDrPaulSignals(mockCandles),
+        drPaulSignals: signals || {},
+        provenance: { provider: 'mock', simulated: true },
         timestamp: Date.now()
       };
       
@@ -149,12 +151,21 @@ const EnhancedDrPaulDashboard = ({
     }
   }, []);
 
+  // Completed trading sessions go into the level ledger from 15m bars (the 1m window is too short to
+  // hold one); the chart's prior-session POCs are read back from it
+  useEffect(() => {
+    return cryptoDataService.subscribe('ETHUSDT', '15m', (candleData, provenance) => {
+      if (provenance?.simulated || candleData.length === 0) return;
+      VolumeProfileService.updateLevelLedger('ETHUSDT', candleData, { timeframe: '15m', sessions: loadTradingSessions() });
+    });
+  }, []);
+
   // Calculate volume profile analysis when data updates
   useEffect(() => {
     if (liveData && volumeProfileSettings.autoUpdate) {
       const updateVolumeAnalysis = async () => {
         try {
-          const analysis = await VolumeProfileService.updateFromLiveData(liveData);
+          const analysis = await VolumeProfileService.updateFromLiveData(liveData, 'ETHUSDT');
           
           if (analysis) {
             setVolumeAnalysis(analysis);
@@ -208,12 +219,10 @@ const EnhancedDrPaulDashboard = ({
       enhanced.volumeContext = volumeAnalysis.signals.marketContext;
       enhanced.volumeSignals = volumeAnalysis.signals;
       
-      // Boost or reduce signal confidence based on volume levels
+      // Entries near the POC trade at the most accepted price
       if (volumeAnalysis.keyLevels?.poc) {
         const pocDistance = Math.abs(currentPrice - volumeAnalysis.keyLevels.poc.price) / currentPrice * 100;
-        if (pocDistance < 1) { // Near POC
-          enhanced.signalQuality = Math.min(100, (enhanced.signalQuality || 50) + 20);
-        }
+        enhanced.nearPoc = pocDistance < 1;
       }
     }
     
@@ -238,10 +247,10 @@ const EnhancedDrPaulDashboard = ({
       signals.primarySignal = {
         direction: enhancedSignals.trend,
         type: 'DR_PAUL_SETUP',
-        confidence: enhancedSignals.signalQuality || 50
+        confidence: Math.min(100, (enhancedSignals.overallScore ?? 50) + (enhancedSignals.nearPoc ? 20 : 0))
       };
-      signals.confidence = enhancedSignals.overallScore || enhancedSignals.signalQuality || 50;
-      signals.reasoning.push(`Dr. Paul ${enhancedSignals.trend} setup (${enhancedSignals.overallScore || enhancedSignals.signalQuality || 50}%)`);
+      signals.confidence = enhancedSignals.overallScore ?? 50;
+      signals.reasoning.push(`Dr. Paul ${enhancedSignals.trend} setup (${enhancedSignals.overallScore ?? 50}%)`);
     }
 
     // Volume profile enhancement
@@ -301,6 +310,8 @@ const EnhancedDrPaulDashboard = ({
 
   return (
     <div className={`bg-white rounded-lg shadow-lg ${className}`}>
+      <SimulatedDataBanner active={liveData.provenance?.simulated} className="mx-6 mt-6" />
+
       {/* Header */}
       <div className="border-b border-gray-200 p-6">
         <div className="flex items-center justify-between">
@@ -396,7 +407,7 @@ const EnhancedDrPaulDashboard = ({
                   <div>
                     <p className="text-sm text-green-600 font-medium">Dr. Paul Score</p>
                     <p className="text-xl font-bold text-green-900">
-                      {enhancedSignals?.overallScore || enhancedSignals?.signalQuality || 0}%
+                      {enhancedSignals?.overallScore ?? '--'}%
                     </p>
                   </div>
                   <Brain className="w-6 h-6 text-green-600" />
@@ -428,6 +439,8 @@ const EnhancedDrPaulDashboard = ({
               </div>
             </div>
 
+            <ScoreBreakdown factors={enhancedSignals?.factors} score={enhancedSignals?.overallScore} className="border" />
+
             {/* Main Chart */}
             <div className="bg-gray-50 p-4 rounded-lg">
               <h3 className="text-lg font-semibold mb-3">Enhanced Price Action with Volume Levels</h3>
@@ -471,6 +484,17 @@ const EnhancedDrPaulDashboard = ({
                     />
                   )}
 
+                  {/* Prior trading-session POCs carried forward */}
+                  {volumeAnalysis?.priorSessionLevels?.map(level => (
+                    <ReferenceLine
+                      key={level.anchor}
+                      y={level.poc}
+                      stroke="#9CA3AF"
+                      strokeDasharray="2 4"
+                      label={{ value: `${level.label} POC`, position: "left", fontSize: 10 }}
+                    />
+                  ))}
+
                   {/* Moving Averages */}
                   {enhancedChartData[0]?.ma9 && (
                     <Line 
@@ -506,6 +530,8 @@ const EnhancedDrPaulDashboard = ({
               </ResponsiveContainer>
             </div>
 
+            <ScoreHistoryChart symbol="ETHUSDT" timeframe="1m" className="border" />
+
             {/* Status and Data Source Info */}
             <div className="bg-gray-50 p-4 rounded-lg">
               <h3 className="text-lg font-semibold mb-3">System Status</h3>
@@ -534,8 +560,10 @@ const EnhancedDrPaulDashboard = ({
           </div>
         )}
 
+        {activeView === 'VOLUME_PROFILE' && <SessionProfiles symbol="ETHUSDT" />}
+
         {/* Add other views (simplified for now to focus on getting it working) */}
-        {activeView !== 'OVERVIEW' && (
+        {activeView !== 'OVERVIEW' && activeView !== 'VOLUME_PROFILE' && (
           <div className="text-center py-8">
             <h3 className="text-lg font-semibold mb-2">{views.find(v => v.id === activeView)?.name}</h3>
             <p className="text-gray-600">
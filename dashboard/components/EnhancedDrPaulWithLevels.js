@@ -3,8 +3,20 @@
 // Levels determined by actual volume clustering, not arbitrary price percentages
 
 import React, { useState, useEffect, useMemo } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, BarChart, Bar, Cell, ReferenceLine, ComposedChart } from 'recharts';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, BarChart, Bar, Cell, ReferenceLine, ReferenceArea, ComposedChart } from 'recharts';
 import { Activity, Target, TrendingUp, TrendingDown, AlertTriangle, Volume2, Eye, Brain, DollarSign, Signal, Layers, BarChart3 } from 'lucide-react';
+import requestScheduler from '../lib/requestScheduler';
+import { coinGeckoSimplePriceUrl, CANDLE_QUALITY } from '../lib/marketDataProviders';
+import cryptoDataService from '../lib/cryptoDataService';
+import volumeProfileService, { DEFAULT_NODE_SETTINGS } from '../lib/volumeProfileService';
+import { loadTradingSessions } from '../lib/sessionAnchors';
+import { getProviderId } from '../lib/symbolRegistry';
+import SimulatedDataBanner from './SimulatedDataBanner';
+import ScoreBreakdown from './ScoreBreakdown';
+import ScoreHistoryChart from './ScoreHistoryChart';
+import enhancedDataService from '../lib/enhancedDataService';
+
+const COINGECKO_ID = getProviderId('ETHUSDT', 'coingecko');
 
 const EnhancedDrPaulWithLevels = () => {
   const [liveData, setLiveData] = useState(null);
@@ -12,6 +24,15 @@ const EnhancedDrPaulWithLevels = () => {
   const [lastUpdate, setLastUpdate] = useState(Date.now());
   const [dataSource, setDataSource] = useState('live');
   const [activeView, setActiveView] = useState('LEVELS');
+  const [nodeProminence, setNodeProminence] = useState(DEFAULT_NODE_SETTINGS.prominence);
+
+  // Keep the shared ETHUSDT 1m stream running so its score timeline (the chart below) is recorded
+  useEffect(() => enhancedDataService.subscribe('ETHUSDT', () => {}), []);
+
+  // Saved HVN/LVN prominence (localStorage, so read after mount)
+  useEffect(() => {
+    setNodeProminence(volumeProfileService.nodeSettings.prominence);
+  }, []);
 
   // Fetch reliable live data with proper error handling - IMPROVED for live data priority
   useEffect(() => {
@@ -26,29 +47,18 @@ const EnhancedDrPaulWithLevels = () => {
         console.log(`🔌 Fetching live ETH data (attempt ${retryCount + 1}/${maxRetries})...`);
         setConnectionStatus('CONNECTING');
         
-        // Use CoinGecko API directly - most reliable for price data
-        const response = await fetch('https://api.coingecko.com/api/v3/simple/price?ids=ethereum&vs_currencies=usd&include_24hr_change=true&include_24hr_vol=true&include_market_cap=true', {
-          method: 'GET',
-          headers: {
-            'Accept': 'application/json',
-          },
-        });
-        
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-        
-        const data = await response.json();
+        // CoinGecko price via the shared scheduler (coalesced with the other tabs' polls)
+        const data = await requestScheduler.fetchJson(coinGeckoSimplePriceUrl(COINGECKO_ID), { maxAge: 15000 });
         console.log('📡 API Response:', data);
         
-        if (data.ethereum && data.ethereum.usd) {
-          const ethData = data.ethereum;
+        if (data[COINGECKO_ID] && data[COINGECKO_ID].usd) {
+          const ethData = data[COINGECKO_ID];
           const currentPrice = Number(ethData.usd);
           
           console.log(`✅ Live ETH price fetched: $${currentPrice}`);
           
-          // Generate realistic historical candle data around current price
-          const historicalData = generateRealisticCandles(currentPrice, 100);
+          // Real 1m candles; generated ones only when the providers fail and simulated data is allowed
+          const { historicalData, candles, simulated } = await loadCandles(currentPrice);
           
           // Calculate VPVR and VSR levels from volume clustering
           const levels = calculateKeyLevels(historicalData, currentPrice);
@@ -56,6 +66,9 @@ const EnhancedDrPaulWithLevels = () => {
           // Generate volume profile data
           const volumeProfile = generateVolumeProfile(historicalData);
           
+          // Untested prior-session POCs (none while running on generated candles)
+          const nakedPocs = simulated ? { above: null, below: null } : await loadNakedPocs(currentPrice);
+          
           const enhancedData = {
             currentPrice: currentPrice,
             priceChange24h: Number(ethData.usd_24h_change) || 0,
@@ -64,13 +77,15 @@ const EnhancedDrPaulWithLevels = () => {
             historicalData: historicalData,
             keyLevels: levels,
             volumeProfile: volumeProfile,
-            drPaulSignals: generateDrPaulSignals(historicalData, currentPrice),
+            nakedPocs,
+            drPaulSignals: generateDrPaulSignals(candles, { simulated, priceChange24h: Number(ethData.usd_24h_change) }),
+            simulated,
             timestamp: Date.now()
           };
           
           setLiveData(enhancedData);
           setConnectionStatus('CONNECTED');
-          setDataSource('live');
+          setDataSource(simulated ? 'simulated' : 'live');
           setLastUpdate(Date.now());
           retryCount = 0; // Reset retry count on success
           
@@ -87,12 +102,48 @@ const EnhancedDrPaulWithLevels = () => {
           console.log(`🔄 Retrying in ${2000 * retryCount}ms... (${retryCount}/${maxRetries})`);
           setConnectionStatus('RETRYING');
           setTimeout(fetchRealData, 2000 * retryCount); // Exponential backoff
-        } else {
+        } else if (cryptoDataService.isSyntheticFallbackEnabled()) {
           console.log('⚠️ Max retries reached, using demo data with realistic baseline');
           setConnectionStatus('DEMO');
           generateDemoData();
+        } else {
+          console.log('🚫 Max retries reached and simulated data is disabled');
+          setConnectionStatus('ERROR');
+        }
+      }
+    };
+
+    const loadCandles = async (currentPrice) => {
+      try {
+        const { candles } = await cryptoDataService.fetchCandles('ETHUSDT', '1m');
+        return {
+          historicalData: candles.slice(-100).map(candle => ({
+            ...candle,
+            volume: candle.volume * candle.close / 1000000 // Quote volume in millions, the scale the profile uses
+          })),
+          candles, // The full feed, for the score
+          simulated: false
+        };
+      } catch (error) {
+        if (!cryptoDataService.isSyntheticFallbackEnabled()) throw error;
+        
+        console.warn(`⚠️ No live candles (${error.message}) - generating candles around $${currentPrice}`);
+        const generated = generateRealisticCandles(currentPrice, 100);
+        return { historicalData: generated, candles: generated, simulated: true };
+      }
+    };
+
+    // The 1m window is too short to hold a whole session, so the level ledger is fed 15m bars
+    const loadNakedPocs = async (currentPrice) => {
+      try {
+        const { candles, quality } = await cryptoDataService.fetchCandles('ETHUSDT', '15m');
+        if (quality !== CANDLE_QUALITY.SYNTHETIC) {
+          volumeProfileService.updateLevelLedger('ETHUSDT', candles, { timeframe: '15m', sessions: loadTradingSessions() });
         }
+      } catch (error) {
+        console.warn(`⚠️ Level ledger not updated: ${error.message}`);
       }
+      return volumeProfileService.getNakedLevels(volumeProfileService.getLevelLedger('ETHUSDT'), currentPrice, 'POC');
     };
 
     const generateDemoData = () => {
@@ -101,16 +152,18 @@ const EnhancedDrPaulWithLevels = () => {
       const historicalData = generateRealisticCandles(basePrice, 100);
       const levels = calculateKeyLevels(historicalData, basePrice);
       const volumeProfile = generateVolumeProfile(historicalData);
+      const priceChange24h = -1.8; // Realistic recent change
       
       const demoData = {
         currentPrice: basePrice,
-        priceChange24h: -1.8, // Realistic recent change
+        priceChange24h,
         volume24h: 28934000000, // Realistic daily volume ~$29B
         marketCap: 484910000000, // Realistic market cap ~$485B
         historicalData: historicalData,
         keyLevels: levels,
         volumeProfile: volumeProfile,
-        drPaulSignals: generateDrPaulSignals(historicalData, basePrice),
+        drPaulSignals: generateDrPaulSignals(historicalData, { simulated: true, priceChange24h }),
+        simulated: true,
         timestamp: Date.now()
       };
       
@@ -181,21 +234,22 @@ const EnhancedDrPaulWithLevels = () => {
 
   // Calculate VPVR (Volume Profile Visible Range) and VSR (Volume Support/Resistance) levels
   const calculateKeyLevels = (historicalData, currentPrice) => {
-    if (!historicalData || historicalData.length === 0) return { levels: [], currentLevels: {} };
+    if (!historicalData || historicalData.length === 0) return { levels: [], currentLevels: {}, lvnZones: [], thinAirZone: null };
     
     console.log(`📊 Starting VPVR analysis for ${historicalData.length} candles around $${currentPrice.toFixed(2)}`);
     
     // Step 1: Build Volume Profile from historical data
     const volumeProfile = buildVolumeProfile(historicalData);
     
-    // Step 2: Identify significant volume nodes (clusters)
-    const volumeNodes = identifyVolumeNodes(volumeProfile, currentPrice);
+    // Step 2: Peaks (HVNs) and troughs (LVN zones) of the smoothed profile
+    const nodes = volumeProfileService.detectVolumeNodes(volumeProfile, currentPrice);
+    const volumeNodes = identifyVolumeNodes(volumeProfile, currentPrice, nodes);
     
     // Step 3: Calculate support/resistance from volume clustering
     const supportResistanceLevels = calculateVSR(volumeNodes, currentPrice, historicalData);
     
-    console.log(`🎯 VPVR Analysis Complete: ${supportResistanceLevels.levels.length} volume-based levels identified`);
-    return supportResistanceLevels;
+    console.log(`🎯 VPVR Analysis Complete: ${supportResistanceLevels.levels.length} volume-based levels, ${nodes.lvnZones.length} LVN zones${nodes.inThinAir ? ' (price in thin air)' : ''}`);
+    return { ...supportResistanceLevels, lvnZones: nodes.lvnZones, thinAirZone: nodes.thinAirZone };
   };
 
   // Build proper Volume Profile from price/volume data
@@ -235,25 +289,18 @@ const EnhancedDrPaulWithLevels = () => {
     return profileArray;
   };
 
-  // Identify significant volume nodes (clusters) using statistical analysis
-  const identifyVolumeNodes = (volumeProfile, currentPrice) => {
+  // Significant volume nodes (clusters) are the prominent peaks of the smoothed profile
+  const identifyVolumeNodes = (volumeProfile, currentPrice, nodes) => {
     if (volumeProfile.length === 0) return [];
     
-    // Calculate volume statistics
-    const volumes = volumeProfile.map(p => p.volume);
-    const avgVolume = volumes.reduce((sum, v) => sum + v, 0) / volumes.length;
-    const maxVolume = Math.max(...volumes);
-    
-    // Define significance thresholds
-    const highVolumeThreshold = avgVolume * 2; // 2x average volume
-    const extremeVolumeThreshold = maxVolume * 0.4; // 40% of max volume
+    const maxVolume = Math.max(...volumeProfile.map(p => p.volume));
+    const { prominence } = volumeProfileService.nodeSettings;
     
-    // Identify significant nodes
-    const significantNodes = volumeProfile
-      .filter(node => node.volume >= highVolumeThreshold)
+    // Nodes standing out by twice the required prominence are high significance
+    const significantNodes = nodes.hvns
       .map(node => ({
         ...node,
-        significance: node.volume >= extremeVolumeThreshold ? 'HIGH' : 'MEDIUM',
+        significance: node.prominence >= prominence * 2 ? 'HIGH' : 'MEDIUM',
         volumeRatio: (node.volume / maxVolume * 100).toFixed(1),
         distanceFromCurrent: Math.abs(node.price - currentPrice)
       }))
@@ -399,44 +446,36 @@ const EnhancedDrPaulWithLevels = () => {
     return profile.sort((a, b) => b.volume - a.volume).slice(0, 12); // Top 12 volume levels
   };
 
-  const generateDrPaulSignals = (historicalData, currentPrice) => {
-    if (!historicalData || historicalData.length === 0) {
-      return {
-        trend: 'neutral',
-        entrySignal: false,
-        signalQuality: 45,
-        overallScore: 50,
-        whaleAccumulation: 65,
-        pullbackOpportunity: 30
-      };
-    }
-    
-    // Calculate moving averages for trend analysis
-    const last20 = historicalData.slice(-20);
-    const avgPrice = last20.reduce((sum, d) => sum + d.close, 0) / last20.length;
-    const priceAboveAvg = currentPrice > avgPrice;
-    
-    // Volume analysis
-    const recentVolume = last20.slice(-5).reduce((sum, d) => sum + d.volume, 0);
-    const previousVolume = last20.slice(-10, -5).reduce((sum, d) => sum + d.volume, 0);
-    const volumeIncrease = recentVolume > previousVolume;
-    
-    // Generate Dr. Paul's signals
-    const trend = priceAboveAvg ? 'bullish' : 'bearish';
-    const entrySignal = priceAboveAvg && volumeIncrease;
-    const signalQuality = entrySignal ? 75 + Math.random() * 20 : 40 + Math.random() * 30;
+  // Dr. Paul's signals plus the recent volume direction. Live candles (the full feed) are scored through the
+  // shared data service with its market context; generated ones with their made-up 24h change
+  const generateDrPaulSignals = (candles, { simulated, priceChange24h }) => {
+    const result = simulated
+      ? enhancedDataService.analyzeCandles(candles, { priceChange24h }).signals
+      : enhancedDataService.scoreMarket('ETHUSDT', candles);
+    
+    // Volume analysis: last 5 bars against the 5 before
+    const last10 = candles.slice(-10);
+    const recentVolume = last10.slice(-5).reduce((sum, d) => sum + d.volume, 0);
+    const previousVolume = last10.slice(0, -5).reduce((sum, d) => sum + d.volume, 0);
     
     return {
-      trend: trend,
-      entrySignal: entrySignal,
-      signalQuality: Math.round(signalQuality),
-      overallScore: Math.round(signalQuality * 0.9),
-      whaleAccumulation: Math.round(60 + Math.random() * 30),
-      pullbackOpportunity: Math.round(20 + Math.random() * 40),
-      volumeContext: volumeIncrease ? 'INCREASING' : 'DECREASING'
+      trend: result ? result.trend : 'neutral',
+      entrySignal: result ? result.entrySignal : false,
+      overallScore: result ? result.overallScore : null,
+      rating: result ? result.rating : null,
+      whaleAccumulation: result ? result.whaleAccumulation : null,
+      factors: result ? result.factors : [],
+      volumeContext: recentVolume > previousVolume ? 'INCREASING' : 'DECREASING'
     };
   };
 
+  // Re-detect nodes on the loaded candles with a new prominence (saved for the next refreshes too)
+  const changeNodeProminence = (prominence) => {
+    volumeProfileService.setNodeSettings({ prominence });
+    setNodeProminence(prominence);
+    setLiveData(prev => prev && { ...prev, keyLevels: calculateKeyLevels(prev.historicalData, prev.currentPrice) });
+  };
+
   // Chart data for levels visualization - IMPROVED precision
   const levelsChartData = useMemo(() => {
     if (!liveData?.historicalData) return [];
@@ -474,6 +513,12 @@ const EnhancedDrPaulWithLevels = () => {
 
   return (
     <div className="bg-white rounded-lg shadow-lg">
+      <SimulatedDataBanner
+        active={liveData.simulated}
+        detail="Candles, volume levels and signals below are generated around the last known ETH price and must not be traded."
+        className="mx-6 mt-6"
+      />
+
       {/* Header */}
       <div className="border-b border-gray-200 p-6">
         <div className="flex items-center justify-between">
@@ -738,7 +783,33 @@ const EnhancedDrPaulWithLevels = () => {
 
         {/* Price Chart with Volume-Based Levels - FIXED: Separate price and volume axes */}
         <div className="bg-gray-50 p-6 rounded-lg">
-          <h3 className="text-lg font-semibold mb-4">ETH Price Action with Volume-Based Levels</h3>
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold">ETH Price Action with Volume-Based Levels</h3>
+            <label className="text-sm text-gray-600">
+              Node prominence{' '}
+              <select
+                value={nodeProminence}
+                onChange={(e) => changeNodeProminence(Number(e.target.value))}
+                className="ml-1 border rounded px-2 py-1 text-sm"
+              >
+                {[0.05, 0.1, 0.15, 0.25, 0.4].map(value => (
+                  <option key={value} value={value}>{Math.round(value * 100)}% of max</option>
+                ))}
+              </select>
+            </label>
+          </div>
+          {keyLevels.thinAirZone && (
+            <p className="text-sm text-amber-700 -mt-3 mb-3">
+              Price in thin air: inside the low volume zone ${keyLevels.thinAirZone.low.toFixed(2)} - ${keyLevels.thinAirZone.high.toFixed(2)}, expect a fast move to the next volume node
+            </p>
+          )}
+          {(liveData.nakedPocs?.above || liveData.nakedPocs?.below) && (
+            <p className="text-sm text-purple-700 -mt-3 mb-3">
+              Naked POCs:
+              {liveData.nakedPocs.above && ` ↑ $${liveData.nakedPocs.above.price.toFixed(2)} (+${((liveData.nakedPocs.above.price - currentPrice) / currentPrice * 100).toFixed(2)}%)`}
+              {liveData.nakedPocs.below && ` ↓ $${liveData.nakedPocs.below.price.toFixed(2)} (${((liveData.nakedPocs.below.price - currentPrice) / currentPrice * 100).toFixed(2)}%)`}
+            </p>
+          )}
           <ResponsiveContainer width="100%" height={400}>
             <ComposedChart data={levelsChartData}>
               <CartesianGrid strokeDasharray="3 3" />
@@ -763,6 +834,21 @@ const EnhancedDrPaulWithLevels = () => {
                 ]}
               />
               
+              {/* Low volume node zones */}
+              {(keyLevels.lvnZones || []).map(zone => (
+                <ReferenceArea 
+                  key={zone.low}
+                  yAxisId="price"
+                  y1={zone.low} 
+                  y2={zone.high} 
+                  fill="#F59E0B" 
+                  fillOpacity={zone === keyLevels.thinAirZone ? 0.25 : 0.12}
+                  strokeOpacity={0}
+                  ifOverflow="hidden"
+                  label={{ value: 'LVN', position: 'insideLeft', fill: '#B45309', fontSize: 11 }}
+                />
+              ))}
+              
               {/* Volume-Based Level Lines */}
               {currentLevels.nextResistance && (
                 <ReferenceLine 
@@ -792,6 +878,23 @@ const EnhancedDrPaulWithLevels = () => {
                 />
               )}
               
+              {/* Nearest naked (untested) prior-session POCs */}
+              {[liveData.nakedPocs?.above, liveData.nakedPocs?.below].filter(Boolean).map(level => (
+                <ReferenceLine 
+                  key={level.id}
+                  yAxisId="price"
+                  y={level.price} 
+                  stroke="#7C3AED" 
+                  strokeWidth={2}
+                  strokeDasharray="2 4"
+                  ifOverflow="extendDomain"
+                  label={{ 
+                    value: `Naked POC: $${level.price.toFixed(0)} (${level.label} ${new Date(level.sessionStart).toLocaleDateString([], { month: 'short', day: 'numeric', timeZone: 'UTC' })})`, 
+                    position: "insideTopLeft" 
+                  }}
+                />
+              ))}
+              
               {/* Price Line */}
               <Line 
                 yAxisId="price"
@@ -815,13 +918,15 @@ const EnhancedDrPaulWithLevels = () => {
           </ResponsiveContainer>
         </div>
 
+        <ScoreHistoryChart symbol="ETHUSDT" timeframe="1m" className="mt-6 border" />
+
         {/* Dr. Paul's Signals */}
         <div className="grid grid-cols-4 gap-4 mt-6">
           <div className="bg-blue-50 p-4 rounded-lg text-center">
             <Brain className="w-6 h-6 text-blue-600 mx-auto mb-2" />
             <div className="text-sm text-blue-600 font-medium">Dr. Paul Score</div>
             <div className="text-xl font-bold text-blue-900">
-              {drPaulSignals.overallScore}%
+              {drPaulSignals.overallScore ?? '--'}%
             </div>
           </div>
           
@@ -837,7 +942,7 @@ const EnhancedDrPaulWithLevels = () => {
             <Activity className="w-6 h-6 text-purple-600 mx-auto mb-2" />
             <div className="text-sm text-purple-600 font-medium">Whale Activity</div>
             <div className="text-xl font-bold text-purple-900">
-              {drPaulSignals.whaleAccumulation}%
+              {drPaulSignals.whaleAccumulation ?? '--'}%
             </div>
           </div>
           
@@ -849,6 +954,8 @@ const EnhancedDrPaulWithLevels = () => {
             </div>
           </div>
         </div>
+
+        <ScoreBreakdown factors={drPaulSignals.factors} score={drPaulSignals.overallScore} className="mt-6 border" />
       </div>
 
       {/* Footer Status */}
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, BarChart, Bar } from 'recharts';
 import { Play, Pause, RotateCcw, TrendingUp, DollarSign, Target, AlertTriangle } from 'lucide-react';
+import { scoreSeries, getFactor } from '../lib/drPaulScore';
 
 const InteractiveBacktester = () => {
   const [isRunning, setIsRunning] = useState(false);
@@ -26,9 +27,9 @@ const InteractiveBacktester = () => {
 
   const [historicalData, setHistoricalData] = useState([]);
 
-  // Generate simple historical data
+  // Generate simple historical data, scored bar by bar with the shared Dr. Paul engine
   const generateTestData = () => {
-    const data = [];
+    const candles = [];
     let price = 2000;
     const startDate = new Date(settings.startDate);
     
@@ -42,66 +43,65 @@ const InteractiveBacktester = () => {
       }
       
       // More realistic price movement with trends
+      const open = price;
       const trendFactor = Math.sin(i / 100) * 0.001; // Longer trend cycles
       const volatility = (Math.random() - 0.5) * 0.025; // ±2.5% max move
       price = Math.max(1000, price * (1 + trendFactor + volatility));
       
-      // Calculate moving averages for trend detection
-      const lookback = Math.min(i, 20);
-      const recentPrices = data.slice(-lookback).map(d => d.price);
-      const avgPrice = recentPrices.length > 0 ? recentPrices.reduce((sum, p) => sum + p, 0) / recentPrices.length : price;
+      // Wicks beyond the body, and occasional heavy volume (whale activity)
+      const wick = Math.random() * 0.005;
+      const volume = (Math.random() * 0.8 + 0.6) * (Math.random() < 0.1 ? 2.5 : 1) * 1000;
       
-      // Dr. Paul's signal components (more realistic)
-      const isUptrend = price > avgPrice;
-      const isPullback = price < avgPrice && isUptrend;
-      const volatilityHigh = Math.abs(volatility) > 0.015;
-      
-      // Whale accumulation (simulate smart money)
-      let whaleScore = Math.random() * 0.4 + 0.3; // 0.3-0.7 base
-      if (isPullback && Math.random() < 0.3) { // 30% chance of high whale activity on pullbacks
-        whaleScore = Math.random() * 0.3 + 0.7; // 0.7-1.0
-      }
-      
-      // Hard trade score (uncomfortable but profitable setups)
-      let hardTradeScore = 0.2; // Base score
-      if (isPullback) hardTradeScore += 0.4; // Buying weakness in uptrend
-      if (volatilityHigh && isUptrend) hardTradeScore += 0.3; // High vol in uptrend
-      if (whaleScore > 0.7) hardTradeScore += 0.2; // Smart money active
-      if (Math.random() < 0.1) hardTradeScore += 0.3; // Random market fear events
-      
-      // Technical score
-      let technicalScore = 0.3; // Base
-      if (isUptrend) technicalScore += 0.4;
-      if (price > avgPrice * 0.98) technicalScore += 0.3; // Near recent highs
+      candles.push({
+        timestamp,
+        open,
+        high: Math.max(open, price) * (1 + wick),
+        low: Math.min(open, price) * (1 - wick),
+        close: price,
+        volume,
+        volatility
+      });
+    }
+    
+    const scores = scoreSeries(candles);
+    const data = candles.map((candle, i) => {
+      const result = scores[i];
+      const factorScore = (id) => (getFactor(result, id)?.score ?? 0) / 100;
       
-      // Overall signal calculation
-      const overallScore = (hardTradeScore * 0.4) + (whaleScore * 0.3) + (technicalScore * 0.3);
+      // Dr. Paul's signal components
+      const overallScore = result ? result.score / 100 : 0;
+      const hardTradeScore = factorScore('rangePosition');
+      const whaleScore = factorScore('whaleAccumulation');
+      const technicalScore = factorScore('trendContext');
+      const isUptrend = result ? technicalScore >= 0.7 : false; // 21 MA above the 200 MA
+      const isPullback = getFactor(result, 'trendContext')?.detail === 'Pullback in uptrend';
+      const isHardTrade = hardTradeScore === 1; // Near the low of the recent range (vs. easy momentum trades)
       
       // Buy signal logic (Dr. Paul style)
       const buySignal = (
         overallScore > settings.hardTradeThreshold && 
-        hardTradeScore > 0.4 && // Must have some "hard trade" element
+        hardTradeScore > 0.4 && // Hard trade near the lows or momentum near the highs, not mid-range
         isUptrend // Only buy in uptrends
       );
       
-      data.push({
+      return {
         step: i,
-        timestamp: timestamp.toISOString(),
+        timestamp: candle.timestamp.toISOString(),
         timeDisplay: settings.timeFrame === 'hourly' ? 
-          `${timestamp.toLocaleDateString()} ${timestamp.getHours()}:00` :
-          timestamp.toLocaleDateString(),
-        price: Math.round(price * 100) / 100,
-        hardTradeScore: Math.min(1, hardTradeScore),
-        overallScore: Math.min(1, overallScore),
+          `${candle.timestamp.toLocaleDateString()} ${candle.timestamp.getHours()}:00` :
+          candle.timestamp.toLocaleDateString(),
+        price: Math.round(candle.close * 100) / 100,
+        hardTradeScore,
+        overallScore,
         whaleScore,
-        technicalScore: Math.min(1, technicalScore),
+        technicalScore,
         buySignal,
-        isHardTrade: hardTradeScore > 0.6,
+        isHardTrade,
         isUptrend,
         isPullback,
-        volatilityHigh
-      });
-    }
+        volatilityHigh: Math.abs(candle.volatility) > 0.015
+      };
+    });
     
     console.log(`Generated ${data.length} ${settings.timeFrame} data points from ${settings.startDate}`);
     console.log(`Buy signals: ${data.filter(d => d.buySignal).length}`);
@@ -0,0 +1,227 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Radar, TrendingUp, TrendingDown, ArrowUpDown, ChevronRight, Wifi, WifiOff, XCircle } from 'lucide-react';
+import enhancedDataService from '../lib/enhancedDataService';
+import SimulatedDataBanner from './SimulatedDataBanner';
+import { IndicatorSeries } from '../lib/indicators';
+import { listSymbols, getPairLabel, formatPrice } from '../lib/symbolRegistry';
+import { buildIndicatorSpecs, findLatestCrossover, distanceFromTrendMA } from '../lib/scalpingStrategy';
+import { loadStrategySettings, maLabel } from '../lib/strategySettings';
+import { summarizeFactors } from '../lib/drPaulScore';
+
+const SCANNER_TIMEFRAMES = ['1m', '5m', '15m', '30m', '1h'];
+const SIGNAL_LOOKBACK = 60;
+const STRENGTH_RANK = { STRONG: 0, MEDIUM: 1, DEVELOPING: 2 };
+
+// Ranking keys, lower ranks first; rows without a value always sink to the bottom
+const SORT_KEYS = {
+  signal: row => (row.signal ? row.signal.barsAgo * 3 + STRENGTH_RANK[row.signal.strength] : null),
+  distance: row => (row.distanceTrend === null ? null : Math.abs(row.distanceTrend)),
+  score: row => (row.score === null ? null : -row.score)
+};
+
+const ScalpingScanner = ({ onSelect }) => {
+  const [timeframes, setTimeframes] = useState(['5m', '15m']);
+  const [rows, setRows] = useState({});
+  const [sortBy, setSortBy] = useState('signal');
+  const [reverse, setReverse] = useState(false);
+
+  const seriesRef = useRef(new Map());
+
+  // One subscription per symbol x selected timeframe; each keeps its own incremental indicators
+  // built from that symbol's saved strategy parameters. The Dr. Paul score (and its timeline) comes
+  // from the shared data service stream.
+  useEffect(() => {
+    const unsubscribers = [];
+
+    listSymbols().forEach(({ symbol, timeframes: supported }) => {
+      const settings = loadStrategySettings(symbol);
+
+      timeframes.filter(tf => supported.includes(tf)).forEach(timeframe => {
+        const key = `${symbol}_${timeframe}`;
+        seriesRef.current.set(key, new IndicatorSeries(buildIndicatorSpecs(settings)));
+
+        const unsubscribe = enhancedDataService.subscribe(symbol, ({ historicalData: candleData, drPaulSignals: signals, provenance }) => {
+          const base = { key, symbol, timeframe, settings, simulated: Boolean(provenance?.simulated) };
+
+          if (!candleData || candleData.length === 0) {
+            setRows(prev => ({ ...prev, [key]: { ...base, status: 'ERROR', error: provenance?.error, bars: 0, price: null, signal: null, distanceTrend: null, score: null, scoreFactors: [] } }));
+            return;
+          }
+
+          const indicators = seriesRef.current.get(key).update(candleData);
+
+          setRows(prev => ({
+            ...prev,
+            [key]: {
+              ...base,
+              status: 'CONNECTED',
+              bars: candleData.length,
+              price: candleData[candleData.length - 1].close,
+              signal: findLatestCrossover(candleData, indicators, SIGNAL_LOOKBACK, settings),
+              distanceTrend: distanceFromTrendMA(candleData, indicators),
+              score: signals ? signals.overallScore : null,
+              scoreFactors: signals ? signals.factors : []
+            }
+          }));
+        }, timeframe);
+        unsubscribers.push(unsubscribe);
+      });
+    });
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [timeframes]);
+
+  const toggleTimeframe = (timeframe) => {
+    setTimeframes(prev => {
+      if (prev.includes(timeframe)) {
+        return prev.length > 1 ? prev.filter(tf => tf !== timeframe) : prev;
+      }
+      return SCANNER_TIMEFRAMES.filter(tf => tf === timeframe || prev.includes(tf));
+    });
+  };
+
+  const changeSort = (column) => {
+    if (column === sortBy) {
+      setReverse(!reverse);
+    } else {
+      setSortBy(column);
+      setReverse(false);
+    }
+  };
+
+  const visibleRows = Object.values(rows).filter(row => timeframes.includes(row.timeframe));
+  const sortKey = SORT_KEYS[sortBy];
+  const sorted = [...visibleRows].sort((a, b) => {
+    const keyA = sortKey(a);
+    const keyB = sortKey(b);
+    if (keyA === null || keyB === null) return (keyA === null) - (keyB === null);
+    return (keyA - keyB) * (reverse ? -1 : 1);
+  });
+
+  const anySimulated = visibleRows.some(row => row.simulated);
+  const connected = visibleRows.filter(row => row.status === 'CONNECTED').length;
+
+  const SortHeader = ({ column, children }) => (
+    <th className="py-2 px-3 text-right">
+      <button
+        onClick={() => changeSort(column)}
+        className={`inline-flex items-center gap-1 ${sortBy === column ? 'text-blue-600' : 'text-gray-500'} hover:text-blue-800`}
+      >
+        {children}
+        <ArrowUpDown className="w-3 h-3" />
+      </button>
+    </th>
+  );
+
+  return (
+    <div className="max-w-7xl mx-auto p-6 bg-gray-50">
+      <div className="mb-6">
+        <div className="flex items-center gap-3 mb-2">
+          <Radar className="w-8 h-8 text-yellow-500" />
+          <h1 className="text-3xl font-bold text-gray-900">Scalping Scanner</h1>
+          <div className="flex items-center gap-2 text-sm text-gray-600">
+            {connected > 0 ? <Wifi className="w-5 h-5 text-green-500" /> : <WifiOff className="w-5 h-5 text-orange-500" />}
+            {connected} / {visibleRows.length || '--'} streams live
+          </div>
+        </div>
+        <p className="text-gray-600">
+          Every symbol on the selected timeframes, ranked by the latest fast / slow MA crossover, distance from the trend MA and Dr. Paul score. Each symbol uses its saved strategy parameters. Click a row to open the chart.
+        </p>
+      </div>
+
+      <SimulatedDataBanner
+        active={anySimulated}
+        detail="Some rows below are running on generated prices (marked SIM). Their signals and scores must not be traded."
+      />
+
+      <div className="bg-white p-4 rounded-lg shadow-sm mb-6 flex flex-wrap items-center gap-4">
+        <span className="text-sm font-medium text-gray-700">Timeframes</span>
+        {SCANNER_TIMEFRAMES.map(tf => (
+          <label key={tf} className="flex items-center gap-2 text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={timeframes.includes(tf)}
+              onChange={() => toggleTimeframe(tf)}
+            />
+            {tf}
+          </label>
+        ))}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b">
+              <th className="py-2 px-3">Symbol</th>
+              <th className="py-2 px-3">TF</th>
+              <th className="py-2 px-3 text-right">Price</th>
+              <SortHeader column="signal">Latest crossover</SortHeader>
+              <SortHeader column="distance">vs trend MA</SortHeader>
+              <SortHeader column="score">Dr. Paul score</SortHeader>
+              <th className="py-2 px-3" />
+            </tr>
+          </thead>
+          <tbody>
+            {sorted.map(row => (
+              <tr
+                key={row.key}
+                onClick={() => onSelect && onSelect(row.symbol, row.timeframe)}
+                className="border-b last:border-0 hover:bg-blue-50 cursor-pointer"
+              >
+                <td className="py-2 px-3 font-semibold text-gray-900">
+                  {getPairLabel(row.symbol)}
+                  {row.simulated && <span className="ml-2 px-1.5 py-0.5 text-xs font-bold bg-amber-200 text-amber-900 rounded">SIM</span>}
+                </td>
+                <td className="py-2 px-3 text-gray-600">{row.timeframe}</td>
+                <td className="py-2 px-3 text-right">
+                  {row.price === null ? '--' : `$${formatPrice(row.symbol, row.price)}`}
+                </td>
+                <td className="py-2 px-3 text-right">
+                  {row.status === 'ERROR' ? (
+                    <span className="inline-flex items-center gap-1 text-red-600" title={row.error || ''}>
+                      <XCircle className="w-4 h-4" /> No data
+                    </span>
+                  ) : row.signal ? (
+                    <span className={`inline-flex items-center gap-1 ${row.signal.type === 'LONG' ? 'text-green-600' : 'text-red-600'}`}>
+                      {row.signal.type === 'LONG' ? <TrendingUp className="w-4 h-4" /> : <TrendingDown className="w-4 h-4" />}
+                      {row.signal.type} • {row.signal.strength}
+                      <span className="text-gray-500">
+                        {row.signal.barsAgo === 0 ? ' • this bar' : ` • ${row.signal.barsAgo} bars ago`}
+                      </span>
+                    </span>
+                  ) : (
+                    <span className="text-gray-400">
+                      {row.bars < row.settings.minHistory ? `Need ${row.settings.minHistory}+ bars` : `None in ${SIGNAL_LOOKBACK} bars`}
+                    </span>
+                  )}
+                </td>
+                <td
+                  title={maLabel(row.settings.trend)}
+                  className={`py-2 px-3 text-right ${row.distanceTrend > 0 ? 'text-green-600' : row.distanceTrend < 0 ? 'text-red-600' : 'text-gray-400'}`}
+                >
+                  {row.distanceTrend === null ? '--' : `${row.distanceTrend >= 0 ? '+' : ''}${row.distanceTrend.toFixed(2)}%`}
+                </td>
+                <td
+                  title={summarizeFactors(row.scoreFactors)}
+                  className={`py-2 px-3 text-right font-semibold ${row.score >= 70 ? 'text-green-600' : row.score !== null && row.score < 50 ? 'text-red-600' : 'text-gray-700'}`}
+                >
+                  {row.score === null ? '--' : `${row.score.toFixed(0)}%`}
+                </td>
+                <td className="py-2 px-3 text-gray-400">
+                  <ChevronRight className="w-4 h-4" />
+                </td>
+              </tr>
+            ))}
+            {sorted.length === 0 && (
+              <tr>
+                <td colSpan={7} className="py-8 text-center text-gray-500">Connecting to {listSymbols().length} symbols...</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ScalpingScanner;
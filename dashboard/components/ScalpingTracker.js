@@ -1,11 +1,34 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, ResponsiveContainer, ReferenceLine } from 'recharts';
-import { TrendingUp, TrendingDown, AlertTriangle, Target, Zap, DollarSign, Wifi, WifiOff, BarChart3, XCircle } from 'lucide-react';
+import { TrendingUp, TrendingDown, AlertTriangle, Target, Zap, DollarSign, Wifi, WifiOff, BarChart3, XCircle, Settings } from 'lucide-react';
 import cryptoDataService from '../lib/cryptoDataService';
+import requestScheduler from '../lib/requestScheduler';
+import SimulatedDataBanner from './SimulatedDataBanner';
+import ScoreHistoryChart from './ScoreHistoryChart';
+import { IndicatorSeries } from '../lib/indicators';
+import { listSymbols, getDisplaySymbol, getPairLabel, getSymbolTimeframes, formatPrice } from '../lib/symbolRegistry';
+import signalOutcomeTracker, { OUTCOME_STATUS } from '../lib/signalOutcomeTracker';
+import { buildTradePlan, loadRiskSettings, saveRiskSettings, DEFAULT_RISK_SETTINGS } from '../lib/riskManagement';
+import { buildIndicatorSpecs, TREND_STATES, detectCrossover, trendState, trendStateAt, evaluateConfluence } from '../lib/scalpingStrategy';
+import { DEFAULT_STRATEGY_SETTINGS, MA_TYPES, loadStrategySettings, saveStrategySettings, resetStrategySettings, hasCustomStrategy, maLabel } from '../lib/strategySettings';
+import alertService from '../lib/alertService';
+import { TIMEFRAME_MINUTES } from '../lib/resampler';
+import enhancedDataService from '../lib/enhancedDataService';
 
-const ScalpingTracker = () => {
-  const [symbol, setSymbol] = useState('ETHUSDT');
-  const [timeframe, setTimeframe] = useState('1m');
+const HTF_OPTIONS = ['5m', '15m', '30m', '1h', '4h', '1d'];
+const MAX_SIGNALS = 5;
+
+// Account risk with the symbol's stop/target rules on top
+const tradePlanSettings = (strategy, risk = loadRiskSettings()) => ({
+  ...risk,
+  stopLossAtrMultiple: strategy.stopLossAtrMultiple,
+  takeProfitRatio: strategy.takeProfitRatio,
+  swingLookback: strategy.swingLookback
+});
+
+const ScalpingTracker = ({ initialSymbol = 'ETHUSDT', initialTimeframe = '1m' }) => {
+  const [symbol, setSymbol] = useState(initialSymbol);
+  const [timeframe, setTimeframe] = useState(initialTimeframe);
   const [priceData, setPriceData] = useState([]);
   const [currentPrice, setCurrentPrice] = useState(0);
   const [signals, setSignals] = useState([]);
@@ -13,141 +36,157 @@ const ScalpingTracker = () => {
   const [connectionStatus, setConnectionStatus] = useState('CONNECTING');
   const [connectionError, setConnectionError] = useState(null);
   const [priceChange24h, setPriceChange24h] = useState(0);
+  const [storedBars, setStoredBars] = useState(0);
+  const [simulated, setSimulated] = useState(false);
+  const [allowSynthetic, setAllowSynthetic] = useState(true);
+  const [riskSettings, setRiskSettings] = useState(DEFAULT_RISK_SETTINGS);
+  const [outcomes, setOutcomes] = useState([]);
+  const [higherTimeframes, setHigherTimeframes] = useState(['15m', '30m', '1h']);
+  const [htfStates, setHtfStates] = useState({});
+  const [htfAgreeOnly, setHtfAgreeOnly] = useState(false);
+  const [strategy, setStrategy] = useState(DEFAULT_STRATEGY_SETTINGS);
+  const [customStrategy, setCustomStrategy] = useState(false);
+  const [showStrategyPanel, setShowStrategyPanel] = useState(false);
   
   const unsubscribeRef = useRef(null);
   const signalHistoryRef = useRef([]);
+  const strategyRef = useRef(DEFAULT_STRATEGY_SETTINGS);
+  const indicatorsRef = useRef(new IndicatorSeries(buildIndicatorSpecs()));
+  const lastFeedRef = useRef(null);
+  const htfRef = useRef({});
+
+  // Selected higher timeframes that are above the chart timeframe and offered for the symbol
+  const activeHigherTimeframes = useMemo(() => higherTimeframes.filter(tf =>
+    TIMEFRAME_MINUTES[tf] > TIMEFRAME_MINUTES[timeframe] && getSymbolTimeframes(symbol).includes(tf)
+  ), [higherTimeframes, timeframe, symbol]);
 
-  // Calculate moving averages (adaptive to available data)
-  const calculateEMA = (data, period) => {
-    if (data.length < period) return data.map(() => null);
+  // Detect the entry signal on bar `index` (the latest bar unless replaying history)
+  const detectEntrySignals = (data, indicators, index = data.length - 1) => {
+    const settings = strategyRef.current;
+    const signals = [];
     
-    const multiplier = 2 / (period + 1);
-    const ema = [];
+    const crossover = detectCrossover(data, indicators, index, settings);
+    if (!crossover) return signals;
     
-    // Start with SMA for first value
-    const sma = data.slice(0, period).reduce((sum, val) => sum + val.close, 0) / period;
-    ema.push(sma);
+    // Check for new signals (avoid duplicates)
+    const recentSignals = signalHistoryRef.current.filter(
+      s => new Date(crossover.timestamp) - new Date(s.timestamp) < settings.cooldownMinutes * 60000
+    );
+    if (recentSignals.some(s => s.type.includes(crossover.type))) return signals;
+    
+    // Higher-timeframe trend as of the signal bar
+    const states = {};
+    Object.entries(htfRef.current).forEach(([tf, htf]) => {
+      states[tf] = htf?.candles ? trendStateAt(htf.candles, htf.indicators, crossover.timestamp, tf) : TREND_STATES.UNKNOWN;
+    });
     
-    for (let i = period; i < data.length; i++) {
-      const currentEMA = (data[i].close * multiplier) + (ema[ema.length - 1] * (1 - multiplier));
-      ema.push(currentEMA);
+    const signal = {
+      type: crossover.type,
+      strength: crossover.strength,
+      reason: crossover.reason,
+      price: crossover.price,
+      timestamp: crossover.timestamp,
+      confluence: evaluateConfluence(crossover.type, states),
+      plan: buildTradePlan({
+        symbol,
+        side: crossover.type,
+        entry: crossover.price,
+        atr: indicators.atr[index],
+        candles: data.slice(0, index + 1),
+        settings: tradePlanSettings(settings)
+      })
+    };
+    signals.push(signal);
+    signalHistoryRef.current.push(signal);
+    
+    // Keep signal history manageable
+    if (signalHistoryRef.current.length > 50) {
+      signalHistoryRef.current = signalHistoryRef.current.slice(-25);
     }
     
-    return data.map((_, index) => index < period - 1 ? null : ema[index - period + 1]);
-  };
-
-  const calculateSMA = (data, period) => {
-    return data.map((_, index) => {
-      if (index < period - 1) return null;
-      const slice = data.slice(index - period + 1, index + 1);
-      return slice.reduce((sum, val) => sum + val.close, 0) / period;
-    });
+    return signals;
   };
 
-  // Detect entry signals (adaptive to available data)
-  const detectEntrySignals = (data, ema9, sma21, sma200) => {
-    const signals = [];
-    const latest = data.length - 1;
+  // Indicators, chart data and signals for a candle update; `replay` rebuilds the signal list from history
+  const processCandles = (candleData, provenance, { replay = false } = {}) => {
+    const settings = strategyRef.current;
     
-    // Adaptive signal detection - work with whatever data we have
-    const minDataForSignals = Math.min(25, data.length - 1); // Need at least 25 candles OR use all available
+    // Moving averages and ATR - only the appended/revised bar is recomputed
+    const indicators = indicatorsRef.current.update(candleData);
+    const { fast, slow, trend } = indicators;
     
-    if (latest < minDataForSignals || latest < 21) {
-      console.log(`⚠️ Need more data for reliable signals: ${data.length} candles (working with available data)`);
-      return signals;
-    }
+    // Enrich data with moving averages
+    const enrichedData = candleData.map((item, index) => ({
+      ...item,
+      fast: fast[index],
+      slow: slow[index],
+      trend: trend[index]
+    }));
     
-    const currentPrice = data[latest].close;
-    const prevPrice = data[latest - 1].close;
-    const currentEMA9 = ema9[latest];
-    const prevEMA9 = ema9[latest - 1];
-    const currentSMA21 = sma21[latest];
-    const prevSMA21 = sma21[latest - 1];
-    const sma200Current = sma200[latest];
+    setPriceData(enrichedData);
     
-    // Skip null values
-    if (!currentEMA9 || !prevEMA9 || !currentSMA21 || !prevSMA21) {
-      return signals;
+    if (replay) {
+      signalHistoryRef.current = [];
+      const replayed = [];
+      candleData.forEach((candle, index) => {
+        replayed.push(...detectEntrySignals(candleData, indicators, index));
+      });
+      setSignals(replayed.slice(-MAX_SIGNALS).reverse().map(signal => ({ ...signal, replayed: true })));
+      return;
     }
     
-    // Check for new signals (avoid duplicates)
-    const currentTime = data[latest].timestamp;
-    const recentSignals = signalHistoryRef.current.filter(
-      s => new Date(currentTime) - new Date(s.timestamp) < 300000 // 5 minutes
-    );
-    
-    // Bullish signals - EMA/MA crossover
-    if (currentEMA9 > prevEMA9 && prevEMA9 <= prevSMA21 && currentEMA9 > currentSMA21) {
-      const hasRecentLong = recentSignals.some(s => s.type.includes('LONG'));
-      if (!hasRecentLong) {
-        // Determine signal strength based on available indicators
-        let strength = 'MEDIUM';
-        if (sma200Current && currentPrice > sma200Current) {
-          strength = 'STRONG'; // Price above 200 MA
-        } else if (data.length < 200) {
-          strength = 'DEVELOPING'; // Not enough data for 200 MA
-        }
-        
-        const signal = {
-          type: 'LONG',
-          strength: strength,
-          reason: '9 EMA crossed above 21 MA',
-          price: currentPrice,
-          timestamp: currentTime,
-          stopLoss: currentPrice * 0.995, // 0.5% stop
-          takeProfit: currentPrice * 1.015 // 1.5% target (3:1 RR)
-        };
-        signals.push(signal);
-        signalHistoryRef.current.push(signal);
-      }
+    // Follow earlier signals through the new bars, then detect new ones
+    const live = !provenance?.simulated;
+    if (live) {
+      signalOutcomeTracker.update(symbol, timeframe, candleData);
     }
     
-    // Bearish signals - EMA/MA crossover
-    if (currentEMA9 < prevEMA9 && prevEMA9 >= prevSMA21 && currentEMA9 < currentSMA21) {
-      const hasRecentShort = recentSignals.some(s => s.type.includes('SHORT'));
-      if (!hasRecentShort) {
-        let strength = 'MEDIUM';
-        if (sma200Current && currentPrice < sma200Current) {
-          strength = 'STRONG'; // Price below 200 MA
-        } else if (data.length < 200) {
-          strength = 'DEVELOPING'; // Not enough data for 200 MA
-        }
-        
-        const signal = {
-          type: 'SHORT',
-          strength: strength,
-          reason: '9 EMA crossed below 21 MA',
-          price: currentPrice,
-          timestamp: currentTime,
-          stopLoss: currentPrice * 1.005, // 0.5% stop
-          takeProfit: currentPrice * 0.985 // 1.5% target (3:1 RR)
-        };
-        signals.push(signal);
-        signalHistoryRef.current.push(signal);
-      }
+    if (candleData.length < settings.minHistory) {
+      console.log(`⚠️ Need more data for reliable signals: ${candleData.length}/${settings.minHistory} candles (working with available data)`);
+      return;
     }
     
-    // Keep signal history manageable
-    if (signalHistoryRef.current.length > 50) {
-      signalHistoryRef.current = signalHistoryRef.current.slice(-25);
+    const newSignals = detectEntrySignals(candleData, indicators);
+    if (newSignals.length > 0) {
+      // Simulated prices would skew the track record, so only live signals are followed
+      if (live) {
+        newSignals.forEach(signal => {
+          signal.outcomeId = signalOutcomeTracker.track(signal, { symbol, timeframe })?.id;
+        });
+      }
+      console.log(`🎯 New ${newSignals[0].type} signal for ${symbol} at $${formatPrice(symbol, newSignals[0].price)}`);
+      setSignals(prevSignals => [...newSignals, ...prevSignals.slice(0, MAX_SIGNALS - 1)]); // Keep the last MAX_SIGNALS signals
     }
-    
-    return signals;
   };
+  
+  // The feed callback outlives renders, so it calls the latest processCandles through a ref
+  const processCandlesRef = useRef(processCandles);
+  processCandlesRef.current = processCandles;
 
   useEffect(() => {
     setConnectionStatus('CONNECTING');
     setConnectionError(null);
     console.log(`🔄 ScalpingTracker connecting to ${symbol}...`);
     
+    // Parameters are per symbol
+    strategyRef.current = loadStrategySettings(symbol);
+    setStrategy(strategyRef.current);
+    setCustomStrategy(hasCustomStrategy(symbol));
+    indicatorsRef.current = new IndicatorSeries(buildIndicatorSpecs(strategyRef.current));
+    lastFeedRef.current = null;
+    
     // Subscribe to real-time data
-    const unsubscribe = cryptoDataService.subscribe(symbol, timeframe, (candleData) => {
+    const unsubscribe = cryptoDataService.subscribe(symbol, timeframe, (candleData, provenance) => {
       console.log(`📊 ScalpingTracker received ${candleData.length} candles for ${symbol}`);
+      setSimulated(Boolean(provenance?.simulated));
       
       if (!candleData || candleData.length === 0) {
-        setConnectionError(`No data available for ${symbol}`);
+        setConnectionError(provenance?.error
+          ? `No live data for ${symbol} (${provenance.error}) - simulated fallback is disabled`
+          : `No data available for ${symbol}`);
         setConnectionStatus('ERROR');
         setPriceData([]);
+        lastFeedRef.current = null;
         return;
       }
       
@@ -165,21 +204,9 @@ const ScalpingTracker = () => {
       console.log(`✅ ScalpingTracker processing ${candleData.length} candles`);
       setConnectionError(null);
       setConnectionStatus('CONNECTED');
+      lastFeedRef.current = { candles: candleData, provenance };
       
-      // Calculate moving averages (adaptive)
-      const ema9 = calculateEMA(candleData, 9);
-      const sma21 = calculateSMA(candleData, 21);
-      const sma200 = calculateSMA(candleData, 200);
-      
-      // Enrich data with moving averages
-      const enrichedData = candleData.map((item, index) => ({
-        ...item,
-        ema9: ema9[index],
-        sma21: sma21[index],
-        sma200: sma200[index]
-      }));
-      
-      setPriceData(enrichedData);
+      processCandlesRef.current(candleData, provenance);
       
       // Update current price and stats
       const latestCandle = candleData[candleData.length - 1];
@@ -192,13 +219,6 @@ const ScalpingTracker = () => {
       }
       
       setLastUpdate(new Date());
-      
-      // Detect new signals with available data
-      const newSignals = detectEntrySignals(candleData, ema9, sma21, sma200);
-      if (newSignals.length > 0) {
-        console.log(`🎯 New ${newSignals[0].type} signal for ${symbol} at $${newSignals[0].price.toFixed(4)}`);
-        setSignals(prevSignals => [...newSignals, ...prevSignals.slice(0, 4)]); // Keep last 5 signals
-      }
     });
     
     unsubscribeRef.current = unsubscribe;
@@ -211,6 +231,129 @@ const ScalpingTracker = () => {
     };
   }, [symbol, timeframe]);
 
+  // The shared data service scores this pair and records its score timeline while the tracker is open
+  useEffect(() => enhancedDataService.subscribe(symbol, () => {}, timeframe), [symbol, timeframe]);
+
+  // Follow the trend state of each selected higher timeframe
+  useEffect(() => {
+    htfRef.current = {};
+    setHtfStates({});
+    
+    const unsubscribers = activeHigherTimeframes.map(tf => {
+      htfRef.current[tf] = { series: new IndicatorSeries(buildIndicatorSpecs(strategyRef.current)), candles: null, indicators: null };
+      
+      return cryptoDataService.subscribe(symbol, tf, (candleData, provenance) => {
+        const htf = htfRef.current[tf];
+        if (!htf) return;
+        
+        if (!candleData || candleData.length === 0 || provenance?.simulated) {
+          htf.candles = null;
+          setHtfStates(prev => ({ ...prev, [tf]: TREND_STATES.UNKNOWN }));
+          return;
+        }
+        
+        htf.candles = candleData;
+        htf.indicators = htf.series.update(candleData);
+        setHtfStates(prev => ({ ...prev, [tf]: trendState(htf.indicators, candleData.length - 1) }));
+      });
+    });
+    
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [symbol, activeHigherTimeframes]);
+
+  // Switch to new parameters and recompute everything from the candles already loaded
+  const applyStrategy = (settings) => {
+    strategyRef.current = settings;
+    setStrategy(settings);
+    setCustomStrategy(hasCustomStrategy(symbol));
+    indicatorsRef.current = new IndicatorSeries(buildIndicatorSpecs(settings));
+    
+    const states = {};
+    Object.entries(htfRef.current).forEach(([tf, htf]) => {
+      htf.series = new IndicatorSeries(buildIndicatorSpecs(settings));
+      if (htf.candles) {
+        htf.indicators = htf.series.update(htf.candles);
+        states[tf] = trendState(htf.indicators, htf.candles.length - 1);
+      }
+    });
+    setHtfStates(prev => ({ ...prev, ...states }));
+    
+    if (lastFeedRef.current) {
+      processCandles(lastFeedRef.current.candles, lastFeedRef.current.provenance, { replay: true });
+    }
+  };
+
+  // Persist a strategy parameter for this symbol, e.g. { fast: { period: 12 } }
+  const updateStrategy = (overrides) => {
+    applyStrategy(saveStrategySettings(symbol, overrides));
+  };
+
+  const resetStrategy = () => {
+    applyStrategy(resetStrategySettings(symbol));
+  };
+
+  // Refresh the persisted history count once data for the pair has loaded
+  useEffect(() => {
+    if (connectionStatus !== 'CONNECTED') return;
+    cryptoDataService.getStoredCandleCount(symbol, timeframe).then(setStoredBars);
+  }, [symbol, timeframe, connectionStatus]);
+
+  // Saved settings only exist in the browser, so read them after mount
+  useEffect(() => {
+    setAllowSynthetic(cryptoDataService.isSyntheticFallbackEnabled());
+    setRiskSettings(loadRiskSettings());
+    setHigherTimeframes(alertService.settings.scalping.timeframes);
+    setOutcomes([...signalOutcomeTracker.getRecords()]);
+    return signalOutcomeTracker.subscribe(records => setOutcomes([...records]));
+  }, []);
+
+  // Higher timeframes are shared with the scalping alert settings
+  const toggleHigherTimeframe = (tf) => {
+    const next = higherTimeframes.includes(tf)
+      ? higherTimeframes.filter(value => value !== tf)
+      : HTF_OPTIONS.filter(value => value === tf || higherTimeframes.includes(value));
+    alertService.saveSettings({ scalping: { ...alertService.settings.scalping, timeframes: next } });
+    setHigherTimeframes(next);
+  };
+
+  // Persist a risk setting and re-size the signals already on screen
+  const updateRiskSetting = (key, value) => {
+    if (!Number.isFinite(value) || value <= 0) return;
+    const settings = saveRiskSettings({ [key]: value });
+    setRiskSettings(settings);
+    setSignals(prevSignals => prevSignals.map(signal => ({
+      ...signal,
+      plan: signal.plan && buildTradePlan({
+        symbol,
+        side: signal.type.startsWith('LONG') ? 'LONG' : 'SHORT',
+        entry: signal.price,
+        atr: signal.plan.atr,
+        swing: signal.plan.swing,
+        settings: tradePlanSettings(strategyRef.current, settings)
+      })
+    })));
+  };
+
+  const toggleSyntheticFallback = (enabled) => {
+    cryptoDataService.setSyntheticFallbackEnabled(enabled);
+    setAllowSynthetic(enabled);
+  };
+
+  const purgeStoredHistory = async () => {
+    if (!window.confirm(`Delete all stored ${getDisplaySymbol(symbol)} candles (every timeframe)?`)) return;
+    await cryptoDataService.purgeStoredCandles(symbol);
+    setStoredBars(0);
+  };
+
+  // Keep the timeframe if the new symbol offers it, otherwise fall back to its first one
+  const handleSymbolChange = (nextSymbol) => {
+    const timeframes = getSymbolTimeframes(nextSymbol);
+    if (!timeframes.includes(timeframe)) {
+      setTimeframe(timeframes[0]);
+    }
+    setSymbol(nextSymbol);
+  };
+
   // Cleanup on unmount
   useEffect(() => {
     return () => {
@@ -246,21 +389,6 @@ const ScalpingTracker = () => {
     }
   };
 
-  // Get display symbol name
-  const getDisplaySymbol = (symbol) => {
-    const symbolMap = {
-      'ETHUSDT': 'ETH',
-      'BTCUSDT': 'BTC', 
-      'SOLUSDT': 'SOL',
-      'AVAXUSDT': 'AVAX',
-      'LINKUSDT': 'LINK',
-      'DOTUSDT': 'DOT',
-      'ASTERUSDT': 'ASTER',
-      'HYPEUSDT': 'HYPE'
-    };
-    return symbolMap[symbol] || symbol.replace('USDT', '');
-  };
-
   // Get timeframe display text
   const getTimeframeDisplay = (tf) => {
     const timeframeMap = {
@@ -269,13 +397,17 @@ const ScalpingTracker = () => {
       '5m': '5 Minutes',
       '15m': '15 Minutes',
       '30m': '30 Minutes',
-      '1h': '1 Hour'
+      '1h': '1 Hour',
+      '4h': '4 Hours',
+      '1d': '1 Day'
     };
     return timeframeMap[tf] || tf;
   };
 
   const latestData = priceData[priceData.length - 1];
-  const trendDirection = latestData && latestData.ema9 && latestData.sma21 && latestData.ema9 > latestData.sma21 ? 'UP' : 'DOWN';
+  const trendDirection = latestData && latestData.fast && latestData.slow && latestData.fast > latestData.slow ? 'UP' : 'DOWN';
+  const { fast: fastMa, slow: slowMa, trend: trendMa } = strategy;
+  const periodLabel = ({ type, period }) => `${period} Period ${type === 'sma' ? 'MA' : type.toUpperCase()}`;
   const recentChange = priceData.length > 1 ? 
     ((priceData[priceData.length - 1].close - priceData[priceData.length - 2].close) / priceData[priceData.length - 2].close) * 100 : 0;
 
@@ -304,6 +436,13 @@ const ScalpingTracker = () => {
   };
 
   const connectionDisplay = getConnectionDisplay();
+  const visibleSignals = htfAgreeOnly ? signals.filter(signal => signal.confluence?.agrees) : signals;
+  const outcomeStats = signalOutcomeTracker.getStats({ symbol, timeframe }, outcomes);
+  const outcomeById = new Map(outcomes.map(record => [record.id, record]));
+  const formatR = (value) => (value === null ? '--' : `${value >= 0 ? '+' : ''}${value.toFixed(2)}R`);
+  const formatDuration = (ms) => (ms === null ? '--' : ms >= 3600000 ? `${(ms / 3600000).toFixed(1)}h` : `${Math.round(ms / 60000)}m`);
+  const dataSource = cryptoDataService.getDataSource(symbol, timeframe);
+  const requestStats = requestScheduler.getStats().providers;
 
   return (
     <div className="max-w-7xl mx-auto p-6 bg-gray-50 min-h-screen">
@@ -322,6 +461,8 @@ const ScalpingTracker = () => {
         <p className="text-gray-600">Real-time scalping signals • Multi-timeframe analysis • Professional moving averages</p>
       </div>
 
+      <SimulatedDataBanner active={simulated} />
+
       {/* Error Display */}
       {connectionError && (
         <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg">
@@ -345,11 +486,35 @@ const ScalpingTracker = () => {
           </div>
           <div className="text-blue-700 text-sm mt-1">
             Working with {priceData.length} data points • {getTimeframeDisplay(timeframe)} •
-            {priceData.length >= 200 ? ' Full analysis available' : 
-             priceData.length >= 21 ? ' Medium-term signals available' :
-             priceData.length >= 9 ? ' Short-term signals available' :
+            {priceData.length >= trendMa.period ? ' Full analysis available' : 
+             priceData.length >= Math.max(slowMa.period, strategy.minHistory) ? ' Medium-term signals available' :
+             priceData.length >= fastMa.period ? ' Short-term signals available' :
              ' Basic price tracking only'}
           </div>
+          {dataSource && (
+            <div className={`text-xs mt-1 ${dataSource.quality === 'native' ? 'text-blue-600' : 'text-orange-600'}`}>
+              Source: {dataSource.provider} • {dataSource.quality} OHLCV
+              {dataSource.quality !== 'native' && ' (volume-based readings are estimates)'}
+            </div>
+          )}
+          <div className="flex items-center justify-between text-xs text-blue-600 mt-1">
+            <span>
+              Stored history: {storedBars} {dataSource?.baseTimeframe || timeframe} bars
+              {Object.entries(requestStats).map(([provider, stats]) => (
+                <span key={provider} className={stats.backoffMs > 0 ? 'text-orange-600' : ''}>
+                  {' • '}{provider} {stats.sentInWindow}/{stats.budget} req/min{stats.queued > 0 && `, ${stats.queued} queued`}
+                </span>
+              ))}
+            </span>
+            {storedBars > 0 && (
+              <button
+                onClick={purgeStoredHistory}
+                className="text-red-600 hover:text-red-800 underline"
+              >
+                Purge {getDisplaySymbol(symbol)}
+              </button>
+            )}
+          </div>
         </div>
       )}
 
@@ -359,15 +524,12 @@ const ScalpingTracker = () => {
           <label className="block text-sm font-medium text-gray-700 mb-2">Symbol</label>
           <select 
             value={symbol}
-            onChange={(e) => setSymbol(e.target.value)}
+            onChange={(e) => handleSymbolChange(e.target.value)}
             className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
           >
-            <option value="ETHUSDT">ETH/USDT</option>
-            <option value="BTCUSDT">BTC/USDT</option>
-            <option value="SOLUSDT">SOL/USDT</option>
-            <option value="AVAXUSDT">AVAX/USDT</option>
-            <option value="LINKUSDT">LINK/USDT</option>
-            <option value="DOTUSDT">DOT/USDT</option>
+            {listSymbols().map(({ symbol: value }) => (
+              <option key={value} value={value}>{getPairLabel(value)}</option>
+            ))}
           </select>
         </div>
         
@@ -378,13 +540,18 @@ const ScalpingTracker = () => {
             onChange={(e) => setTimeframe(e.target.value)}
             className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
           >
-            <option value="1m">1 Minute</option>
-            <option value="3m">3 Minutes</option>
-            <option value="5m">5 Minutes</option>
-            <option value="15m">15 Minutes</option>
-            <option value="30m">30 Minutes</option>
-            <option value="1h">1 Hour</option>
+            {getSymbolTimeframes(symbol).map(tf => (
+              <option key={tf} value={tf}>{getTimeframeDisplay(tf)}</option>
+            ))}
           </select>
+          <label className="flex items-center gap-2 mt-2 text-xs text-gray-600">
+            <input
+              type="checkbox"
+              checked={allowSynthetic}
+              onChange={(e) => toggleSyntheticFallback(e.target.checked)}
+            />
+            Use simulated data when live data fails
+          </label>
         </div>
 
         <div className="bg-white p-4 rounded-lg shadow-sm">
@@ -408,31 +575,200 @@ const ScalpingTracker = () => {
         </div>
       </div>
 
+      {/* Higher-Timeframe Confluence - timeframes shared with the scalping alert settings */}
+      <div className="bg-white p-4 rounded-lg shadow-sm mb-6">
+        <div className="flex items-center justify-between mb-3">
+          <div className="flex items-center gap-2 text-sm font-medium text-gray-700">
+            <BarChart3 className="w-4 h-4" />
+            Higher-Timeframe Confluence
+          </div>
+          <label className="flex items-center gap-2 text-xs text-gray-600">
+            <input
+              type="checkbox"
+              checked={htfAgreeOnly}
+              onChange={(e) => setHtfAgreeOnly(e.target.checked)}
+            />
+            Only show signals that agree with the higher timeframes
+          </label>
+        </div>
+        <div className="flex flex-wrap gap-3 text-sm">
+          {HTF_OPTIONS.map(tf => {
+            const available = TIMEFRAME_MINUTES[tf] > TIMEFRAME_MINUTES[timeframe] && getSymbolTimeframes(symbol).includes(tf);
+            const state = htfStates[tf];
+            return (
+              <label key={tf} className={`flex items-center gap-2 px-2 py-1 rounded border ${available ? 'border-gray-200' : 'border-gray-100 opacity-40'}`}>
+                <input
+                  type="checkbox"
+                  disabled={!available}
+                  checked={higherTimeframes.includes(tf)}
+                  onChange={() => toggleHigherTimeframe(tf)}
+                />
+                {tf}
+                {available && higherTimeframes.includes(tf) && (
+                  <span className={`text-xs font-semibold ${
+                    state === TREND_STATES.BULL || state === TREND_STATES.LEAN_BULL ? 'text-green-600' :
+                    state === TREND_STATES.BEAR || state === TREND_STATES.LEAN_BEAR ? 'text-red-600' : 'text-gray-400'
+                  }`}>
+                    {state ? state.replace('_', ' ') : '...'}
+                  </span>
+                )}
+              </label>
+            );
+          })}
+        </div>
+        <div className="text-xs text-gray-500 mt-2">
+          Trend per timeframe from the {maLabel(fastMa)} / {maLabel(slowMa)} / {maLabel(trendMa)} stack. Confluence is 100% when every higher timeframe is fully stacked with the signal, 0% when all are stacked against it.
+        </div>
+      </div>
+
+      {/* Strategy Parameters - saved per symbol, applied to the loaded candles immediately */}
+      <div className="bg-white p-4 rounded-lg shadow-sm mb-6">
+        <div className="flex items-center justify-between">
+          <button
+            onClick={() => setShowStrategyPanel(!showStrategyPanel)}
+            className="flex items-center gap-2 text-sm font-medium text-gray-700 hover:text-blue-700"
+          >
+            <Settings className="w-4 h-4" />
+            Strategy Parameters for {getDisplaySymbol(symbol)}
+            <span className="text-xs font-normal text-gray-500">
+              {maLabel(fastMa)} / {maLabel(slowMa)} / {maLabel(trendMa)}{customStrategy ? ' • custom' : ' • defaults'}
+            </span>
+          </button>
+          {customStrategy && (
+            <button
+              onClick={resetStrategy}
+              className="text-xs text-red-600 hover:text-red-800 underline"
+            >
+              Reset to defaults
+            </button>
+          )}
+        </div>
+        {showStrategyPanel && (
+          <div className="mt-4 space-y-4 text-sm">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              {[
+                { role: 'fast', label: 'Fast MA (signal line)' },
+                { role: 'slow', label: 'Slow MA (crossed line)' },
+                { role: 'trend', label: 'Trend MA (strength filter)' }
+              ].map(({ role, label }) => (
+                <div key={role} className="text-gray-600">
+                  {label}
+                  <div className="flex gap-2 mt-1">
+                    <select
+                      value={strategy[role].type}
+                      onChange={(e) => updateStrategy({ [role]: { type: e.target.value } })}
+                      className="p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    >
+                      {MA_TYPES.map(type => (
+                        <option key={type} value={type}>{type.toUpperCase()}</option>
+                      ))}
+                    </select>
+                    <input
+                      type="number"
+                      min={1}
+                      step={1}
+                      value={strategy[role].period}
+                      onChange={(e) => {
+                        const period = parseInt(e.target.value, 10);
+                        if (period >= 1) updateStrategy({ [role]: { period } });
+                      }}
+                      className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  </div>
+                </div>
+              ))}
+            </div>
+            <div className="grid grid-cols-2 md:grid-cols-6 gap-4">
+              {[
+                { key: 'cooldownMinutes', label: 'Cooldown (min)', step: 1, integer: true },
+                { key: 'minHistory', label: 'Min history (bars)', step: 1, integer: true },
+                { key: 'atrPeriod', label: 'ATR period', step: 1, integer: true },
+                { key: 'stopLossAtrMultiple', label: 'Stop (× ATR)', step: 0.1 },
+                { key: 'takeProfitRatio', label: 'Target (× risk)', step: 0.1 },
+                { key: 'swingLookback', label: 'Swing lookback (bars)', step: 1, integer: true }
+              ].map(({ key, label, step, integer }) => (
+                <label key={key} className="block text-gray-600">
+                  {label}
+                  <input
+                    type="number"
+                    min={integer ? 1 : 0}
+                    step={step}
+                    value={strategy[key]}
+                    onChange={(e) => {
+                      const value = integer ? parseInt(e.target.value, 10) : parseFloat(e.target.value);
+                      if (Number.isFinite(value) && value > 0) updateStrategy({ [key]: value });
+                    }}
+                    className="mt-1 w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </label>
+              ))}
+            </div>
+            {fastMa.period >= slowMa.period && (
+              <div className="text-xs text-orange-600">
+                The fast MA period should be shorter than the slow MA period, otherwise crossovers lag instead of lead.
+              </div>
+            )}
+            <div className="text-xs text-gray-500">
+              Changes are saved for {getDisplaySymbol(symbol)} only and rebuild the chart and the signal list from the loaded history.
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Risk Settings - defaults mirror trading: in config.example.yaml */}
+      <div className="bg-white p-4 rounded-lg shadow-sm mb-6">
+        <div className="flex items-center gap-2 text-sm font-medium text-gray-700 mb-3">
+          <DollarSign className="w-4 h-4" />
+          Risk Settings
+          <span className="text-xs font-normal text-gray-500">(all symbols - stop and target rules are in the strategy parameters)</span>
+        </div>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+          {[
+            { key: 'accountBalance', label: 'Account balance ($)', step: 100, scale: 1 },
+            { key: 'riskPerTrade', label: 'Risk per trade (%)', step: 0.1, scale: 100 },
+            { key: 'maxPositionSize', label: 'Max position (% of balance)', step: 5, scale: 100 },
+            { key: 'minTradeSize', label: 'Min trade size ($)', step: 1, scale: 1 }
+          ].map(({ key, label, step, scale }) => (
+            <label key={key} className="block text-gray-600">
+              {label}
+              <input
+                type="number"
+                min={0}
+                step={step}
+                value={+(riskSettings[key] * scale).toFixed(4)}
+                onChange={(e) => updateRiskSetting(key, parseFloat(e.target.value) / scale)}
+                className="mt-1 w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+            </label>
+          ))}
+        </div>
+      </div>
+
       {/* Market Overview - Adaptive to data available */}
-      {connectionStatus === 'CONNECTED' && priceData.length >= 9 && (
+      {connectionStatus === 'CONNECTED' && priceData.length >= fastMa.period && (
         <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
           <div className="bg-white p-4 rounded-lg shadow-sm border-l-4 border-blue-500">
-            <div className="text-sm text-gray-600 mb-1">9 Period EMA</div>
+            <div className="text-sm text-gray-600 mb-1">{periodLabel(fastMa)}</div>
             <div className="text-lg font-semibold text-blue-600">
-              {latestData?.ema9 ? `$${latestData.ema9.toFixed(4)}` : 'Calculating...'}
+              {latestData?.fast ? `$${formatPrice(symbol, latestData.fast)}` : 'Calculating...'}
             </div>
             <div className="text-xs text-gray-500">Fast trend indicator</div>
           </div>
 
           <div className="bg-white p-4 rounded-lg shadow-sm border-l-4 border-orange-500">
-            <div className="text-sm text-gray-600 mb-1">21 Period MA</div>
+            <div className="text-sm text-gray-600 mb-1">{periodLabel(slowMa)}</div>
             <div className="text-lg font-semibold text-orange-600">
-              {latestData?.sma21 ? `$${latestData.sma21.toFixed(4)}` : 
-               priceData.length >= 21 ? 'Calculating...' : `Need ${21 - priceData.length}+ more`}
+              {latestData?.slow ? `$${formatPrice(symbol, latestData.slow)}` : 
+               priceData.length >= slowMa.period ? 'Calculating...' : `Need ${slowMa.period - priceData.length}+ more`}
             </div>
             <div className="text-xs text-gray-500">Medium trend filter</div>
           </div>
 
           <div className="bg-white p-4 rounded-lg shadow-sm border-l-4 border-purple-500">
-            <div className="text-sm text-gray-600 mb-1">200 Period MA</div>
+            <div className="text-sm text-gray-600 mb-1">{periodLabel(trendMa)}</div>
             <div className="text-lg font-semibold text-purple-600">
-              {latestData?.sma200 ? `$${latestData.sma200.toFixed(4)}` : 
-               priceData.length >= 200 ? 'Calculating...' : `Need ${200 - priceData.length}+ more`}
+              {latestData?.trend ? `$${formatPrice(symbol, latestData.trend)}` : 
+               priceData.length >= trendMa.period ? 'Calculating...' : `Need ${trendMa.period - priceData.length}+ more`}
             </div>
             <div className="text-xs text-gray-500">Long-term trend</div>
           </div>
@@ -441,9 +777,9 @@ const ScalpingTracker = () => {
             <div className="text-sm text-gray-600 mb-1">Market Trend</div>
             <div className={`text-lg font-semibold flex items-center gap-2 ${trendDirection === 'UP' ? 'text-green-600' : 'text-red-600'}`}>
               {trendDirection === 'UP' ? <TrendingUp className="w-5 h-5" /> : <TrendingDown className="w-5 h-5" />}
-              {latestData?.ema9 && latestData?.sma21 ? trendDirection : 'ANALYZING'}
+              {latestData?.fast && latestData?.slow ? trendDirection : 'ANALYZING'}
             </div>
-            <div className="text-xs text-gray-500">EMA vs MA direction</div>
+            <div className="text-xs text-gray-500">{maLabel(fastMa)} vs {maLabel(slowMa)} direction</div>
           </div>
         </div>
       )}
@@ -469,7 +805,7 @@ const ScalpingTracker = () => {
                   stroke="#666"
                   fontSize={12}
                   domain={['dataMin - 0.01', 'dataMax + 0.01']}
-                  tickFormatter={(value) => `$${value.toFixed(currentPrice < 1 ? 4 : 2)}`}
+                  tickFormatter={(value) => `$${formatPrice(symbol, value)}`}
                 />
                 <Line 
                   type="monotone" 
@@ -479,34 +815,34 @@ const ScalpingTracker = () => {
                   dot={false}
                   name="Price"
                 />
-                {priceData.length >= 9 && (
+                {priceData.length >= fastMa.period && (
                   <Line 
                     type="monotone" 
-                    dataKey="ema9" 
+                    dataKey="fast" 
                     stroke="#3b82f6" 
                     strokeWidth={2}
                     dot={false}
-                    name="9 EMA"
+                    name={maLabel(fastMa)}
                   />
                 )}
-                {priceData.length >= 21 && (
+                {priceData.length >= slowMa.period && (
                   <Line 
                     type="monotone" 
-                    dataKey="sma21" 
+                    dataKey="slow" 
                     stroke="#f59e0b" 
                     strokeWidth={2}
                     dot={false}
-                    name="21 MA"
+                    name={maLabel(slowMa)}
                   />
                 )}
-                {priceData.length >= 200 && (
+                {priceData.length >= trendMa.period && (
                   <Line 
                     type="monotone" 
-                    dataKey="sma200" 
+                    dataKey="trend" 
                     stroke="#8b5cf6" 
                     strokeWidth={1.5}
                     dot={false}
-                    name="200 MA"
+                    name={maLabel(trendMa)}
                   />
                 )}
               </LineChart>
@@ -515,17 +851,20 @@ const ScalpingTracker = () => {
         </div>
       )}
 
+      <ScoreHistoryChart symbol={symbol} timeframe={timeframe} className="mb-6" />
+
       {/* Entry Signals - Adaptive */}
       <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
         <h3 className="text-lg font-semibold mb-4 flex items-center gap-2">
           <Target className="w-5 h-5" />
-          Recent {getDisplaySymbol(symbol)} Entry Signals ({signals.length} active)
+          Recent {getDisplaySymbol(symbol)} Entry Signals ({visibleSignals.length} active
+          {htfAgreeOnly && signals.length > visibleSignals.length && `, ${signals.length - visibleSignals.length} against higher timeframes hidden`})
         </h3>
         
-        {connectionStatus === 'CONNECTED' && priceData.length >= 21 ? (
-          signals.length > 0 ? (
+        {connectionStatus === 'CONNECTED' && priceData.length >= strategy.minHistory ? (
+          visibleSignals.length > 0 ? (
             <div className="space-y-3">
-              {signals.map((signal, index) => (
+              {visibleSignals.map((signal, index) => (
                 <div 
                   key={`${signal.timestamp}-${index}`}
                   className={`p-4 rounded-lg border-2 ${getSignalColor(signal.type)}`}
@@ -545,18 +884,59 @@ const ScalpingTracker = () => {
                           </span>
                         </div>
                         <div className="text-sm opacity-80">{signal.reason}</div>
+                        {signal.confluence && signal.confluence.breakdown.length > 0 && (
+                          <div className="flex flex-wrap items-center gap-1 mt-1 text-xs">
+                            <span className="font-medium">
+                              HTF confluence {signal.confluence.score === null ? '--' : `${signal.confluence.score}%`}
+                            </span>
+                            {signal.confluence.breakdown.map(({ timeframe: tf, state, agreement }) => (
+                              <span
+                                key={tf}
+                                className={`px-1.5 py-0.5 rounded ${
+                                  agreement === null ? 'bg-gray-100 text-gray-500' :
+                                  agreement > 0 ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+                                }`}
+                              >
+                                {tf} {state.replace('_', ' ')}
+                              </span>
+                            ))}
+                          </div>
+                        )}
                       </div>
                     </div>
                     <div className="text-right">
-                      <div className="font-semibold">${signal.price.toFixed(currentPrice < 1 ? 4 : 2)}</div>
+                      <div className="font-semibold">${formatPrice(symbol, signal.price)}</div>
                       <div className="text-xs opacity-60">
                         {new Date(signal.timestamp).toLocaleTimeString()}
+                        {signal.replayed && ' • from history'}
                       </div>
-                      {signal.stopLoss && (
+                      {outcomeById.has(signal.outcomeId) && (
+                        <div className="text-xs font-semibold">
+                          {outcomeById.get(signal.outcomeId).status === OUTCOME_STATUS.OPEN
+                            ? 'OPEN'
+                            : `${outcomeById.get(signal.outcomeId).status} ${formatR(outcomeById.get(signal.outcomeId).rMultiple)}`}
+                        </div>
+                      )}
+                      {signal.plan ? (
                         <div className="text-xs mt-1 space-y-0.5">
-                          <div className="text-red-600">SL: ${signal.stopLoss.toFixed(currentPrice < 1 ? 4 : 2)}</div>
-                          <div className="text-green-600">TP: ${signal.takeProfit.toFixed(currentPrice < 1 ? 4 : 2)}</div>
+                          <div className="text-red-600">
+                            SL: ${formatPrice(symbol, signal.plan.stopLoss)}
+                            <span className="opacity-60"> ({signal.plan.stopSource === 'swing' ? 'swing' : `${strategy.stopLossAtrMultiple}× ATR`})</span>
+                          </div>
+                          <div className="text-green-600">TP: ${formatPrice(symbol, signal.plan.takeProfit)}</div>
+                          <div className="text-gray-700">R:R 1:{signal.plan.riskReward.toFixed(2)}</div>
+                          <div className="text-gray-700">
+                            Size: {signal.plan.quantity.toFixed(signal.plan.quantityDecimals)} {signal.plan.baseAsset}
+                            {' '}(${signal.plan.positionValue.toFixed(0)})
+                          </div>
+                          <div className={signal.plan.capped || signal.plan.belowMinimum ? 'text-orange-600' : 'text-gray-500'}>
+                            Risk ${signal.plan.riskAmount.toFixed(2)}
+                            {signal.plan.capped && ' • capped by max position'}
+                            {signal.plan.belowMinimum && ' • below min trade size'}
+                          </div>
                         </div>
+                      ) : (
+                        <div className="text-xs mt-1 text-gray-500">ATR warming up - no stop yet</div>
                       )}
                     </div>
                   </div>
@@ -579,13 +959,74 @@ const ScalpingTracker = () => {
             <div className="text-sm">
               {connectionStatus === 'ERROR' 
                 ? 'Cannot generate signals without market data.' 
-                : `Need 21+ data points for signals (have ${priceData.length})`
+                : `Need ${strategy.minHistory}+ data points for signals (have ${priceData.length})`
               }
             </div>
           </div>
         )}
       </div>
 
+      {/* Signal Outcomes - how followed signals actually resolved */}
+      <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold flex items-center gap-2">
+            <BarChart3 className="w-5 h-5" />
+            {getDisplaySymbol(symbol)} {timeframe} Signal Outcomes
+          </h3>
+          <div className="flex items-center gap-3 text-xs text-gray-500">
+            <span>
+              {outcomeStats.overall.resolved} resolved • {outcomeStats.overall.open} open • expire after {signalOutcomeTracker.expiryBars} bars
+            </span>
+            {outcomeStats.overall.total > 0 && (
+              <button
+                onClick={() => signalOutcomeTracker.clear({ symbol, timeframe })}
+                className="text-red-600 hover:text-red-800 underline"
+              >
+                Reset
+              </button>
+            )}
+          </div>
+        </div>
+        {outcomeStats.overall.total > 0 ? (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-2">Strength</th>
+                  <th className="py-2 text-right">Signals</th>
+                  <th className="py-2 text-right">TP / SL / Exp</th>
+                  <th className="py-2 text-right">Win rate</th>
+                  <th className="py-2 text-right">Avg R</th>
+                  <th className="py-2 text-right">Expectancy</th>
+                  <th className="py-2 text-right">MAE / MFE</th>
+                  <th className="py-2 text-right">Avg time</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[...Object.entries(outcomeStats.byStrength), ['ALL', outcomeStats.overall]].map(([strength, stats]) => (
+                  <tr key={strength} className={`border-b last:border-0 ${strength === 'ALL' ? 'font-semibold' : ''}`}>
+                    <td className="py-2">{strength}</td>
+                    <td className="py-2 text-right">{stats.total}</td>
+                    <td className="py-2 text-right">{stats.targets} / {stats.stops} / {stats.expired}</td>
+                    <td className="py-2 text-right">{stats.winRate === null ? '--' : `${(stats.winRate * 100).toFixed(0)}%`}</td>
+                    <td className={`py-2 text-right ${stats.avgR > 0 ? 'text-green-600' : stats.avgR < 0 ? 'text-red-600' : ''}`}>{formatR(stats.avgR)}</td>
+                    <td className="py-2 text-right">{stats.expectancy === null ? '--' : `$${stats.expectancy.toFixed(2)}`}</td>
+                    <td className="py-2 text-right">
+                      {stats.avgMAE === null ? '--' : `${stats.avgMAE.toFixed(2)}R / ${stats.avgMFE.toFixed(2)}R`}
+                    </td>
+                    <td className="py-2 text-right">{formatDuration(stats.avgTimeToResolutionMs)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div className="text-center py-4 text-sm text-gray-500">
+            No {getDisplaySymbol(symbol)} {timeframe} signals followed yet. Signals on live data are tracked until they hit the stop, the target or expire.
+          </div>
+        )}
+      </div>
+
       {/* Real-time Stats Footer */}
       <div className="bg-gradient-to-r from-blue-50 to-indigo-50 p-6 rounded-lg">
         <h4 className="font-semibold mb-4 flex items-center gap-2">
@@ -596,18 +1037,18 @@ const ScalpingTracker = () => {
           <div>
             <strong className="text-green-700">Long Entry Conditions:</strong>
             <ul className="list-disc list-inside mt-2 space-y-1">
-              <li>9 EMA crosses above 21 MA (momentum shift)</li>
-              <li>Price above 200 MA = STRONG | Limited data = DEVELOPING</li>
-              <li>Risk: 0.5% | Target: 1.5% (3:1 reward/risk)</li>
+              <li>{maLabel(fastMa)} crosses above {maLabel(slowMa)} (momentum shift)</li>
+              <li>Price above {maLabel(trendMa)} = STRONG | Limited data = DEVELOPING</li>
+              <li>Stop: below the recent swing low, at least {strategy.stopLossAtrMultiple}× ATR({strategy.atrPeriod}) | Target: {strategy.takeProfitRatio}× risk</li>
               <li>Works with 1m to 1h timeframes</li>
             </ul>
           </div>
           <div>
             <strong className="text-red-700">Short Entry Conditions:</strong>
             <ul className="list-disc list-inside mt-2 space-y-1">
-              <li>9 EMA crosses below 21 MA (momentum shift)</li>
-              <li>Price below 200 MA = STRONG | Limited data = DEVELOPING</li>
-              <li>Risk: 0.5% | Target: 1.5% (3:1 reward/risk)</li>
+              <li>{maLabel(fastMa)} crosses below {maLabel(slowMa)} (momentum shift)</li>
+              <li>Price below {maLabel(trendMa)} = STRONG | Limited data = DEVELOPING</li>
+              <li>Stop: above the recent swing high, at least {strategy.stopLossAtrMultiple}× ATR({strategy.atrPeriod}) | Target: {strategy.takeProfitRatio}× risk</li>
               <li>Adaptive analysis for all timeframes</li>
             </ul>
           </div>
@@ -0,0 +1,91 @@
+// /dashboard/components/ScoreBreakdown.js
+// Waterfall of a Dr. Paul score: each factor's contribution stacked up to the final score,
+// with the raw value, normalized score and weight behind every step (see lib/drPaulScore)
+
+import React from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Cell } from 'recharts';
+import { formatFactorValue, rateScore, SCORE_THRESHOLDS } from '../lib/drPaulScore';
+
+const barColor = (score) => (score >= 70 ? '#16a34a' : score >= 40 ? '#f59e0b' : '#dc2626');
+
+// thresholds: the rating bands for the header (a view with custom alert thresholds passes its own)
+const ScoreBreakdown = ({ factors, score, thresholds = SCORE_THRESHOLDS, title = 'Why this score', className = '' }) => {
+  if (!factors || factors.length === 0) return null;
+
+  // Each step floats on the running total; the last bar is the score itself
+  let running = 0;
+  const steps = factors.map(factor => {
+    const step = { name: factor.label, base: running, points: factor.contribution, color: barColor(factor.score), factor };
+    running += factor.contribution;
+    return step;
+  });
+  steps.push({ name: 'Score', base: 0, points: running, color: '#2563eb', factor: null });
+
+  const renderTooltip = ({ active, payload }) => {
+    if (!active || !payload || payload.length === 0) return null;
+    const { factor, points } = payload[0].payload;
+    return (
+      <div className="bg-white border rounded shadow p-2 text-xs">
+        {factor ? (
+          <>
+            <div className="font-semibold">{factor.label}</div>
+            <div>{factor.detail}</div>
+            <div>Raw: {formatFactorValue(factor)} • Normalized: {factor.score}/100</div>
+            <div>Weight: {(factor.appliedWeight * 100).toFixed(1)}% • +{points.toFixed(1)} pts</div>
+          </>
+        ) : (
+          <div className="font-semibold">Score {score ?? Math.round(points)}</div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className={`bg-white p-4 rounded-lg shadow-sm ${className}`}>
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-semibold text-gray-900">{title}</h3>
+        {score !== null && score !== undefined && (
+          <span className="text-sm font-semibold text-blue-700">{score}/100 • {rateScore(score, thresholds)}</span>
+        )}
+      </div>
+
+      <ResponsiveContainer width="100%" height={220}>
+        <BarChart data={steps} margin={{ top: 5, right: 10, left: -20, bottom: 40 }}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="name" tick={{ fontSize: 10 }} interval={0} angle={-30} textAnchor="end" />
+          <YAxis domain={[0, 100]} tick={{ fontSize: 10 }} />
+          <Tooltip content={renderTooltip} />
+          <Bar dataKey="base" stackId="waterfall" fill="transparent" isAnimationActive={false} />
+          <Bar dataKey="points" stackId="waterfall" isAnimationActive={false}>
+            {steps.map(step => <Cell key={step.name} fill={step.color} />)}
+          </Bar>
+        </BarChart>
+      </ResponsiveContainer>
+
+      <table className="w-full text-xs mt-2">
+        <thead>
+          <tr className="text-left text-gray-500 border-b">
+            <th className="py-1">Factor</th>
+            <th className="py-1 text-right">Raw</th>
+            <th className="py-1 text-right">Normalized</th>
+            <th className="py-1 text-right">Weight</th>
+            <th className="py-1 text-right">Points</th>
+          </tr>
+        </thead>
+        <tbody>
+          {factors.map(factor => (
+            <tr key={factor.id} className="border-b last:border-0" title={factor.detail}>
+              <td className="py-1 text-gray-800">{factor.label}</td>
+              <td className="py-1 text-right text-gray-600">{formatFactorValue(factor)}</td>
+              <td className="py-1 text-right">{factor.score}</td>
+              <td className="py-1 text-right text-gray-600">{(factor.appliedWeight * 100).toFixed(1)}%</td>
+              <td className="py-1 text-right font-semibold">+{factor.contribution.toFixed(1)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default ScoreBreakdown;
@@ -0,0 +1,231 @@
+// /dashboard/components/ScoreCalibration.js
+// Score calibration report: replays stored candles through the Dr. Paul score and shows, per score bucket,
+// forward returns and how often a target was hit before a stop (see lib/scoreCalibration)
+// Use it to check whether the excellent / good alert thresholds actually separate better setups.
+
+import React, { useState, useEffect } from 'react';
+import { ComposedChart, Bar, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine, Cell } from 'recharts';
+import { Gauge, Play, Database } from 'lucide-react';
+import candleStore from '../lib/candleStore';
+import { getBaseTimeframe, resampleCandles } from '../lib/resampler';
+import { listSymbols, getSymbolTimeframes, getPairLabel } from '../lib/symbolRegistry';
+import { calibrateScores, DEFAULT_CALIBRATION_SETTINGS } from '../lib/scoreCalibration';
+import { SCORE_THRESHOLDS } from '../lib/drPaulScore';
+import alertService from '../lib/alertService';
+
+const formatPct = (value, digits = 2) => (value === null ? '—' : `${value >= 0 ? '+' : ''}${value.toFixed(digits)}%`);
+const formatRate = (value) => (value === null ? '—' : `${(value * 100).toFixed(0)}%`);
+
+// Stored history for a pair, resampled from its base timeframe; the still-forming bar is left out
+const loadStoredCandles = async (symbol, timeframe) => {
+  const baseTimeframe = getBaseTimeframe(timeframe);
+  const candles = await candleStore.getCandles(symbol, baseTimeframe);
+  const series = baseTimeframe === timeframe ? candles : resampleCandles(candles, baseTimeframe, timeframe);
+  return series.filter(candle => candle.isComplete !== false);
+};
+
+const ScoreCalibration = ({ className = '' }) => {
+  const [symbol, setSymbol] = useState('ETHUSDT');
+  const [timeframe, setTimeframe] = useState('5m');
+  const [settings, setSettings] = useState(DEFAULT_CALIBRATION_SETTINGS);
+  const [thresholds, setThresholds] = useState(SCORE_THRESHOLDS);
+  const [report, setReport] = useState(null);
+  const [barCount, setBarCount] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Alert thresholds live in localStorage, so read them after mount
+  useEffect(() => {
+    setThresholds(alertService.settings.drPaulScore.thresholds);
+  }, []);
+
+  const timeframes = getSymbolTimeframes(symbol);
+
+  const updateSetting = (key, value) => {
+    const parsed = parseFloat(value);
+    if (Number.isFinite(parsed) && parsed > 0) setSettings(prev => ({ ...prev, [key]: key === 'horizonBars' ? Math.round(parsed) : parsed }));
+  };
+
+  const runCalibration = async () => {
+    setRunning(true);
+    setError(null);
+    try {
+      const candles = await loadStoredCandles(symbol, timeframe);
+      setBarCount(candles.length);
+      setReport(calibrateScores(candles, settings, thresholds));
+    } catch (err) {
+      console.error('❌ Score calibration failed:', err);
+      setError(err.message);
+      setReport(null);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const chartData = report ? report.buckets.map(bucket => ({
+    ...bucket,
+    hitRatePct: bucket.hitRate === null ? null : bucket.hitRate * 100
+  })) : [];
+
+  return (
+    <div className={`space-y-6 ${className}`}>
+      {/* Controls */}
+      <div className="bg-white p-4 rounded-lg shadow-sm">
+        <div className="flex flex-wrap items-end gap-4">
+          <label className="text-sm text-gray-700">
+            <div className="mb-1">Symbol</div>
+            <select
+              value={symbol}
+              onChange={(e) => {
+                const next = e.target.value;
+                setSymbol(next);
+                if (!getSymbolTimeframes(next).includes(timeframe)) setTimeframe(getSymbolTimeframes(next)[0]);
+              }}
+              className="border rounded px-2 py-1"
+            >
+              {listSymbols().map(({ symbol: value }) => (
+                <option key={value} value={value}>{getPairLabel(value)}</option>
+              ))}
+            </select>
+          </label>
+          <label className="text-sm text-gray-700">
+            <div className="mb-1">Timeframe</div>
+            <select value={timeframe} onChange={(e) => setTimeframe(e.target.value)} className="border rounded px-2 py-1">
+              {timeframes.map(tf => <option key={tf} value={tf}>{tf}</option>)}
+            </select>
+          </label>
+          <label className="text-sm text-gray-700">
+            <div className="mb-1">Horizon (bars)</div>
+            <input type="number" min="1" value={settings.horizonBars} onChange={(e) => updateSetting('horizonBars', e.target.value)} className="border rounded px-2 py-1 w-24" />
+          </label>
+          <label className="text-sm text-gray-700">
+            <div className="mb-1">Target %</div>
+            <input type="number" min="0.1" step="0.1" value={settings.targetPct} onChange={(e) => updateSetting('targetPct', e.target.value)} className="border rounded px-2 py-1 w-24" />
+          </label>
+          <label className="text-sm text-gray-700">
+            <div className="mb-1">Stop %</div>
+            <input type="number" min="0.1" step="0.1" value={settings.stopPct} onChange={(e) => updateSetting('stopPct', e.target.value)} className="border rounded px-2 py-1 w-24" />
+          </label>
+          <button
+            onClick={runCalibration}
+            disabled={running}
+            className="inline-flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 disabled:opacity-50"
+          >
+            <Play className="w-4 h-4" />
+            {running ? 'Replaying…' : 'Run calibration'}
+          </button>
+        </div>
+        <p className="text-xs text-gray-500 mt-3">
+          Long entry at the close of each bar. Hit rate = target reached before stop within the horizon, out of trades that resolved
+          (a bar touching both counts as a stop). Current thresholds: excellent {thresholds.excellent}, good {thresholds.good}.
+        </p>
+      </div>
+
+      {error && <div className="bg-red-50 text-red-700 text-sm p-3 rounded-lg">Calibration failed: {error}</div>}
+
+      {barCount !== null && !report && !error && (
+        <div className="bg-white p-6 rounded-lg shadow-sm text-center text-sm text-gray-600">
+          <Database className="w-8 h-8 mx-auto mb-2 text-gray-400" />
+          {barCount} stored {timeframe} bars for {getPairLabel(symbol)} - not enough to score and look {settings.horizonBars} bars ahead.
+          Open the pair in the Scalping Tracker or Scanner to build up stored history.
+        </div>
+      )}
+
+      {report && (
+        <>
+          {/* Reliability chart */}
+          <div className="bg-white p-4 rounded-lg shadow-sm">
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+                <Gauge className="w-5 h-5 text-blue-600" />
+                Reliability by Score • {getPairLabel(symbol)} {timeframe}
+              </h3>
+              <span className="text-xs text-gray-500">
+                {report.samples} samples • {new Date(report.from).toLocaleDateString()} – {new Date(report.to).toLocaleDateString()}
+              </span>
+            </div>
+            <ResponsiveContainer width="100%" height={280}>
+              <ComposedChart data={chartData} margin={{ top: 5, right: 10, left: -10, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="label" tick={{ fontSize: 10 }} />
+                <YAxis yAxisId="return" tick={{ fontSize: 10 }} tickFormatter={(value) => `${value.toFixed(1)}%`} />
+                <YAxis yAxisId="rate" orientation="right" domain={[0, 100]} tick={{ fontSize: 10 }} tickFormatter={(value) => `${value}%`} />
+                <Tooltip
+                  formatter={(value, name) => (name === 'Hit rate' ? `${value.toFixed(0)}%` : formatPct(value))}
+                  labelFormatter={(label) => `Score ${label}`}
+                />
+                <Legend wrapperStyle={{ fontSize: 12 }} />
+                <ReferenceLine yAxisId="return" y={0} stroke="#9ca3af" />
+                {report.baseline.hitRate !== null && (
+                  <ReferenceLine
+                    yAxisId="rate"
+                    y={report.baseline.hitRate * 100}
+                    stroke="#6b7280"
+                    strokeDasharray="4 4"
+                    label={{ value: 'Baseline hit rate', position: 'insideTopLeft', fontSize: 10 }}
+                  />
+                )}
+                <Bar yAxisId="return" dataKey="avgReturn" name={`Avg return (${settings.horizonBars} bars)`} isAnimationActive={false}>
+                  {chartData.map(bucket => (
+                    <Cell key={bucket.label} fill={bucket.avgReturn === null ? '#e5e7eb' : bucket.avgReturn >= 0 ? '#16a34a' : '#dc2626'} />
+                  ))}
+                </Bar>
+                <Line yAxisId="rate" type="monotone" dataKey="hitRatePct" name="Hit rate" stroke="#2563eb" strokeWidth={2} connectNulls isAnimationActive={false} />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+
+          {/* Threshold bands */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {report.bands.map(band => (
+              <div key={band.band} className="bg-white p-4 rounded-lg shadow-sm">
+                <div className="text-sm font-semibold text-gray-900">{band.band} <span className="text-gray-500 font-normal">({band.range})</span></div>
+                <div className="mt-2 text-xs text-gray-600 space-y-1">
+                  <div>{band.count} samples</div>
+                  <div>Avg return: <span className="font-semibold">{formatPct(band.avgReturn)}</span> (baseline {formatPct(report.baseline.avgReturn)})</div>
+                  <div>Hit rate: <span className="font-semibold">{formatRate(band.hitRate)}</span> (baseline {formatRate(report.baseline.hitRate)})</div>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {/* Bucket table */}
+          <div className="bg-white p-4 rounded-lg shadow-sm overflow-x-auto">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-1">Score</th>
+                  <th className="py-1 text-right">Samples</th>
+                  <th className="py-1 text-right">Avg return</th>
+                  <th className="py-1 text-right">Median return</th>
+                  <th className="py-1 text-right">Positive</th>
+                  <th className="py-1 text-right">Targets</th>
+                  <th className="py-1 text-right">Stops</th>
+                  <th className="py-1 text-right">Open</th>
+                  <th className="py-1 text-right">Hit rate</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[...report.buckets, { label: 'All bars', ...report.baseline }].map(row => (
+                  <tr key={row.label} className={`border-b last:border-0 ${row.count === 0 ? 'text-gray-400' : ''} ${row.label === 'All bars' ? 'font-semibold' : ''}`}>
+                    <td className="py-1">{row.label}</td>
+                    <td className="py-1 text-right">{row.count}</td>
+                    <td className="py-1 text-right">{formatPct(row.avgReturn)}</td>
+                    <td className="py-1 text-right">{formatPct(row.medianReturn)}</td>
+                    <td className="py-1 text-right">{formatRate(row.positiveRate)}</td>
+                    <td className="py-1 text-right">{row.targets}</td>
+                    <td className="py-1 text-right">{row.stops}</td>
+                    <td className="py-1 text-right">{row.unresolved}</td>
+                    <td className="py-1 text-right">{formatRate(row.hitRate)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ScoreCalibration;
@@ -0,0 +1,86 @@
+// /dashboard/components/ScoreHistoryChart.js
+// Dr. Paul score over time for one symbol/timeframe, drawn under a price chart
+// Markers show where the score crossed the excellent / good thresholds from the alert settings.
+
+import React, { useState, useEffect, useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine, ReferenceDot } from 'recharts';
+import { History, Trash2 } from 'lucide-react';
+import scoreHistory, { findThresholdCrossings } from '../lib/scoreHistory';
+import alertService from '../lib/alertService';
+import { SCORE_THRESHOLDS } from '../lib/drPaulScore';
+
+const formatTime = (timestamp) => {
+  const date = new Date(timestamp);
+  return `${date.toLocaleDateString([], { month: 'short', day: 'numeric' })} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+};
+
+const ScoreHistoryChart = ({ symbol, timeframe, height = 160, className = '' }) => {
+  const [points, setPoints] = useState([]);
+  const [thresholds, setThresholds] = useState(SCORE_THRESHOLDS);
+
+  // History and alert thresholds live in localStorage, so read them after mount
+  useEffect(() => {
+    setPoints(scoreHistory.getHistory(symbol, timeframe));
+    setThresholds(alertService.settings.drPaulScore.thresholds);
+
+    return scoreHistory.subscribe((changedSymbol, changedTimeframe, changedPoints) => {
+      if (changedSymbol === symbol && changedTimeframe === timeframe) setPoints(changedPoints);
+    });
+  }, [symbol, timeframe]);
+
+  const crossings = useMemo(() => findThresholdCrossings(points, thresholds), [points, thresholds]);
+  const chartData = useMemo(() => points.map(point => ({ ...point, time: formatTime(point.timestamp) })), [points]);
+
+  return (
+    <div className={`bg-white p-4 rounded-lg shadow-sm ${className}`}>
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-sm font-semibold text-gray-900 flex items-center gap-2">
+          <History className="w-4 h-4 text-blue-600" />
+          Dr. Paul Score History • {symbol} {timeframe}
+        </h3>
+        <div className="flex items-center gap-3 text-xs text-gray-500">
+          <span>{points.length} bars • {crossings.length} threshold crossings</span>
+          {points.length > 0 && (
+            <button
+              onClick={() => scoreHistory.clear(symbol, timeframe)}
+              className="inline-flex items-center gap-1 hover:text-red-600"
+              title="Clear this score history"
+            >
+              <Trash2 className="w-3 h-3" />
+            </button>
+          )}
+        </div>
+      </div>
+
+      {points.length < 2 ? (
+        <div className="text-center text-sm text-gray-500 py-6">
+          Recording scores from live data - the timeline fills in as bars close.
+        </div>
+      ) : (
+        <ResponsiveContainer width="100%" height={height}>
+          <LineChart data={chartData} margin={{ top: 5, right: 10, left: -20, bottom: 0 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="time" tick={{ fontSize: 10 }} minTickGap={40} />
+            <YAxis domain={[0, 100]} tick={{ fontSize: 10 }} />
+            <Tooltip formatter={(value) => [value, 'Score']} />
+            <ReferenceLine y={thresholds.excellent} stroke="#16a34a" strokeDasharray="4 4" label={{ value: 'Excellent', position: 'insideTopLeft', fontSize: 10 }} />
+            <ReferenceLine y={thresholds.good} stroke="#f59e0b" strokeDasharray="4 4" label={{ value: 'Good', position: 'insideTopLeft', fontSize: 10 }} />
+            <Line type="stepAfter" dataKey="score" stroke="#2563eb" strokeWidth={2} dot={false} isAnimationActive={false} />
+            {crossings.map(crossing => (
+              <ReferenceDot
+                key={`${crossing.timestamp}_${crossing.threshold}`}
+                x={formatTime(crossing.timestamp)}
+                y={crossing.level}
+                r={4}
+                fill={crossing.direction === 'up' ? '#16a34a' : '#dc2626'}
+                stroke="white"
+              />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      )}
+    </div>
+  );
+};
+
+export default ScoreHistoryChart;
@@ -0,0 +1,396 @@
+// /dashboard/components/SessionProfiles.js
+// Clock-anchored volume profiles (UTC day / week / month and the Asia / London / New York sessions)
+// Prior-period POC/VAH/VAL are carried forward onto the current price chart, with one anchor's
+// developing POC/VAH/VAL drawn as step lines and the value migration between its sessions.
+// Built from stored + live 15m candles, which also feed the naked POC / untested value-area ledger.
+// Live 1m bars feed the lower-timeframe volume distribution model and the model comparison.
+
+import React, { useState, useEffect, useMemo } from 'react';
+import { ComposedChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { Clock, Save, RotateCcw } from 'lucide-react';
+import cryptoDataService from '../lib/cryptoDataService';
+import candleStore from '../lib/candleStore';
+import volumeProfileService, { DISTRIBUTION_MODELS } from '../lib/volumeProfileService';
+import SimulatedDataBanner from './SimulatedDataBanner';
+import DistributionModelComparison from './DistributionModelComparison';
+import { PERIOD_ANCHORS, getPeriodWindow, groupCandlesByAnchor, loadTradingSessions, saveTradingSessions, resetTradingSessions } from '../lib/sessionAnchors';
+import { formatPrice, getPairLabel } from '../lib/symbolRegistry';
+
+const PROFILE_TIMEFRAME = '15m';
+const LOWER_TIMEFRAME = '1m';
+const CHART_BARS = 192; // two days of 15m bars
+const LEDGER_ROWS = 10;
+const MIGRATION_HISTORY = 6;
+const MIGRATION_STYLES = {
+  HIGHER: 'bg-green-100 text-green-800',
+  LOWER: 'bg-red-100 text-red-800',
+  OVERLAPPING: 'bg-gray-100 text-gray-700'
+};
+const ANCHOR_COLORS = { day: '#2563eb', week: '#7c3aed', month: '#0f766e', asia: '#f59e0b', london: '#16a34a', newYork: '#dc2626' };
+
+const toMs = (timestamp) => new Date(timestamp).getTime();
+
+const formatPeriod = (session) => {
+  const start = new Date(session.startTime);
+  const day = start.toLocaleDateString([], { month: 'short', day: 'numeric', timeZone: 'UTC' });
+  return session.anchor === 'week' || session.anchor === 'month' ? `from ${day}` : day;
+};
+
+// Where price sits against a prior value area
+const valuePosition = (price, levels) => {
+  if (!levels) return null;
+  if (price > levels.vah) return { text: 'Above value', className: 'text-green-600' };
+  if (price < levels.val) return { text: 'Below value', className: 'text-red-600' };
+  return { text: 'Inside value', className: 'text-gray-600' };
+};
+
+const MigrationBadge = ({ migration }) => {
+  if (!migration) return <span className="text-gray-400">—</span>;
+  return (
+    <span className={`px-2 py-0.5 rounded text-xs font-medium ${MIGRATION_STYLES[migration.type]}`} title={migration.description}>
+      {migration.type} {migration.pocChange >= 0 ? '+' : ''}{migration.pocChange.toFixed(2)}%
+    </span>
+  );
+};
+
+const SessionProfiles = ({ symbol = 'ETHUSDT', className = '' }) => {
+  const [storedCandles, setStoredCandles] = useState([]);
+  const [liveCandles, setLiveCandles] = useState([]);
+  const [provenance, setProvenance] = useState(null);
+  const [sessions, setSessions] = useState([]);
+  const [draftSessions, setDraftSessions] = useState([]);
+  const [carried, setCarried] = useState(['day', 'week']);
+  const [ledger, setLedger] = useState([]);
+  const [developingAnchor, setDevelopingAnchor] = useState('day');
+  const [minuteCandles, setMinuteCandles] = useState(null);
+  const [distributionModel, setDistributionModel] = useState('uniform');
+
+  // Session hours and the distribution model live in localStorage, so read them after mount
+  useEffect(() => {
+    const loaded = loadTradingSessions();
+    setSessions(loaded);
+    setDraftSessions(loaded);
+    setDistributionModel(volumeProfileService.distributionModel);
+  }, []);
+
+  // Stored history back to the start of last month, so the prior month can be profiled
+  useEffect(() => {
+    const lastMonthStart = getPeriodWindow(getPeriodWindow(Date.now(), 'month').start - 1, 'month').start;
+    candleStore.getCandles(symbol, PROFILE_TIMEFRAME, { since: lastMonthStart })
+      .then(setStoredCandles)
+      .catch(error => console.warn(`⚠️ Stored ${PROFILE_TIMEFRAME} candles unavailable for session profiles: ${error.message}`));
+  }, [symbol]);
+
+  useEffect(() => {
+    return cryptoDataService.subscribe(symbol, PROFILE_TIMEFRAME, (candleData, dataProvenance) => {
+      setLiveCandles(candleData);
+      setProvenance(dataProvenance || null);
+    });
+  }, [symbol]);
+
+  // Generated 1m bars would invent intrabar structure, so they are never used for distribution
+  useEffect(() => {
+    return cryptoDataService.subscribe(symbol, LOWER_TIMEFRAME, (candleData, dataProvenance) => {
+      setMinuteCandles(dataProvenance?.simulated || candleData.length === 0 ? null : candleData);
+    });
+  }, [symbol]);
+
+  // Live bars win over stored ones for the same timestamp; simulated bars are never mixed with stored history
+  const candles = useMemo(() => {
+    if (provenance?.simulated) return liveCandles.map(candle => ({ ...candle, timestamp: toMs(candle.timestamp) }));
+
+    const byTimestamp = new Map();
+    [...storedCandles, ...liveCandles].forEach(candle => byTimestamp.set(toMs(candle.timestamp), { ...candle, timestamp: toMs(candle.timestamp) }));
+    return [...byTimestamp.values()].sort((a, b) => a.timestamp - b.timestamp);
+  }, [storedCandles, liveCandles, provenance]);
+
+  const distribution = useMemo(
+    () => ({ model: distributionModel, lowerTimeframeCandles: minuteCandles, timeframe: PROFILE_TIMEFRAME }),
+    [distributionModel, minuteCandles]
+  );
+
+  const changeDistributionModel = (model) => {
+    volumeProfileService.setDistributionModel(model);
+    setDistributionModel(model);
+  };
+
+  // Completed sessions go into the level ledger; generated candles never do
+  useEffect(() => {
+    if (candles.length === 0 || sessions.length === 0) return;
+    setLedger(provenance?.simulated
+      ? volumeProfileService.getLevelLedger(symbol)
+      : volumeProfileService.updateLevelLedger(symbol, candles, { timeframe: PROFILE_TIMEFRAME, sessions, ...distribution }));
+  }, [symbol, candles, sessions, provenance, distribution]);
+
+  const anchors = useMemo(() => [...PERIOD_ANCHORS, ...sessions.map(session => session.id)], [sessions]);
+
+  // For each anchor: the developing (or latest) profile and the last finished one
+  const rows = useMemo(() => {
+    if (candles.length === 0 || sessions.length === 0) return [];
+
+    return anchors.map(anchor => {
+      const profiles = volumeProfileService.calculateSessionProfiles(candles, anchor, { sessions, ...distribution });
+      const finished = profiles.filter(session => session.isComplete && !session.isPartial && session.profile.poc).pop();
+      const latest = profiles[profiles.length - 1] || null;
+      return {
+        anchor,
+        label: latest?.label || anchor,
+        prior: finished ? { ...finished, poc: finished.pocPrice, vah: finished.vahPrice, val: finished.valPrice } : null,
+        developing: latest && !latest.isComplete ? latest : null,
+        migration: latest?.valueMigration || null,
+        history: profiles.slice(-MIGRATION_HISTORY)
+      };
+    });
+  }, [candles, anchors, sessions, distribution]);
+
+  const currentPrice = candles[candles.length - 1]?.close || 0;
+
+  // Developing levels of the selected anchor, for the bars on the chart
+  const chartData = useMemo(() => {
+    const visible = candles.slice(-CHART_BARS);
+    if (visible.length === 0 || sessions.length === 0) return [];
+
+    const developing = new Map(
+      volumeProfileService.calculateDevelopingProfile(candles, developingAnchor, { sessions, since: visible[0].timestamp, ...distribution })
+        .map(point => [point.timestamp, point])
+    );
+
+    return visible.map(candle => {
+      const point = developing.get(candle.timestamp);
+      return {
+        time: new Date(candle.timestamp).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' }),
+        price: candle.close,
+        developingPoc: point?.poc ?? null,
+        developingVah: point?.vah ?? null,
+        developingVal: point?.val ?? null
+      };
+    });
+  }, [candles, sessions, developingAnchor, distribution]);
+
+  // Bars of the developing anchor's latest session, for the model comparison
+  const latestSessionCandles = useMemo(() => {
+    if (candles.length === 0 || sessions.length === 0) return [];
+    return groupCandlesByAnchor(candles, developingAnchor, sessions).pop()?.candles || [];
+  }, [candles, sessions, developingAnchor]);
+
+  const developingRow = rows.find(row => row.anchor === developingAnchor);
+  const developingColor = ANCHOR_COLORS[developingAnchor] || '#6b7280';
+
+  const toggleCarried = (anchor) => {
+    setCarried(prev => (prev.includes(anchor) ? prev.filter(id => id !== anchor) : [...prev, anchor]));
+  };
+
+  const updateDraft = (id, key, value) => {
+    const hour = parseFloat(value);
+    if (!Number.isFinite(hour) || hour < 0 || hour > 24) return;
+    setDraftSessions(prev => prev.map(session => (session.id === id ? { ...session, [key]: hour } : session)));
+  };
+
+  const carriedLevels = rows.filter(row => row.prior && carried.includes(row.anchor));
+
+  const untestedLevels = ledger
+    .filter(level => !level.testedAt)
+    .sort((a, b) => Math.abs(a.price - currentPrice) - Math.abs(b.price - currentPrice))
+    .slice(0, LEDGER_ROWS);
+
+  return (
+    <div className={`space-y-6 ${className}`}>
+      <SimulatedDataBanner active={provenance?.simulated} />
+
+      {/* Price with prior-period levels */}
+      <div className="bg-gray-50 p-4 rounded-lg">
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+          <h3 className="text-lg font-semibold flex items-center gap-2">
+            <Clock className="w-5 h-5 text-blue-600" />
+            Prior Session Levels • {getPairLabel(symbol)} {PROFILE_TIMEFRAME}
+          </h3>
+          <div className="flex flex-wrap gap-2">
+            {rows.map(row => (
+              <button
+                key={row.anchor}
+                onClick={() => toggleCarried(row.anchor)}
+                disabled={!row.prior}
+                className={`px-2 py-1 rounded text-xs font-medium border disabled:opacity-40 ${
+                  carried.includes(row.anchor) ? 'text-white' : 'bg-white text-gray-700'
+                }`}
+                style={carried.includes(row.anchor) ? { backgroundColor: ANCHOR_COLORS[row.anchor] || '#6b7280', borderColor: ANCHOR_COLORS[row.anchor] || '#6b7280' } : undefined}
+                title={row.prior ? `Carry the prior ${row.label} POC/VAH/VAL onto the chart` : 'Not enough history for a full prior period'}
+              >
+                {row.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {chartData.length === 0 ? (
+          <div className="text-center text-sm text-gray-500 py-12">Loading {PROFILE_TIMEFRAME} candles…</div>
+        ) : (
+          <ResponsiveContainer width="100%" height={360}>
+            <ComposedChart data={chartData} margin={{ top: 5, right: 90, left: 0, bottom: 0 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="time" tick={{ fontSize: 10 }} minTickGap={60} />
+              <YAxis domain={['auto', 'auto']} tick={{ fontSize: 10 }} />
+              <Tooltip formatter={(value, name) => [formatPrice(symbol, value), name]} />
+              {carriedLevels.flatMap(({ anchor, label, prior }) => {
+                const color = ANCHOR_COLORS[anchor] || '#6b7280';
+                return [
+                  <ReferenceLine key={`${anchor}_poc`} y={prior.poc} stroke={color} strokeWidth={2} ifOverflow="extendDomain"
+                    label={{ value: `${label} POC`, position: 'right', fontSize: 10, fill: color }} />,
+                  <ReferenceLine key={`${anchor}_vah`} y={prior.vah} stroke={color} strokeDasharray="5 5" ifOverflow="extendDomain"
+                    label={{ value: `${label} VAH`, position: 'right', fontSize: 10, fill: color }} />,
+                  <ReferenceLine key={`${anchor}_val`} y={prior.val} stroke={color} strokeDasharray="5 5" ifOverflow="extendDomain"
+                    label={{ value: `${label} VAL`, position: 'right', fontSize: 10, fill: color }} />
+                ];
+              })}
+              <Line type="stepAfter" dataKey="developingVah" name={`Developing ${developingRow?.label || ''} VAH`} stroke={developingColor}
+                strokeDasharray="3 3" dot={false} connectNulls={false} isAnimationActive={false} />
+              <Line type="stepAfter" dataKey="developingPoc" name={`Developing ${developingRow?.label || ''} POC`} stroke={developingColor}
+                strokeWidth={2} dot={false} connectNulls={false} isAnimationActive={false} />
+              <Line type="stepAfter" dataKey="developingVal" name={`Developing ${developingRow?.label || ''} VAL`} stroke={developingColor}
+                strokeDasharray="3 3" dot={false} connectNulls={false} isAnimationActive={false} />
+              <Line type="monotone" dataKey="price" name="Price" stroke="#1F2937" strokeWidth={2} dot={false} isAnimationActive={false} />
+            </ComposedChart>
+          </ResponsiveContainer>
+        )}
+
+        {/* Value migration between the developing anchor's sessions */}
+        <div className="flex flex-wrap items-center gap-3 mt-3 text-xs">
+          <label className="text-gray-600">
+            Developing profile:
+            <select value={developingAnchor} onChange={(e) => setDevelopingAnchor(e.target.value)} className="ml-2 border rounded px-2 py-1">
+              {rows.map(row => <option key={row.anchor} value={row.anchor}>{row.label}</option>)}
+            </select>
+          </label>
+          <label className="text-gray-600">
+            Volume distribution:
+            <select value={distributionModel} onChange={(e) => changeDistributionModel(e.target.value)} className="ml-2 border rounded px-2 py-1">
+              {Object.entries(DISTRIBUTION_MODELS).map(([model, label]) => <option key={model} value={model}>{label}</option>)}
+            </select>
+          </label>
+          <span className="text-gray-600">Value migration:</span>
+          {(developingRow?.history || []).map(session => (
+            <span key={session.startTime} className="flex items-center gap-1">
+              <span className="text-gray-500">{formatPeriod(session)}</span>
+              <MigrationBadge migration={session.valueMigration} />
+            </span>
+          ))}
+        </div>
+      </div>
+
+      <DistributionModelComparison
+        candles={latestSessionCandles}
+        lowerTimeframeCandles={minuteCandles}
+        timeframe={PROFILE_TIMEFRAME}
+        symbol={symbol}
+        title={`Distribution Model Comparison • latest ${developingRow?.label || ''} session`}
+      />
+
+      {/* Prior vs developing value per anchor */}
+      <div className="bg-white border rounded-lg p-4 overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-gray-500 border-b">
+              <th className="py-2">Profile</th>
+              <th className="py-2">Prior period</th>
+              <th className="py-2 text-right">POC</th>
+              <th className="py-2 text-right">VAH</th>
+              <th className="py-2 text-right">VAL</th>
+              <th className="py-2 text-right">Developing POC</th>
+              <th className="py-2 text-right">Developing VA</th>
+              <th className="py-2 text-right">Price vs prior value</th>
+              <th className="py-2 text-right">Value migration</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(({ anchor, label, prior, developing, migration }) => {
+              const position = valuePosition(currentPrice, prior);
+              return (
+                <tr key={anchor} className="border-b last:border-0">
+                  <td className="py-2 font-medium" style={{ color: ANCHOR_COLORS[anchor] || '#374151' }}>{label}</td>
+                  <td className="py-2 text-gray-600">{prior ? formatPeriod(prior) : 'Not enough history'}</td>
+                  <td className="py-2 text-right font-semibold">{prior ? formatPrice(symbol, prior.poc) : '—'}</td>
+                  <td className="py-2 text-right">{prior ? formatPrice(symbol, prior.vah) : '—'}</td>
+                  <td className="py-2 text-right">{prior ? formatPrice(symbol, prior.val) : '—'}</td>
+                  <td className="py-2 text-right">{developing?.pocPrice ? formatPrice(symbol, developing.pocPrice) : '—'}</td>
+                  <td className="py-2 text-right text-gray-600">
+                    {developing?.vahPrice ? `${formatPrice(symbol, developing.valPrice)} – ${formatPrice(symbol, developing.vahPrice)}` : '—'}
+                  </td>
+                  <td className={`py-2 text-right ${position?.className || 'text-gray-400'}`}>{position?.text || '—'}</td>
+                  <td className="py-2 text-right"><MigrationBadge migration={migration} /></td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Level ledger */}
+      <div className="bg-white border rounded-lg p-4 overflow-x-auto">
+        <div className="flex items-center justify-between mb-2">
+          <h4 className="text-sm font-semibold text-gray-900">Untested Levels (nearest first)</h4>
+          <span className="text-xs text-gray-500">
+            {ledger.filter(level => !level.testedAt).length} untested • {ledger.filter(level => level.testedAt).length} tested in the ledger
+          </span>
+        </div>
+        {untestedLevels.length === 0 ? (
+          <div className="text-sm text-gray-500 py-2">No untested levels yet - completed sessions are added as they close.</div>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 border-b">
+                <th className="py-1">Level</th>
+                <th className="py-1">Session</th>
+                <th className="py-1 text-right">Price</th>
+                <th className="py-1 text-right">Distance</th>
+              </tr>
+            </thead>
+            <tbody>
+              {untestedLevels.map(level => (
+                <tr key={level.id} className="border-b last:border-0">
+                  <td className={`py-1 font-medium ${level.kind === 'POC' ? 'text-purple-700' : 'text-gray-700'}`}>
+                    {level.kind === 'POC' ? 'Naked POC' : `Untested ${level.kind}`}
+                  </td>
+                  <td className="py-1 text-gray-600">{level.label} {formatPeriod({ anchor: level.anchor, startTime: level.sessionStart })}</td>
+                  <td className="py-1 text-right">{formatPrice(symbol, level.price)}</td>
+                  <td className={`py-1 text-right ${level.price > currentPrice ? 'text-green-600' : 'text-red-600'}`}>
+                    {level.price > currentPrice ? '+' : ''}{((level.price - currentPrice) / currentPrice * 100).toFixed(2)}%
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Session hours */}
+      <div className="bg-white border rounded-lg p-4">
+        <h4 className="text-sm font-semibold text-gray-900 mb-3">Trading Session Hours (UTC)</h4>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          {draftSessions.map(session => (
+            <div key={session.id} className="flex items-center gap-2 text-sm">
+              <span className="w-20 font-medium" style={{ color: ANCHOR_COLORS[session.id] || '#374151' }}>{session.label}</span>
+              <input type="number" min="0" max="24" step="0.5" value={session.startHour}
+                onChange={(e) => updateDraft(session.id, 'startHour', e.target.value)} className="border rounded px-2 py-1 w-20" />
+              <span className="text-gray-500">to</span>
+              <input type="number" min="0" max="24" step="0.5" value={session.endHour}
+                onChange={(e) => updateDraft(session.id, 'endHour', e.target.value)} className="border rounded px-2 py-1 w-20" />
+            </div>
+          ))}
+        </div>
+        <div className="flex items-center gap-2 mt-3">
+          <button onClick={() => setSessions(saveTradingSessions(draftSessions))}
+            className="inline-flex items-center gap-1 px-3 py-1.5 bg-blue-600 text-white rounded text-xs font-medium hover:bg-blue-700">
+            <Save className="w-3 h-3" /> Save hours
+          </button>
+          <button onClick={() => { const defaults = resetTradingSessions(); setSessions(defaults); setDraftSessions(defaults); }}
+            className="inline-flex items-center gap-1 px-3 py-1.5 bg-gray-100 text-gray-700 rounded text-xs font-medium hover:bg-gray-200">
+            <RotateCcw className="w-3 h-3" /> Defaults
+          </button>
+          <span className="text-xs text-gray-500">An end hour at or before the start runs past midnight.</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SessionProfiles;
@@ -0,0 +1,25 @@
+// /dashboard/components/SimulatedDataBanner.js
+// Persistent warning shown while a view runs on generated (simulated) prices
+// Not dismissible - it disappears only when real data comes back.
+
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+
+const SimulatedDataBanner = ({ active, detail, className = '' }) => {
+  if (!active) return null;
+
+  return (
+    <div className={`sticky top-0 z-40 mb-4 flex items-center gap-3 rounded-lg border-2 border-amber-500 bg-amber-100 px-4 py-3 text-amber-900 shadow ${className}`}>
+      <AlertTriangle className="w-5 h-5 flex-shrink-0" />
+      <div className="text-sm">
+        <span className="font-bold tracking-wide">SIMULATED DATA</span>
+        <span className="ml-2">
+          {detail || 'Live market data is unavailable. Prices, levels and signals below are generated and must not be traded.'}
+        </span>
+        <span className="ml-2 opacity-75">Trading alerts are paused.</span>
+      </div>
+    </div>
+  );
+};
+
+export default SimulatedDataBanner;
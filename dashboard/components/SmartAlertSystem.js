@@ -1,6 +1,10 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { Bell, BellRing, Volume2, VolumeX, Settings, Target, TrendingUp, TrendingDown, AlertTriangle, Check, X, Zap, BarChart3 } from 'lucide-react';
-import cryptoDataService from '../lib/cryptoDataService'; // Use the universal data service
+import enhancedDataService from '../lib/enhancedDataService'; // Shared candles + Dr. Paul score
+import SimulatedDataBanner from './SimulatedDataBanner';
+import ScoreBreakdown from './ScoreBreakdown';
+import { IndicatorSeries } from '../lib/indicators';
+import { SCORE_THRESHOLDS, rateScore, summarizeFactors } from '../lib/drPaulScore';
 
 const SmartAlertSystem = () => {
   const [alerts, setAlerts] = useState([]);
@@ -8,11 +12,7 @@ const SmartAlertSystem = () => {
   const [alertSettings, setAlertSettings] = useState({
     drPaulScore: {
       enabled: true,
-      thresholds: {
-        excellent: 85,
-        good: 70,
-        poor: 50
-      }
+      thresholds: { ...SCORE_THRESHOLDS }
     },
     volumeLevels: {
       enabled: true,
@@ -44,10 +44,15 @@ const SmartAlertSystem = () => {
   const audioRef = useRef(null);
   const notificationPermission = useRef(false);
   const lastAlertTime = useRef({});
+  const indicatorsRef = useRef(new IndicatorSeries({
+    ema9: { type: 'ema', period: 9 },
+    sma21: { type: 'sma', period: 21 }
+  }));
 
   // Real market data from the universal data service
   const [marketData, setMarketData] = useState({
-    drPaulScore: 0,
+    drPaulScore: null,
+    drPaulFactors: [],
     ethPrice: 0,
     pocLevel: 0,
     supportLevel: 0,
@@ -57,7 +62,8 @@ const SmartAlertSystem = () => {
     trend: 'NEUTRAL',
     volume: 0,
     timeframe: '30m',
-    priceChange24h: 0
+    priceChange24h: 0,
+    simulated: false
   });
 
   // Request notification permission on component mount
@@ -73,45 +79,47 @@ const SmartAlertSystem = () => {
   useEffect(() => {
     console.log('🚨 SmartAlertSystem subscribing to real market data...');
     
-    // Subscribe to ETH data for alerts
-    const unsubscribe = cryptoDataService.subscribe('ETHUSDT', '1m', (candleData) => {
+    // Subscribe to ETH data for alerts (the shared stream also records the score timeline)
+    const unsubscribe = enhancedDataService.subscribe('ETHUSDT', ({ historicalData: candleData, drPaulSignals, priceChange24h, provenance }) => {
       if (!candleData || candleData.length === 0) {
         console.log('⚠️ No candle data for alerts');
         return;
       }
       
       const latestCandle = candleData[candleData.length - 1];
-      const priceInfo = cryptoDataService.lastPrices.get('ETHUSDT') || {};
       
-      // Calculate Dr. Paul Score based on real data
-      const drPaulScore = calculateDrPaulScore(latestCandle, candleData, priceInfo);
+      // Dr. Paul Score of the shared stream (null until 21 candles are in)
+      const drPaulScore = drPaulSignals ? drPaulSignals.overallScore : null;
       
       // Calculate volume levels (simplified for demo)
       const pocLevel = latestCandle.close * (0.999 + Math.random() * 0.002); // ±0.1% POC
       const supportLevel = latestCandle.close * 0.985; // 1.5% below
       const resistanceLevel = latestCandle.close * 1.015; // 1.5% above
       
-      // Calculate moving averages
-      const ema9 = calculateEMA(candleData, 9);
-      const sma21 = calculateSMA(candleData, 21);
+      // Calculate moving averages (incremental - only the newest bar is restepped)
+      indicatorsRef.current.update(candleData);
+      const ema9 = indicatorsRef.current.latest('ema9');
+      const sma21 = indicatorsRef.current.latest('sma21');
       
       const newMarketData = {
         drPaulScore: drPaulScore,
+        drPaulFactors: drPaulSignals ? drPaulSignals.factors : [],
         ethPrice: latestCandle.close,
         pocLevel: pocLevel,
         supportLevel: supportLevel,
         resistanceLevel: resistanceLevel,
-        ema9: ema9[ema9.length - 1] || latestCandle.close,
-        sma21: sma21[sma21.length - 1] || latestCandle.close,
-        trend: (ema9[ema9.length - 1] || 0) > (sma21[sma21.length - 1] || 0) ? 'BULLISH' : 'BEARISH',
+        ema9: ema9 ?? latestCandle.close,
+        sma21: sma21 ?? latestCandle.close,
+        trend: (ema9 || 0) > (sma21 || 0) ? 'BULLISH' : 'BEARISH',
         volume: latestCandle.volume || 0,
         timeframe: '1m',
-        priceChange24h: priceInfo.change || 0,
+        priceChange24h: priceChange24h || 0,
+        simulated: Boolean(provenance?.simulated),
         timestamp: Date.now()
       };
       
       setMarketData(newMarketData);
-      console.log(`📊 Alert system updated: ETH $${latestCandle.close.toFixed(2)} | Dr. Paul Score: ${drPaulScore.toFixed(1)}%`);
+      console.log(`📊 Alert system updated: ETH $${latestCandle.close.toFixed(2)} | Dr. Paul Score: ${drPaulScore ?? '--'}%`);
     });
     
     return () => {
@@ -119,80 +127,18 @@ const SmartAlertSystem = () => {
     };
   }, []);
 
-  // Calculate Dr. Paul Score based on real market conditions
-  const calculateDrPaulScore = (currentCandle, candleData, priceInfo) => {
-    let score = 50; // Base score
-    
-    try {
-      // Hard trade component (market fear)
-      const priceChange = priceInfo.change || 0;
-      if (priceChange < -2) score += 15; // Market fear = opportunity
-      else if (priceChange > 5) score -= 10; // Extreme greed = danger
-      
-      // Volume component
-      if (currentCandle.volume && candleData.length > 20) {
-        const avgVolume = candleData.slice(-20).reduce((sum, c) => sum + (c.volume || 0), 0) / 20;
-        if (currentCandle.volume > avgVolume * 1.5) score += 10; // High volume
-      }
-      
-      // Technical component (simplified)
-      const volatility = Math.abs(priceChange);
-      if (volatility > 3 && volatility < 8) score += 10; // Moderate volatility good
-      else if (volatility > 10) score -= 15; // Extreme volatility bad
-      
-      // Whale accumulation simulation
-      const whaleScore = Math.random() * 20; // Simplified whale activity
-      score += whaleScore;
-      
-      // Risk/reward component
-      if (priceChange < 0 && priceChange > -5) score += 10; // Good dip buying opportunity
-      
-    } catch (error) {
-      console.error('Error calculating Dr. Paul Score:', error);
-    }
-    
-    return Math.max(0, Math.min(100, score));
-  };
-
-  // Calculate EMA
-  const calculateEMA = (data, period) => {
-    if (data.length < period) return [];
-    
-    const multiplier = 2 / (period + 1);
-    const ema = [];
-    
-    // Start with SMA
-    const sma = data.slice(0, period).reduce((sum, val) => sum + val.close, 0) / period;
-    ema.push(sma);
-    
-    for (let i = period; i < data.length; i++) {
-      const currentEMA = (data[i].close * multiplier) + (ema[ema.length - 1] * (1 - multiplier));
-      ema.push(currentEMA);
-    }
-    
-    return ema;
-  };
-
-  // Calculate SMA
-  const calculateSMA = (data, period) => {
-    const sma = [];
-    for (let i = period - 1; i < data.length; i++) {
-      const slice = data.slice(i - period + 1, i + 1);
-      const avg = slice.reduce((sum, val) => sum + val.close, 0) / period;
-      sma.push(avg);
-    }
-    return sma;
-  };
-
   // Check for alert conditions when market data updates
   useEffect(() => {
     if (!alertsEnabled || !marketData.ethPrice) return;
+    
+    // No trading alerts while the candles are generated
+    if (marketData.simulated) return;
 
     const newAlerts = [];
     const timestamp = new Date();
 
     // Dr. Paul Score Alerts
-    if (alertSettings.drPaulScore.enabled) {
+    if (alertSettings.drPaulScore.enabled && marketData.drPaulScore !== null) {
       const scoreAlertKey = 'dr_paul_score';
       const lastAlert = lastAlertTime.current[scoreAlertKey] || 0;
       const cooldown = 300000; // 5 minutes
@@ -270,6 +216,14 @@ const SmartAlertSystem = () => {
       }
     }
 
+    // Every alert carries the score breakdown it was raised under
+    const scoreBreakdown = marketData.drPaulScore === null
+      ? null
+      : { score: marketData.drPaulScore, factors: marketData.drPaulFactors };
+    newAlerts.forEach(alert => {
+      alert.data = { ...alert.data, scoreBreakdown };
+    });
+
     // Process new alerts
     if (newAlerts.length > 0) {
       processNewAlerts(newAlerts);
@@ -350,6 +304,8 @@ const SmartAlertSystem = () => {
 
   return (
     <div className="max-w-7xl mx-auto p-6 bg-gray-50 min-h-screen">
+      <SimulatedDataBanner active={marketData.simulated} />
+
       {/* Header */}
       <div className="mb-6">
         <div className="flex items-center justify-between">
@@ -399,13 +355,11 @@ const SmartAlertSystem = () => {
       <div className="grid grid-cols-1 md:grid-cols-5 gap-4 mb-6">
         <div className="bg-white p-4 rounded-lg shadow-sm border-l-4 border-blue-500">
           <div className="text-sm text-gray-600 mb-1">Dr. Paul Score</div>
-          <div className={`text-2xl font-bold ${marketData.drPaulScore >= 70 ? 'text-green-600' : 'text-red-600'}`}>
-            {marketData.drPaulScore.toFixed(1)}%
+          <div className={`text-2xl font-bold ${marketData.drPaulScore >= alertSettings.drPaulScore.thresholds.good ? 'text-green-600' : 'text-red-600'}`}>
+            {marketData.drPaulScore === null ? '--' : `${marketData.drPaulScore.toFixed(1)}%`}
           </div>
           <div className="text-xs text-gray-500">
-            {marketData.drPaulScore >= 85 ? 'EXCELLENT' : 
-             marketData.drPaulScore >= 70 ? 'GOOD' : 
-             marketData.drPaulScore >= 50 ? 'FAIR' : 'POOR'}
+            {rateScore(marketData.drPaulScore, alertSettings.drPaulScore.thresholds) || 'WARMING UP'}
           </div>
         </div>
 
@@ -443,6 +397,13 @@ const SmartAlertSystem = () => {
         </div>
       </div>
 
+      <ScoreBreakdown
+        factors={marketData.drPaulFactors}
+        score={marketData.drPaulScore}
+        thresholds={alertSettings.drPaulScore.thresholds}
+        className="mb-6"
+      />
+
       {/* Alert Configuration Panel */}
       {isConfigOpen && (
         <div className="bg-white rounded-lg shadow-lg p-6 mb-6 border">
@@ -594,6 +555,11 @@ const SmartAlertSystem = () => {
                     <div>
                       <div className="font-semibold">{alert.title}</div>
                       <div className="text-sm opacity-80">{alert.message}</div>
+                      {alert.data?.scoreBreakdown && (
+                        <div className="text-xs opacity-70 mt-1">
+                          Score {alert.data.scoreBreakdown.score}: {summarizeFactors(alert.data.scoreBreakdown.factors)}
+                        </div>
+                      )}
                       <div className="text-xs opacity-60 mt-1">
                         {alert.timestamp.toLocaleTimeString()}
                       </div>
@@ -3,8 +3,15 @@
  * Monitors Dr. Paul Score, Volume Levels, and Technical Signals
  */
 
+import requestScheduler from './requestScheduler';
+import { coinGeckoSimplePriceUrl } from './marketDataProviders';
+import { SCORE_THRESHOLDS } from './drPaulScore';
+import { getDisplaySymbol, formatPrice, getProviderId } from './symbolRegistry';
+
 class AlertService {
-  constructor() {
+  // symbol: the market this instance watches (the socket hub creates one per symbol room)
+  constructor(symbol = 'ETHUSDT') {
+    this.symbol = symbol;
     this.subscribers = new Set();
     this.alertHistory = [];
     this.activeAlerts = [];
@@ -12,6 +19,7 @@ class AlertService {
     this.isRunning = false;
     this.checkInterval = null;
     this.lastCheckedData = null;
+    this.simulatedData = false;
   }
 
   // Load alert settings from localStorage
@@ -19,11 +27,7 @@ class AlertService {
     const defaultSettings = {
       drPaulScore: {
         enabled: true,
-        thresholds: {
-          excellent: 85,
-          good: 70,
-          poor: 50
-        },
+        thresholds: { ...SCORE_THRESHOLDS },
         cooldown: 300000 // 5 minutes between similar alerts
       },
       volumeLevels: {
@@ -54,6 +58,8 @@ class AlertService {
       }
     };
 
+    if (typeof localStorage === 'undefined') return defaultSettings;
+
     try {
       const stored = localStorage.getItem('alertSettings');
       return stored ? { ...defaultSettings, ...JSON.parse(stored) } : defaultSettings;
@@ -114,47 +120,70 @@ class AlertService {
         return;
       }
 
-      const newAlerts = [];
+      const newAlerts = this.evaluateMarketData(marketData);
 
-      // Check Dr. Paul Score alerts
-      if (this.settings.drPaulScore.enabled) {
-        newAlerts.push(...this.checkDrPaulScoreAlerts(marketData));
+      // Process new alerts
+      if (newAlerts.length > 0) {
+        this.processNewAlerts(newAlerts);
       }
 
-      // Check Volume Level alerts
-      if (this.settings.volumeLevels.enabled) {
-        newAlerts.push(...this.checkVolumeLevelAlerts(marketData));
-      }
+    } catch (error) {
+      console.error('Error checking alert conditions:', error);
+    }
+  }
 
-      // Check Scalping signals
-      if (this.settings.scalping.enabled) {
-        newAlerts.push(...this.checkScalpingAlerts(marketData));
-      }
+  // Run every enabled check against a market snapshot (also used by the server-side socket hub)
+  evaluateMarketData(marketData) {
+    const newAlerts = [];
 
-      // Check Price Action alerts
-      if (this.settings.priceAction.enabled) {
-        newAlerts.push(...this.checkPriceActionAlerts(marketData));
+    // Never raise trading alerts on generated prices
+    if (marketData.simulated) {
+      if (!this.simulatedData) {
+        console.warn('🎭 Market data is simulated - trading alerts suppressed');
       }
+      this.simulatedData = true;
+      this.lastCheckedData = null; // Don't measure the next real move against a generated price
+      return newAlerts;
+    }
+    this.simulatedData = false;
 
-      // Process new alerts
-      if (newAlerts.length > 0) {
-        this.processNewAlerts(newAlerts);
-      }
+    // Check Dr. Paul Score alerts
+    if (this.settings.drPaulScore.enabled) {
+      newAlerts.push(...this.checkDrPaulScoreAlerts(marketData));
+    }
 
-      this.lastCheckedData = marketData;
+    // Check Volume Level alerts
+    if (this.settings.volumeLevels.enabled) {
+      newAlerts.push(...this.checkVolumeLevelAlerts(marketData));
+    }
 
-    } catch (error) {
-      console.error('Error checking alert conditions:', error);
+    // Check Scalping signals
+    if (this.settings.scalping.enabled) {
+      newAlerts.push(...this.checkScalpingAlerts(marketData));
     }
+
+    // Check Price Action alerts
+    if (this.settings.priceAction.enabled) {
+      newAlerts.push(...this.checkPriceActionAlerts(marketData));
+    }
+
+    // Attach the score breakdown (raw value, normalized score, weight and contribution per factor) to every alert
+    const signals = marketData.drPaulSignals;
+    const scoreBreakdown = signals?.factors
+      ? { score: signals.overallScore, rating: signals.rating, factors: signals.factors }
+      : null;
+    newAlerts.forEach(alert => {
+      alert.data = { ...alert.data, scoreBreakdown };
+    });
+
+    this.lastCheckedData = marketData;
+    return newAlerts;
   }
 
-  // Get current market data from your data services
+  // Get current market data from the server-side snapshot (pages/api/market-data.js)
   async getCurrentMarketData() {
     try {
-      // This would integrate with your existing data services
-      // For now, using a placeholder that shows the structure
-      
-      const response = await fetch('/api/market-data'); // Your API endpoint
+      const response = await fetch(`/api/market-data?symbol=${this.symbol}&timeframe=15m`);
       
       if (!response.ok) {
         // Fallback to direct CoinGecko if your API is down
@@ -172,24 +201,29 @@ class AlertService {
   // Fallback CoinGecko data fetcher
   async getCoinGeckoData() {
     try {
-      const response = await fetch('https://api.coingecko.com/api/v3/simple/price?ids=ethereum&vs_currencies=usd&include_24hr_change=true&include_24hr_vol=true');
-      const data = await response.json();
+      const coinId = getProviderId(this.symbol, 'coingecko');
+      if (!coinId) return null;
+
+      const data = await requestScheduler.fetchJson(coinGeckoSimplePriceUrl(coinId), { maxAge: 15000 });
+      const coin = data[coinId];
       
       return {
-        ethPrice: data.ethereum.usd,
-        priceChange24h: data.ethereum.usd_24h_change,
-        volume24h: data.ethereum.usd_24h_vol,
+        ethPrice: coin.usd,
+        priceChange24h: coin.usd_24h_change,
+        volume24h: coin.usd_24h_vol,
         timestamp: new Date().toISOString(),
-        // Mock Dr. Paul Score - replace with real calculation
-        drPaulScore: 75 + (Math.random() - 0.5) * 20,
+        // No candles here, so no Dr. Paul Score
+        drPaulScore: null,
         // Mock volume levels - replace with real VPVR data
-        pocLevel: data.ethereum.usd * (0.998 + Math.random() * 0.004),
-        supportLevel: data.ethereum.usd * 0.985,
-        resistanceLevel: data.ethereum.usd * 1.015,
+        pocLevel: coin.usd * (0.998 + Math.random() * 0.004),
+        supportLevel: coin.usd * 0.985,
+        resistanceLevel: coin.usd * 1.015,
         // Mock technical indicators - replace with real calculations
-        ema9: data.ethereum.usd * (0.999 + Math.random() * 0.002),
-        sma21: data.ethereum.usd * (0.998 + Math.random() * 0.004),
-        trend: data.ethereum.usd_24h_change > 0 ? 'BULLISH' : 'BEARISH'
+        ema9: coin.usd * (0.999 + Math.random() * 0.002),
+        sma21: coin.usd * (0.998 + Math.random() * 0.004),
+        trend: coin.usd_24h_change > 0 ? 'BULLISH' : 'BEARISH',
+        // Score, levels and averages above are made up, so no trading alerts from this snapshot
+        simulated: true
       };
     } catch (error) {
       console.error('Error fetching CoinGecko data:', error);
@@ -201,6 +235,7 @@ class AlertService {
   checkDrPaulScoreAlerts(data) {
     const alerts = [];
     const score = data.drPaulScore;
+    if (score === null || score === undefined) return alerts;
 
     // Check if we recently sent a similar alert
     const recentScoreAlert = this.alertHistory.find(alert => 
@@ -214,7 +249,7 @@ class AlertService {
       alerts.push(this.createAlert({
         type: 'EXCELLENT_SCORE',
         title: '🎯 EXCELLENT Dr. Paul Setup!',
-        message: `Score: ${score.toFixed(1)}% - High conviction opportunity at $${data.ethPrice.toFixed(2)}`,
+        message: `Score: ${score.toFixed(1)}% - High conviction opportunity on ${this.formatMarketPrice(data.ethPrice)}`,
         priority: 'HIGH',
         data: { score, price: data.ethPrice }
       }));
@@ -222,7 +257,7 @@ class AlertService {
       alerts.push(this.createAlert({
         type: 'GOOD_SCORE',
         title: '✅ Good Dr. Paul Setup',
-        message: `Score: ${score.toFixed(1)}% - Consider entry at $${data.ethPrice.toFixed(2)}`,
+        message: `Score: ${score.toFixed(1)}% - Consider entry on ${this.formatMarketPrice(data.ethPrice)}`,
         priority: 'MEDIUM',
         data: { score, price: data.ethPrice }
       }));
@@ -251,7 +286,7 @@ class AlertService {
         alerts.push(this.createAlert({
           type: 'POC_LEVEL',
           title: '📊 Price at POC Level',
-          message: `ETH $${data.ethPrice.toFixed(2)} near POC $${data.pocLevel.toFixed(2)} - Volume magnet activated`,
+          message: `${this.formatMarketPrice(data.ethPrice)} near POC $${formatPrice(this.symbol, data.pocLevel)} - Volume magnet activated`,
           priority: 'HIGH',
           data: { price: data.ethPrice, poc: data.pocLevel, distance: pocDistance }
         }));
@@ -265,7 +300,7 @@ class AlertService {
         alerts.push(this.createAlert({
           type: 'SUPPORT_LEVEL',
           title: '🟢 Price at Support',
-          message: `ETH $${data.ethPrice.toFixed(2)} at support $${data.supportLevel.toFixed(2)} - Bounce opportunity`,
+          message: `${this.formatMarketPrice(data.ethPrice)} at support $${formatPrice(this.symbol, data.supportLevel)} - Bounce opportunity`,
           priority: 'MEDIUM',
           data: { price: data.ethPrice, level: data.supportLevel, type: 'support' }
         }));
@@ -278,13 +313,25 @@ class AlertService {
         alerts.push(this.createAlert({
           type: 'RESISTANCE_LEVEL',
           title: '🔴 Price at Resistance',
-          message: `ETH $${data.ethPrice.toFixed(2)} at resistance $${data.resistanceLevel.toFixed(2)} - Watch for reversal`,
+          message: `${this.formatMarketPrice(data.ethPrice)} at resistance $${formatPrice(this.symbol, data.resistanceLevel)} - Watch for reversal`,
           priority: 'MEDIUM',
           data: { price: data.ethPrice, level: data.resistanceLevel, type: 'resistance' }
         }));
       }
     }
 
+    // Price entering a low volume node zone (only on the check it enters, not while it stays inside)
+    if (data.thinAirZone && !this.lastCheckedData?.thinAirZone) {
+      const { low, high } = data.thinAirZone;
+      alerts.push(this.createAlert({
+        type: 'THIN_AIR',
+        title: '💨 Price in Thin Air',
+        message: `${this.formatMarketPrice(data.ethPrice)} entered low volume zone $${formatPrice(this.symbol, low)} - $${formatPrice(this.symbol, high)} - Expect a fast move to the next volume node`,
+        priority: 'MEDIUM',
+        data: { price: data.ethPrice, zone: data.thinAirZone }
+      }));
+    }
+
     return alerts;
   }
 
@@ -298,7 +345,7 @@ class AlertService {
         alerts.push(this.createAlert({
           type: 'EMA_CROSS_BULL',
           title: '📈 Bullish EMA Cross',
-          message: `9 EMA above 21 MA - Long signal at $${data.ethPrice.toFixed(2)}`,
+          message: `9 EMA above 21 MA - Long signal on ${this.formatMarketPrice(data.ethPrice)}`,
           priority: 'MEDIUM',
           data: { ema9: data.ema9, sma21: data.sma21, price: data.ethPrice }
         }));
@@ -308,7 +355,7 @@ class AlertService {
         alerts.push(this.createAlert({
           type: 'EMA_CROSS_BEAR',
           title: '📉 Bearish EMA Cross',
-          message: `9 EMA below 21 MA - Short signal at $${data.ethPrice.toFixed(2)}`,
+          message: `9 EMA below 21 MA - Short signal on ${this.formatMarketPrice(data.ethPrice)}`,
           priority: 'MEDIUM',
           data: { ema9: data.ema9, sma21: data.sma21, price: data.ethPrice }
         }));
@@ -331,7 +378,7 @@ class AlertService {
         alerts.push(this.createAlert({
           type: 'HIGH_VOLATILITY',
           title: '⚡ High Volatility Alert',
-          message: `ETH moved ${priceChangePercent.toFixed(2)}% to $${data.ethPrice.toFixed(2)} - Increased volatility detected`,
+          message: `${getDisplaySymbol(this.symbol)} moved ${priceChangePercent.toFixed(2)}% to $${formatPrice(this.symbol, data.ethPrice)} - Increased volatility detected`,
           priority: 'MEDIUM',
           data: { priceChange: priceChangePercent, price: data.ethPrice }
         }));
@@ -341,6 +388,11 @@ class AlertService {
     return alerts;
   }
 
+  // 'ETH $2450.12' for the watched symbol
+  formatMarketPrice(price) {
+    return `${getDisplaySymbol(this.symbol)} $${formatPrice(this.symbol, price)}`;
+  }
+
   // Create alert object
   createAlert({ type, title, message, priority = 'MEDIUM', data = {} }) {
     return {
@@ -387,6 +439,9 @@ class AlertService {
 
   // Trigger browser/audio notifications
   triggerNotification(alert) {
+    // Server-side instances (socket hub) only broadcast
+    if (typeof window === 'undefined') return;
+    
     // Browser notification
     if (this.settings.notifications.browser && 'Notification' in window && Notification.permission === 'granted') {
       new Notification(alert.title, {
@@ -452,7 +507,7 @@ class AlertService {
   }
 }
 
-// Create singleton instance
+// Create singleton instance (the class is exported for per-symbol instances on the server)
 const alertService = new AlertService();
 
 // Auto-start if in browser environment
@@ -468,4 +523,5 @@ if (typeof window !== 'undefined') {
   }, 2000);
 }
 
+export { AlertService };
 export default alertService;
\ No newline at end of file
@@ -0,0 +1,241 @@
+// /dashboard/lib/candleStore.js
+// Persistent browser-side candle store (IndexedDB)
+//
+// One record per bar, keyed by [seriesKey, timestamp] where seriesKey = `${symbol}_${timeframe}`,
+// so long histories can be appended to and trimmed without rewriting whole series.
+// Records keep the provider candle shape: { timestamp (ms), open, high, low, close, volume, quality, source }.
+//
+// Retention is a per-timeframe maximum age in days, persisted to localStorage ('candleRetention').
+// On the server (no indexedDB) every method resolves to an empty result so callers need no guards.
+
+const DB_NAME = 'drPaulCandles';
+const DB_VERSION = 1;
+const STORE_NAME = 'candles';
+
+export const DEFAULT_RETENTION_DAYS = {
+  '1m': 30,
+  '3m': 60,
+  '5m': 90,
+  '15m': 180,
+  '30m': 365,
+  '1h': 365,
+  '4h': 730,
+  '1d': 1825
+};
+
+// Wrap an IDBRequest in a promise
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Resolve when a transaction commits
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+class CandleStore {
+  constructor() {
+    this.dbPromise = null;
+    this.retention = this.loadRetention();
+  }
+
+  // Whether IndexedDB exists in this environment
+  isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  // Open (and upgrade) the database once
+  open() {
+    if (!this.isAvailable()) return Promise.resolve(null);
+
+    if (!this.dbPromise) {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          const store = db.createObjectStore(STORE_NAME, { keyPath: ['seriesKey', 'timestamp'] });
+          store.createIndex('symbol', 'symbol', { unique: false });
+        }
+      };
+
+      this.dbPromise = promisify(request).catch(error => {
+        console.warn('⚠️ Candle store unavailable:', error?.message || error);
+        this.dbPromise = null;
+        return null;
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  // Key range covering one series, optionally from a start time
+  seriesRange(symbol, timeframe, since = 0) {
+    const seriesKey = `${symbol}_${timeframe}`;
+    return IDBKeyRange.bound([seriesKey, since], [seriesKey, Number.MAX_SAFE_INTEGER]);
+  }
+
+  // Stored candles for a series, oldest first (limit keeps the most recent bars)
+  async getCandles(symbol, timeframe, { since = 0, limit = null } = {}) {
+    const db = await this.open();
+    if (!db) return [];
+
+    const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+    const range = this.seriesRange(symbol, timeframe, since);
+
+    if (!limit) {
+      const records = await promisify(store.getAll(range));
+      return records.map(this.toCandle);
+    }
+
+    // Walk backwards from the newest bar so large histories aren't loaded for a short window
+    const records = await new Promise((resolve, reject) => {
+      const collected = [];
+      const cursorRequest = store.openCursor(range, 'prev');
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (cursor && collected.length < limit) {
+          collected.push(cursor.value);
+          cursor.continue();
+        } else {
+          resolve(collected.reverse());
+        }
+      };
+      cursorRequest.onerror = () => reject(cursorRequest.error);
+    });
+
+    return records.map(this.toCandle);
+  }
+
+  // Open time (ms) of the newest stored bar, or null
+  async getLastTimestamp(symbol, timeframe) {
+    const latest = await this.getCandles(symbol, timeframe, { limit: 1 });
+    return latest.length > 0 ? latest[0].timestamp : null;
+  }
+
+  // Insert or replace candles (matched by open time), then apply retention
+  async putCandles(symbol, timeframe, candles) {
+    const db = await this.open();
+    if (!db || candles.length === 0) return 0;
+
+    const seriesKey = `${symbol}_${timeframe}`;
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+
+    candles.forEach(candle => {
+      store.put({
+        seriesKey,
+        symbol,
+        timeframe,
+        timestamp: new Date(candle.timestamp).getTime(),
+        open: candle.open,
+        high: candle.high,
+        low: candle.low,
+        close: candle.close,
+        volume: candle.volume,
+        quality: candle.quality,
+        source: candle.source || null
+      });
+    });
+
+    await transactionDone(transaction);
+    await this.applyRetention(symbol, timeframe);
+    return candles.length;
+  }
+
+  // Delete bars older than the timeframe's retention window
+  async applyRetention(symbol, timeframe) {
+    const db = await this.open();
+    if (!db) return;
+
+    const days = this.retention[timeframe] ?? DEFAULT_RETENTION_DAYS[timeframe];
+    if (!days) return;
+
+    const seriesKey = `${symbol}_${timeframe}`;
+    const cutoff = Date.now() - days * 86400000;
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    transaction.objectStore(STORE_NAME).delete(IDBKeyRange.bound([seriesKey, 0], [seriesKey, cutoff], false, true));
+    await transactionDone(transaction);
+  }
+
+  // Remove every stored timeframe for a symbol
+  async purgeSymbol(symbol) {
+    const db = await this.open();
+    if (!db) return 0;
+
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    const cursorRequest = store.index('symbol').openKeyCursor(IDBKeyRange.only(symbol));
+    let purged = 0;
+
+    // Delete inside the cursor callback so the transaction stays active
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (cursor) {
+        store.delete(cursor.primaryKey);
+        purged++;
+        cursor.continue();
+      }
+    };
+
+    await transactionDone(transaction);
+
+    console.log(`🗑️ Purged ${purged} stored candles for ${symbol}`);
+    return purged;
+  }
+
+  // Number of stored bars for a series
+  async countCandles(symbol, timeframe) {
+    const db = await this.open();
+    if (!db) return 0;
+
+    const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+    return promisify(store.count(this.seriesRange(symbol, timeframe)));
+  }
+
+  // Load retention overrides from localStorage
+  loadRetention() {
+    if (typeof localStorage === 'undefined') return { ...DEFAULT_RETENTION_DAYS };
+
+    try {
+      const stored = localStorage.getItem('candleRetention');
+      return stored ? { ...DEFAULT_RETENTION_DAYS, ...JSON.parse(stored) } : { ...DEFAULT_RETENTION_DAYS };
+    } catch (error) {
+      console.error('Error loading candle retention:', error);
+      return { ...DEFAULT_RETENTION_DAYS };
+    }
+  }
+
+  getRetentionPolicy() {
+    return { ...this.retention };
+  }
+
+  // Override retention days per timeframe, e.g. { '1m': 7 }
+  setRetentionPolicy(policy) {
+    this.retention = { ...this.retention, ...policy };
+    try {
+      localStorage.setItem('candleRetention', JSON.stringify(this.retention));
+    } catch (error) {
+      console.error('Error saving candle retention:', error);
+    }
+  }
+
+  toCandle(record) {
+    return {
+      timestamp: record.timestamp,
+      open: record.open,
+      high: record.high,
+      low: record.low,
+      close: record.close,
+      volume: record.volume,
+      quality: record.quality,
+      source: record.source
+    };
+  }
+}
+
+const candleStore = new CandleStore();
+export default candleStore;
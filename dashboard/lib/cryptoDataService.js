@@ -1,8 +1,27 @@
 /**
  * CORRECT HISTORICAL DATA Service - Proper timeframe-based periods
  * 200MA = 200 periods of current timeframe, not 200 days
+ * Candles come from pluggable providers (see marketDataProviders.js) with per-symbol failover
+ * Live updates stream over WebSocket when the source supports it, otherwise poll every 30s
+ * Native history persists in IndexedDB (candleStore.js); reloads only fetch newer bars
+ * Timeframes are resampled from one base series per symbol (resampler.js), so 1m/3m/5m share a fetch
+ * With transport 'socket' candles come from the shared Socket.IO hub instead (socketClient.js)
+ * Subscribers get callback(candles, provenance); provenance.simulated marks generated (random-walk) data,
+ * and the synthetic fallback can be switched off (localStorage 'allowSyntheticData' / NEXT_PUBLIC_ALLOW_SYNTHETIC_DATA)
  */
 
+import { createDefaultProviders, CANDLE_QUALITY, DEFAULT_PROVIDER_ORDER } from './marketDataProviders';
+import StreamingTransport from './streamingTransport';
+import candleStore from './candleStore';
+import requestScheduler from './requestScheduler';
+import socketClient from './socketClient';
+import { TIMEFRAME_MINUTES, getBaseTimeframe, getDerivedTimeframes, resampleCandles } from './resampler';
+import { getFallbackPrice } from './symbolRegistry';
+
+// Providers whose symbols and intervals the streaming transport speaks
+const STREAMABLE_PROVIDERS = ['binance'];
+const BACKFILL_PAGE_SIZE = 1000; // Binance's kline limit
+
 class CryptoDataService {
   constructor() {
     this.subscribers = new Map();
@@ -10,12 +29,30 @@ class CryptoDataService {
     this.updateIntervals = new Map();
     this.lastPrices = new Map();
     this.historicalCache = new Map();
+    this.dataSources = new Map();
+    this.providers = new Map();
+    this.providerOrder = new Map();
+    this.baseRequests = new Map();
+    this.streams = new Map();
+    this.baseStreams = new Map();
+    this.streamingTransport = null;
+    this.streamingOptions = { enabled: true };
+    this.transport = process.env.NEXT_PUBLIC_DATA_TRANSPORT || 'direct';
+    this.allowSyntheticData = this.loadSyntheticSetting();
+    
+    createDefaultProviders().forEach(provider => this.registerProvider(provider));
     
     console.log('🚀 CORRECT Historical Data Service - Timeframe-based periods');
   }
 
   // Subscribe to real-time data with CORRECT historical periods
-  subscribe(symbol, timeframe, callback) {
+  // options.transport: 'direct' (fetch/stream from providers) or 'socket' (shared server hub)
+  subscribe(symbol, timeframe, callback, options = {}) {
+    const transport = options.transport || this.transport;
+    if (transport === 'socket' && typeof window !== 'undefined') {
+      return this.subscribeViaSocket(symbol, timeframe, callback);
+    }
+    
     const key = `${symbol}_${timeframe}`;
     console.log(`📡 Subscribe to ${key} with CORRECT ${timeframe} historical data`);
     
@@ -27,7 +64,7 @@ class CryptoDataService {
     this.subscribers.get(key).add(callback);
     
     // Start real data updates if not already running
-    if (!this.updateIntervals.has(key)) {
+    if (!this.updateIntervals.has(key) && !this.streams.has(key)) {
       this.startCorrectHistoricalDataUpdates(symbol, timeframe, key);
     }
     
@@ -35,7 +72,9 @@ class CryptoDataService {
     const historical = this.candleData.get(key);
     if (historical && historical.length > 0) {
       console.log(`📊 Returning ${historical.length} CORRECT ${timeframe} candles for ${key}`);
-      callback(historical);
+      callback([...historical], this.getProvenance(key));
+    } else if (this.dataSources.get(key)?.error) {
+      callback([], this.getProvenance(key));
     }
     
     // Return unsubscribe function
@@ -48,55 +87,156 @@ class CryptoDataService {
     };
   }
 
-  // Calculate required historical data based on timeframe
-  calculateHistoricalRequirements(timeframe) {
-    // Calculate minutes per period
-    const timeframeMinutes = {
-      '1m': 1,
-      '3m': 3,
-      '5m': 5,
-      '15m': 15,
-      '30m': 30,
-      '1h': 60,
-      '4h': 240,
-      '1d': 1440
-    };
+  // Receive candles from the server hub; falls back to direct fetching if the hub is unreachable
+  subscribeViaSocket(symbol, timeframe, callback) {
+    const key = `${symbol}_${timeframe}`;
+    console.log(`📡 Subscribe to ${key} via socket hub`);
+    
+    let unsubscribe = socketClient.subscribeCandles(symbol, timeframe, (candles, payload) => {
+      if (payload.source) this.dataSources.set(key, payload.source);
+      if (payload.lastPrice) this.lastPrices.set(symbol, payload.lastPrice);
+      callback(candles, this.getProvenance(key));
+    }, {
+      onUnavailable: () => {
+        console.warn(`⚠️ Socket hub unavailable - ${key} switching to direct data`);
+        unsubscribe();
+        unsubscribe = this.subscribe(symbol, timeframe, callback, { transport: 'direct' });
+      }
+    });
     
-    const minutesPerPeriod = timeframeMinutes[timeframe] || 60;
+    return () => unsubscribe();
+  }
+
+  // Default transport for subscribe() ('direct' or 'socket')
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  // Whether generated candles may stand in when every provider fails
+  isSyntheticFallbackEnabled() {
+    return this.allowSyntheticData;
+  }
+
+  setSyntheticFallbackEnabled(enabled) {
+    this.allowSyntheticData = Boolean(enabled);
+    try {
+      localStorage.setItem('allowSyntheticData', JSON.stringify(this.allowSyntheticData));
+    } catch (error) {
+      console.error('Error saving synthetic data setting:', error);
+    }
     
-    // For 200MA we need 200 periods, plus some buffer
-    const periodsNeeded = 250; // 200 + 50 buffer
-    const totalMinutes = periodsNeeded * minutesPerPeriod;
-    const daysNeeded = Math.ceil(totalMinutes / 1440); // Convert to days
+    // Drop generated series right away; the poll loop keeps retrying real data
+    if (!this.allowSyntheticData) {
+      this.dataSources.forEach((source, key) => {
+        if (source.simulated) this.reportUnavailable(key, new Error('synthetic fallback disabled'));
+      });
+    }
+  }
+
+  // Saved preference first, then NEXT_PUBLIC_ALLOW_SYNTHETIC_DATA (enabled unless 'false')
+  loadSyntheticSetting() {
+    const envDefault = process.env.NEXT_PUBLIC_ALLOW_SYNTHETIC_DATA !== 'false';
+    if (typeof localStorage === 'undefined') return envDefault;
     
-    // Determine CoinGecko interval based on timeframe
-    let coinGeckoInterval;
-    if (minutesPerPeriod <= 5) {
-      coinGeckoInterval = 'minutely'; // Only available for last 1 day
-    } else if (minutesPerPeriod <= 60) {
-      coinGeckoInterval = 'hourly';
-    } else {
-      coinGeckoInterval = 'daily';
+    try {
+      const stored = localStorage.getItem('allowSyntheticData');
+      return stored === null ? envDefault : JSON.parse(stored) === true;
+    } catch (error) {
+      console.error('Error loading synthetic data setting:', error);
+      return envDefault;
     }
+  }
+
+  // Register (or replace) a market data provider
+  registerProvider(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  // Set the provider failover order for a symbol
+  setProviderOrder(symbol, providerNames) {
+    this.providerOrder.set(symbol, providerNames);
+  }
+
+  // Providers able to serve a symbol, in failover order
+  getProvidersFor(symbol) {
+    const order = this.providerOrder.get(symbol) || DEFAULT_PROVIDER_ORDER;
+    return order
+      .map(name => this.providers.get(name))
+      .filter(provider => provider && provider.supports(symbol));
+  }
+
+  // Which provider served the current candle batch for a symbol/timeframe
+  getDataSource(symbol, timeframe) {
+    return this.dataSources.get(`${symbol}_${timeframe}`) || null;
+  }
+
+  // Provenance passed with every candle array: where it came from and whether it is simulated
+  getProvenance(key) {
+    const source = this.dataSources.get(key) || {};
+    const separator = key.indexOf('_');
     
-    // Adjust days based on CoinGecko limits
-    let adjustedDays = Math.min(daysNeeded, 365); // Max 1 year
+    return {
+      symbol: key.slice(0, separator),
+      timeframe: key.slice(separator + 1),
+      provider: source.provider || null,
+      quality: source.quality || null,
+      simulated: Boolean(source.simulated),
+      error: source.error || null,
+      timestamp: source.timestamp || null
+    };
+  }
+
+  // Configure the streaming transport (url / WebSocketImpl allow a local stand-in server)
+  configureStreaming(options = {}) {
+    this.streamingOptions = { ...this.streamingOptions, ...options };
     
-    if (coinGeckoInterval === 'minutely') {
-      adjustedDays = 1; // CoinGecko minutely data only available for 1 day
+    if (this.streamingTransport) {
+      this.streamingTransport.disconnect();
+      this.streamingTransport = null;
     }
+  }
+
+  getStreamingTransport() {
+    if (!this.streamingTransport) {
+      const { enabled, ...transportOptions } = this.streamingOptions;
+      this.streamingTransport = new StreamingTransport(transportOptions);
+    }
+    return this.streamingTransport;
+  }
+
+  // Stream only when enabled, a WebSocket exists, and the candles came from a streamable source
+  shouldStream(key) {
+    if (!this.streamingOptions.enabled) return false;
+    
+    const source = this.dataSources.get(key);
+    if (!source || !STREAMABLE_PROVIDERS.includes(source.provider)) return false;
+    
+    return this.getStreamingTransport().isAvailable();
+  }
+
+  // Calculate required historical data based on timeframe
+  calculateHistoricalRequirements(timeframe) {
+    const minutesPerPeriod = TIMEFRAME_MINUTES[timeframe] || 60;
     
-    console.log(`📊 ${timeframe} requirements: ${periodsNeeded} periods = ${totalMinutes} minutes = ${daysNeeded} days`);
-    console.log(`🌐 CoinGecko: requesting ${adjustedDays} days with ${coinGeckoInterval} interval`);
+    // For 200MA we need 200 periods, plus some buffer
+    const periodsNeeded = 250; // 200 + 50 buffer
+    const totalMinutes = periodsNeeded * minutesPerPeriod;
+    
+    console.log(`📊 ${timeframe} requirements: ${periodsNeeded} periods = ${totalMinutes} minutes`);
     
     return {
-      daysNeeded: adjustedDays,
-      interval: coinGeckoInterval,
       minutesPerPeriod: minutesPerPeriod,
       periodsNeeded: periodsNeeded
     };
   }
 
+  // Base bars needed so every timeframe derived from the base gets 250 periods
+  getBasePeriodsNeeded(baseTimeframe) {
+    const baseMinutes = TIMEFRAME_MINUTES[baseTimeframe];
+    const largestRatio = Math.max(...getDerivedTimeframes(baseTimeframe).map(tf => TIMEFRAME_MINUTES[tf] / baseMinutes));
+    return 250 * largestRatio;
+  }
+
   // Start correct historical data updates
   async startCorrectHistoricalDataUpdates(symbol, timeframe, key) {
     console.log(`🔄 Starting CORRECT ${timeframe} historical data updates for ${key}`);
@@ -104,6 +244,14 @@ class CryptoDataService {
     // Fetch real historical data immediately
     await this.fetchCorrectHistoricalData(symbol, timeframe, key);
     
+    // Subscribers may have left while the history was loading
+    if (!this.subscribers.get(key) || this.subscribers.get(key).size === 0) return;
+    
+    if (this.shouldStream(key)) {
+      this.startStreaming(symbol, timeframe, key);
+      return;
+    }
+    
     // Set up periodic current price updates (every 30 seconds)
     const interval = setInterval(async () => {
       if (!this.subscribers.get(key) || this.subscribers.get(key).size === 0) {
@@ -112,80 +260,351 @@ class CryptoDataService {
         return;
       }
       
+      // Providers were down with synthetic fallback off - retry the history instead
+      if (this.dataSources.get(key)?.error) {
+        await this.fetchCorrectHistoricalData(symbol, timeframe, key);
+        return;
+      }
+      
       await this.updateCurrentPriceInHistoricalData(symbol, key);
     }, 30000);
     
     this.updateIntervals.set(key, interval);
   }
 
-  // Fetch CORRECT historical data based on timeframe
-  async fetchCorrectHistoricalData(symbol, timeframe, key) {
+  // Stream the base timeframe once per symbol; every derived key is rebuilt from it
+  startStreaming(symbol, timeframe, key) {
+    const baseTimeframe = getBaseTimeframe(timeframe);
+    const baseKey = `${symbol}_${baseTimeframe}`;
+    this.streams.set(key, baseKey);
+    
+    if (this.baseStreams.has(baseKey)) return;
+    
+    console.log(`📡 Streaming ${baseKey} over WebSocket`);
+    const unsubscribe = this.getStreamingTransport().subscribe(symbol, baseTimeframe, {
+      onKline: (candle) => this.applyStreamCandle(symbol, baseTimeframe, candle),
+      onTick: ({ price, change }) => {
+        this.lastPrices.set(symbol, { price, change, timestamp: Date.now() });
+      },
+      onReconnect: () => this.backfillGap(symbol, baseTimeframe)
+    });
+    
+    this.baseStreams.set(baseKey, unsubscribe);
+  }
+
+  // Stop a key's stream, closing the base stream once no derived key uses it
+  stopStreaming(key) {
+    const baseKey = this.streams.get(key);
+    if (!baseKey) return;
+    
+    this.streams.delete(key);
+    if ([...this.streams.values()].includes(baseKey)) return;
+    
+    this.baseStreams.get(baseKey)?.();
+    this.baseStreams.delete(baseKey);
+  }
+
+  // Apply a streamed base kline: revise the forming bar or append a new one
+  applyStreamCandle(symbol, baseTimeframe, streamCandle) {
+    const baseKey = `${symbol}_${baseTimeframe}`;
+    const base = this.historicalCache.get(baseKey);
+    if (!base) return;
+    
+    const candle = { ...streamCandle, source: base.provider };
+    base.candles = this.mergeProviderCandles(base.candles, [candle]).slice(-this.getBasePeriodsNeeded(baseTimeframe));
+    
+    if (streamCandle.isComplete) {
+      this.persistCandles(symbol, baseTimeframe, [candle], base.provider);
+    }
+    
+    const previous = this.lastPrices.get(symbol);
+    this.lastPrices.set(symbol, {
+      price: candle.close,
+      change: previous?.change ?? 0,
+      timestamp: Date.now()
+    });
+    
+    this.refreshDerivedKeys(baseKey, base);
+  }
+
+  // Refetch base bars missed while the stream was down (or closed since the last poll), paging forward from the
+  // last bar until a page comes back short or reaches now. An outage longer than the base window, or a hole the
+  // pages didn't close (a provider that ignores startTime), refetches the whole window instead.
+  async backfillGap(symbol, baseTimeframe) {
+    const baseKey = `${symbol}_${baseTimeframe}`;
+    const base = this.historicalCache.get(baseKey);
+    if (!base || base.candles.length === 0) return;
+    
+    const periodsNeeded = this.getBasePeriodsNeeded(baseTimeframe);
+    const barMs = TIMEFRAME_MINUTES[baseTimeframe] * 60000;
+    const lastTimestamp = base.candles[base.candles.length - 1].timestamp;
+    
     try {
-      const coinGeckoIds = {
-        'ETHUSDT': 'ethereum',
-        'BTCUSDT': 'bitcoin',
-        'SOLUSDT': 'solana',
-        'AVAXUSDT': 'avalanche-2',
-        'LINKUSDT': 'chainlink',
-        'DOTUSDT': 'polkadot',
-        'ADAUSDT': 'cardano'
-      };
+      let missed = [];
+      let provider = null;
       
-      const coinId = coinGeckoIds[symbol];
-      if (!coinId) {
-        throw new Error(`No CoinGecko mapping for ${symbol}`);
+      if ((Date.now() - lastTimestamp) / barMs < periodsNeeded) {
+        let startTime = lastTimestamp;
+        let complete = false;
+        
+        while (!complete) {
+          const limit = Math.min(BACKFILL_PAGE_SIZE, Math.max(2, Math.ceil((Date.now() - startTime) / barMs) + 1));
+          const page = await this.fetchCandlesWithFailover(symbol, baseTimeframe, { startTime, periodsNeeded: limit });
+          const newest = page.candles[page.candles.length - 1].timestamp;
+          
+          missed = this.mergeProviderCandles(missed, page.candles.filter(candle => candle.timestamp >= startTime));
+          provider = page.provider;
+          complete = page.candles.length < limit || newest + barMs > Date.now() || newest <= startTime;
+          startTime = newest;
+        }
       }
       
-      // Calculate correct historical requirements
-      const requirements = this.calculateHistoricalRequirements(timeframe);
-      
-      // Check cache
-      const cacheKey = `${coinId}_${timeframe}_${requirements.daysNeeded}`;
-      const cached = this.historicalCache.get(cacheKey);
-      const now = Date.now();
+      const closesGap = missed.length > 0
+        && missed[0].timestamp <= lastTimestamp + barMs
+        && missed[missed.length - 1].timestamp + 2 * barMs > Date.now();
       
-      if (cached && (now - cached.timestamp) < 1800000) { // 30 minutes cache
-        console.log(`📦 Using cached ${timeframe} historical data for ${symbol}`);
-        this.processCorrectHistoricalData(cached.data, symbol, timeframe, key, requirements);
-        return;
+      if (!closesGap) {
+        console.log(`🌐 ${baseKey} gap not closed by paging - refetching ${periodsNeeded} base candles`);
+        ({ candles: missed, provider } = await this.fetchCandlesWithFailover(symbol, baseTimeframe, { periodsNeeded }));
       }
       
-      console.log(`🌐 Fetching CORRECT ${timeframe} historical data for ${symbol}...`);
-      console.log(`📊 Need ${requirements.periodsNeeded} periods of ${timeframe} = ${requirements.daysNeeded} days`);
+      console.log(`🩹 Backfilled ${missed.length} ${baseTimeframe} candles for ${symbol} from ${provider}`);
+      this.persistCandles(symbol, baseTimeframe, missed, provider);
+      base.candles = this.mergeProviderCandles(base.candles, missed).slice(-periodsNeeded);
+      this.refreshDerivedKeys(baseKey, base);
+    } catch (error) {
+      console.warn(`⚠️ Gap backfill failed for ${baseKey}: ${error.message}`);
+    }
+  }
+
+  // Rebuild and publish every subscribed key derived from a base series
+  refreshDerivedKeys(baseKey, base) {
+    this.subscribers.forEach((callbacks, key) => {
+      const symbol = key.slice(0, key.indexOf('_'));
+      const timeframe = key.slice(key.indexOf('_') + 1);
+      if (callbacks.size === 0 || `${symbol}_${getBaseTimeframe(timeframe)}` !== baseKey) return;
+      if (this.dataSources.get(key)?.simulated) return;
+      
+      const candles = this.deriveCandles(base, timeframe)
+        .slice(-250)
+        .map(candle => this.formatCandle(candle, base.provider));
+      
+      this.candleData.set(key, candles);
+      this.notifyAllSubscribers(key, candles);
+    });
+  }
+
+  // Fetch candles from the first provider that succeeds
+  async fetchCandlesWithFailover(symbol, timeframe, options = {}) {
+    const providers = this.getProvidersFor(symbol);
+    if (providers.length === 0) {
+      throw new Error(`No market data provider supports ${symbol}`);
+    }
+
+    const requirements = { ...this.calculateHistoricalRequirements(timeframe), ...options };
+    const attempts = [];
+
+    for (const provider of providers) {
+      try {
+        const candles = await provider.fetchCandles(symbol, timeframe, requirements);
+        if (!candles || candles.length === 0) {
+          throw new Error('Empty candle batch');
+        }
+        return { candles, provider: provider.name, attempts };
+      } catch (error) {
+        console.warn(`⚠️ ${provider.name} failed for ${symbol} ${timeframe}: ${error.message}`);
+        attempts.push({ provider: provider.name, error: error.message });
+      }
+    }
+
+    throw new Error(`All providers failed for ${symbol} ${timeframe}: ${attempts.map(a => `${a.provider} (${a.error})`).join(', ')}`);
+  }
+
+  // Fetch the current price from the first provider that succeeds
+  async fetchTickerWithFailover(symbol) {
+    const attempts = [];
+
+    for (const provider of this.getProvidersFor(symbol)) {
+      try {
+        const ticker = await provider.fetchTicker(symbol);
+        return { ...ticker, provider: provider.name };
+      } catch (error) {
+        attempts.push({ provider: provider.name, error: error.message });
+      }
+    }
+
+    throw new Error(`No ticker for ${symbol}: ${attempts.map(a => `${a.provider} (${a.error})`).join(', ') || 'no providers'}`);
+  }
+
+  // Request window that only covers bars newer than the stored ones
+  getIncrementalWindow(timeframe, storedCandles) {
+    if (storedCandles.length === 0) return {};
+    
+    const minutesPerPeriod = TIMEFRAME_MINUTES[timeframe] || 60;
+    const lastTimestamp = storedCandles[storedCandles.length - 1].timestamp;
+    const missingPeriods = Math.ceil((Date.now() - lastTimestamp) / (minutesPerPeriod * 60000)) + 1;
+    
+    // Too far behind for one request - refetch the full window instead
+    if (missingPeriods >= 1000) return {};
+    
+    return { startTime: lastTimestamp, periodsNeeded: Math.max(2, missingPeriods) };
+  }
+
+  // Merge provider candles by open time (later batches win)
+  mergeProviderCandles(existingCandles, newCandles) {
+    const byTimestamp = new Map();
+    [...existingCandles, ...newCandles].forEach(candle => byTimestamp.set(candle.timestamp, candle));
+    return [...byTimestamp.values()].sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  // Persist non-synthetic candles; synthetic bars never enter the long-term store
+  persistCandles(symbol, timeframe, candles, provider) {
+    const persistable = candles
+      .filter(candle => candle.quality && candle.quality !== CANDLE_QUALITY.SYNTHETIC)
+      .map(candle => ({ ...candle, source: candle.source || provider }));
+    
+    if (persistable.length === 0) return;
+    
+    candleStore.putCandles(symbol, timeframe, persistable).catch(error => {
+      console.warn(`⚠️ Failed to persist ${symbol} ${timeframe} candles: ${error.message}`);
+    });
+  }
+
+  // Remove stored history for a symbol (all timeframes)
+  async purgeStoredCandles(symbol) {
+    [...this.historicalCache.keys()]
+      .filter(key => key.startsWith(`${symbol}_`))
+      .forEach(key => this.historicalCache.delete(key));
+    
+    return candleStore.purgeSymbol(symbol);
+  }
+
+  // Number of persisted base bars behind a symbol/timeframe
+  async getStoredCandleCount(symbol, timeframe) {
+    try {
+      return await candleStore.countCandles(symbol, getBaseTimeframe(timeframe));
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  // Load the base series for a symbol, sharing one upstream fetch between all derived timeframes
+  loadBaseSeries(symbol, baseTimeframe, maxAge = 1800000) { // 30 minutes cache by default
+    const baseKey = `${symbol}_${baseTimeframe}`;
+    
+    const cached = this.historicalCache.get(baseKey);
+    if (cached && (Date.now() - cached.timestamp) < maxAge) {
+      console.log(`📦 Using cached ${baseTimeframe} base series for ${symbol} (${cached.provider})`);
+      return Promise.resolve(cached);
+    }
+    
+    if (!this.baseRequests.has(baseKey)) {
+      const request = this.fetchBaseSeries(symbol, baseTimeframe)
+        .finally(() => this.baseRequests.delete(baseKey));
+      this.baseRequests.set(baseKey, request);
+    }
+    
+    return this.baseRequests.get(baseKey);
+  }
+
+  // Sync the base series from the candle store and providers
+  async fetchBaseSeries(symbol, baseTimeframe) {
+    const baseKey = `${symbol}_${baseTimeframe}`;
+    const periodsNeeded = this.getBasePeriodsNeeded(baseTimeframe);
+    let storedCandles = [];
+    
+    try {
+      storedCandles = await candleStore.getCandles(symbol, baseTimeframe, { limit: periodsNeeded });
+    } catch (error) {
+      console.warn(`⚠️ Candle store read failed for ${baseKey}: ${error.message}`);
+    }
+    
+    // Without IndexedDB (server) an expired in-memory series still seeds the incremental sync
+    const expired = this.historicalCache.get(baseKey);
+    if (storedCandles.length === 0 && expired?.candles.length > 0) {
+      storedCandles = expired.candles;
+    }
+    
+    let base;
+    try {
+      const syncWindow = this.getIncrementalWindow(baseTimeframe, storedCandles);
+      console.log(syncWindow.startTime
+        ? `🌐 Syncing ${baseTimeframe} bars for ${symbol} newer than ${new Date(syncWindow.startTime).toISOString()} (${storedCandles.length} stored)`
+        : `🌐 Fetching ${periodsNeeded} ${baseTimeframe} base candles for ${symbol}...`);
       
-      // CoinGecko market_chart endpoint with correct parameters
-      const url = `https://api.coingecko.com/api/v3/coins/${coinId}/market_chart?vs_currency=usd&days=${requirements.daysNeeded}&interval=${requirements.interval}`;
+      const { candles: fetchedCandles, provider, attempts } = await this.fetchCandlesWithFailover(symbol, baseTimeframe, { periodsNeeded, ...syncWindow });
+      this.persistCandles(symbol, baseTimeframe, fetchedCandles, provider);
       
-      const response = await fetch(url, {
-        method: 'GET',
-        headers: { 'Accept': 'application/json' }
-      });
+      const candles = this.mergeProviderCandles(storedCandles, fetchedCandles).slice(-periodsNeeded);
+      console.log(`✅ REAL ${baseTimeframe} base series from ${provider}: ${fetchedCandles.length} fetched, ${candles.length} candles for ${symbol}`);
+      console.log(`📅 Date range: ${new Date(candles[0].timestamp).toDateString()} to ${new Date(candles[candles.length-1].timestamp).toDateString()}`);
       
-      if (!response.ok) {
-        throw new Error(`CoinGecko API error: ${response.status} - ${response.statusText}`);
-      }
+      base = { candles, provider, attempts, baseTimeframe, timestamp: Date.now() };
+    } catch (error) {
+      // Stale stored bars beat synthetic ones
+      if (storedCandles.length === 0) throw error;
       
-      const data = await response.json();
+      console.log(`📦 ${error.message} - using ${storedCandles.length} stored ${baseTimeframe} candles for ${symbol}`);
+      base = { candles: storedCandles, provider: 'candleStore', attempts: [], baseTimeframe, timestamp: Date.now() };
+    }
+    
+    this.historicalCache.set(baseKey, base);
+    return base;
+  }
+
+  // Candles for a timeframe, resampled from its base series when needed
+  deriveCandles(base, timeframe) {
+    if (timeframe === base.baseTimeframe) return base.candles;
+    return resampleCandles(base.candles, base.baseTimeframe, timeframe);
+  }
+
+  // One-off candle fetch without subscribing (API routes, scripts); throws when every provider fails
+  async fetchCandles(symbol, timeframe) {
+    // Refresh the base series at most once per base period
+    const baseTimeframe = getBaseTimeframe(timeframe);
+    const base = await this.loadBaseSeries(symbol, baseTimeframe, Math.max(60000, TIMEFRAME_MINUTES[baseTimeframe] * 60000));
+    const candles = this.deriveCandles(base, timeframe)
+      .slice(-250)
+      .map(candle => this.formatCandle(candle, base.provider));
+    
+    return {
+      candles,
+      provider: base.provider,
+      baseTimeframe: base.baseTimeframe,
+      quality: this.summarizeQuality(candles)
+    };
+  }
+
+  // Fetch CORRECT historical data based on timeframe
+  async fetchCorrectHistoricalData(symbol, timeframe, key) {
+    try {
+      const base = await this.loadBaseSeries(symbol, getBaseTimeframe(timeframe));
+      const candles = this.deriveCandles(base, timeframe);
       
-      if (!data.prices || !Array.isArray(data.prices) || data.prices.length === 0) {
-        throw new Error('No historical price data received');
+      if (candles.length === 0) {
+        throw new Error(`No complete ${timeframe} periods in the ${base.baseTimeframe} base series`);
       }
       
-      console.log(`✅ REAL ${timeframe} historical data: ${data.prices.length} data points for ${symbol}`);
-      console.log(`📅 Date range: ${new Date(data.prices[0][0]).toDateString()} to ${new Date(data.prices[data.prices.length-1][0]).toDateString()}`);
-      console.log(`💰 Price range: $${Math.min(...data.prices.map(p => p[1])).toFixed(2)} - $${Math.max(...data.prices.map(p => p[1])).toFixed(2)}`);
-      
-      // Cache the data
-      this.historicalCache.set(cacheKey, {
-        data: data,
-        timestamp: now
+      this.dataSources.set(key, {
+        provider: base.provider,
+        attempts: base.attempts,
+        baseTimeframe: base.baseTimeframe,
+        quality: this.summarizeQuality(candles),
+        simulated: false,
+        timestamp: Date.now()
       });
       
       // Process with correct timeframe logic
-      this.processCorrectHistoricalData(data, symbol, timeframe, key, requirements);
+      this.processCorrectHistoricalData(candles, symbol, timeframe, key, base.provider);
       
     } catch (error) {
       console.error(`❌ Failed to fetch CORRECT ${timeframe} historical data for ${symbol}:`, error.message);
+      
+      if (!this.allowSyntheticData) {
+        this.reportUnavailable(key, error);
+        return;
+      }
+      
       console.log(`🔄 Falling back to synthetic ${timeframe} data...`);
       
       // Fallback with correct timeframe
@@ -193,38 +612,13 @@ class CryptoDataService {
     }
   }
 
-  // Process REAL historical data with correct timeframe conversion
-  processCorrectHistoricalData(data, symbol, timeframe, key, requirements) {
+  // Format provider candles and publish them to subscribers
+  processCorrectHistoricalData(providerCandles, symbol, timeframe, key, provider) {
     const candles = [];
-    const prices = data.prices || [];
-    const volumes = data.total_volumes || [];
-    
-    // Convert CoinGecko data to the requested timeframe
-    const convertedData = this.convertToTimeframe(prices, volumes, timeframe, requirements);
-    
-    console.log(`🔄 Converted ${prices.length} raw data points to ${convertedData.length} ${timeframe} candles`);
     
     // Create candles in the correct format
-    for (let i = 0; i < convertedData.length; i++) {
-      const dataPoint = convertedData[i];
-      const timestamp = new Date(dataPoint.timestamp);
-      
-      const candle = {
-        timestamp: timestamp.toISOString(),
-        time: timestamp.toLocaleTimeString('en-US', { 
-          hour12: false, 
-          hour: '2-digit', 
-          minute: '2-digit' 
-        }),
-        open: dataPoint.open,
-        high: dataPoint.high,
-        low: dataPoint.low,
-        close: dataPoint.close,
-        volume: dataPoint.volume,
-        isComplete: true
-      };
-      
-      candles.push(candle);
+    for (let i = 0; i < providerCandles.length; i++) {
+      candles.push(this.formatCandle(providerCandles[i], provider));
     }
     
     // Limit to what we need (keep last 250 periods for 200MA + buffer)
@@ -232,7 +626,7 @@ class CryptoDataService {
     
     // Store and notify
     this.candleData.set(key, limitedCandles);
-    console.log(`✅ Processed ${limitedCandles.length} CORRECT ${timeframe} candles for ${symbol}`);
+    console.log(`✅ Processed ${limitedCandles.length} CORRECT ${timeframe} candles for ${symbol} from ${provider}`);
     
     // Update lastPrices
     if (limitedCandles.length > 0) {
@@ -248,59 +642,37 @@ class CryptoDataService {
     this.notifyAllSubscribers(key, limitedCandles);
   }
 
-  // Convert raw data to specific timeframe periods
-  convertToTimeframe(prices, volumes, timeframe, requirements) {
-    const minutesPerPeriod = requirements.minutesPerPeriod;
-    const converted = [];
-    
-    // Group data by timeframe periods
-    const groupedData = {};
+  // Convert a provider candle (timestamp in ms) to the subscriber candle format
+  formatCandle(dataPoint, provider) {
+    const timestamp = new Date(dataPoint.timestamp);
     
-    for (let i = 0; i < prices.length; i++) {
-      const timestamp = prices[i][0];
-      const price = prices[i][1];
-      const volume = volumes[i] ? volumes[i][1] : 1000000;
-      
-      // Calculate which period this data point belongs to
-      const periodStart = Math.floor(timestamp / (minutesPerPeriod * 60000)) * (minutesPerPeriod * 60000);
-      
-      if (!groupedData[periodStart]) {
-        groupedData[periodStart] = {
-          timestamp: periodStart,
-          prices: [],
-          volumes: []
-        };
-      }
-      
-      groupedData[periodStart].prices.push(price);
-      groupedData[periodStart].volumes.push(volume);
+    return {
+      timestamp: timestamp.toISOString(),
+      time: timestamp.toLocaleTimeString('en-US', { 
+        hour12: false, 
+        hour: '2-digit', 
+        minute: '2-digit' 
+      }),
+      open: dataPoint.open,
+      high: dataPoint.high,
+      low: dataPoint.low,
+      close: dataPoint.close,
+      volume: dataPoint.volume,
+      quality: dataPoint.quality || CANDLE_QUALITY.SYNTHETIC,
+      source: dataPoint.source || provider,
+      isComplete: dataPoint.isComplete ?? true
+    };
+  }
+
+  // Lowest quality present in a candle batch (synthetic < resampled < native)
+  summarizeQuality(candles) {
+    if (candles.some(candle => candle.quality === CANDLE_QUALITY.SYNTHETIC || !candle.quality)) {
+      return CANDLE_QUALITY.SYNTHETIC;
     }
-    
-    // Convert grouped data to OHLC candles
-    const sortedPeriods = Object.keys(groupedData).sort((a, b) => Number(a) - Number(b));
-    
-    for (const periodKey of sortedPeriods) {
-      const period = groupedData[periodKey];
-      
-      if (period.prices.length === 0) continue;
-      
-      const open = period.prices[0];
-      const close = period.prices[period.prices.length - 1];
-      const high = Math.max(...period.prices);
-      const low = Math.min(...period.prices);
-      const volume = period.volumes.reduce((sum, v) => sum + v, 0) / period.volumes.length;
-      
-      converted.push({
-        timestamp: period.timestamp,
-        open: open,
-        high: high,
-        low: low,
-        close: close,
-        volume: volume
-      });
+    if (candles.some(candle => candle.quality === CANDLE_QUALITY.RESAMPLED)) {
+      return CANDLE_QUALITY.RESAMPLED;
     }
-    
-    return converted;
+    return CANDLE_QUALITY.NATIVE;
   }
 
   // Calculate 24h price change
@@ -319,41 +691,18 @@ class CryptoDataService {
   async generateCorrectTimeframeFallback(symbol, timeframe, key) {
     try {
       // Get current real price first
-      const coinGeckoIds = {
-        'ETHUSDT': 'ethereum',
-        'BTCUSDT': 'bitcoin',
-        'SOLUSDT': 'solana',
-        'AVAXUSDT': 'avalanche-2',
-        'LINKUSDT': 'chainlink',
-        'DOTUSDT': 'polkadot',
-        'ADAUSDT': 'cardano'
-      };
-      
-      const coinId = coinGeckoIds[symbol];
       let currentPrice = null;
       
-      if (coinId) {
-        const url = `https://api.coingecko.com/api/v3/simple/price?ids=${coinId}&vs_currencies=usd`;
-        const response = await fetch(url);
-        
-        if (response.ok) {
-          const data = await response.json();
-          currentPrice = data[coinId]?.usd;
-        }
+      try {
+        const ticker = await this.fetchTickerWithFailover(symbol);
+        currentPrice = ticker.price;
+      } catch (error) {
+        console.log(`📡 No live price for ${symbol} fallback: ${error.message}`);
       }
       
       // Use fallback price if API fails
       if (!currentPrice) {
-        const fallbackPrices = {
-          'ETHUSDT': 4003,   // Current ETH price you mentioned
-          'BTCUSDT': 97000,  
-          'SOLUSDT': 195,    
-          'AVAXUSDT': 38,    
-          'LINKUSDT': 16,    
-          'DOTUSDT': 9,      
-          'ADAUSDT': 1.05    
-        };
-        currentPrice = fallbackPrices[symbol] || 100;
+        currentPrice = getFallbackPrice(symbol);
       }
       
       console.log(`🎭 Generating CORRECT ${timeframe} fallback data anchored to $${currentPrice}`);
@@ -416,6 +765,8 @@ class CryptoDataService {
         low: low,
         close: close,
         volume: Math.random() * 1000000 + 500000,
+        quality: CANDLE_QUALITY.SYNTHETIC,
+        source: 'synthetic',
         isComplete: true
       };
       
@@ -424,6 +775,7 @@ class CryptoDataService {
     
     // Store and notify
     this.candleData.set(key, candles);
+    this.dataSources.set(key, { provider: 'synthetic', attempts: [], quality: CANDLE_QUALITY.SYNTHETIC, simulated: true, timestamp: now });
     console.log(`✅ Generated ${candles.length} CORRECT ${timeframe} synthetic candles anchored to $${currentPrice}`);
     
     // Update lastPrices
@@ -440,30 +792,10 @@ class CryptoDataService {
   // Update current price in historical data
   async updateCurrentPriceInHistoricalData(symbol, key) {
     try {
-      const coinGeckoIds = {
-        'ETHUSDT': 'ethereum',
-        'BTCUSDT': 'bitcoin',
-        'SOLUSDT': 'solana',
-        'AVAXUSDT': 'avalanche-2',
-        'LINKUSDT': 'chainlink',
-        'DOTUSDT': 'polkadot',
-        'ADAUSDT': 'cardano'
-      };
-      
-      const coinId = coinGeckoIds[symbol];
-      if (!coinId) return;
-      
-      const url = `https://api.coingecko.com/api/v3/simple/price?ids=${coinId}&vs_currencies=usd&include_24hr_change=true`;
-      const response = await fetch(url);
-      
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      
-      const data = await response.json();
-      const currentPrice = data[coinId]?.usd;
-      const priceChange = data[coinId]?.usd_24h_change || 0;
+      const { price: currentPrice, change: priceChange, provider } = await this.fetchTickerWithFailover(symbol);
       
       if (currentPrice) {
-        console.log(`💰 REAL price update ${symbol}: $${currentPrice.toFixed(2)} (${priceChange.toFixed(2)}%)`);
+        console.log(`💰 REAL price update ${symbol} via ${provider}: $${currentPrice.toFixed(2)} (${priceChange.toFixed(2)}%)`);
         
         this.lastPrices.set(symbol, { 
           price: currentPrice, 
@@ -472,6 +804,15 @@ class CryptoDataService {
         });
         
         this.updateLastCandleWithCurrentPrice(key, currentPrice);
+        
+        // Once the forming bar's period has ended, sync the closed bars from the provider
+        const timeframe = key.slice(key.indexOf('_') + 1);
+        const lastCandle = this.candleData.get(key)?.slice(-1)[0];
+        const periodEnd = lastCandle ? new Date(lastCandle.timestamp).getTime() + (TIMEFRAME_MINUTES[timeframe] || 60) * 60000 : Infinity;
+        
+        if (Date.now() >= periodEnd && !this.dataSources.get(key)?.simulated) {
+          await this.backfillGap(symbol, getBaseTimeframe(timeframe));
+        }
       }
       
     } catch (error) {
@@ -485,19 +826,13 @@ class CryptoDataService {
     if (!candleArray || candleArray.length === 0) return;
     
     const lastCandle = candleArray[candleArray.length - 1];
-    const now = new Date();
     
+    // Revise the forming bar in place - its timestamp stays the bar open time
     const updatedCandle = {
       ...lastCandle,
       close: currentPrice,
       high: Math.max(lastCandle.high, currentPrice),
-      low: Math.min(lastCandle.low, currentPrice),
-      timestamp: now.toISOString(),
-      time: now.toLocaleTimeString('en-US', { 
-        hour12: false, 
-        hour: '2-digit', 
-        minute: '2-digit' 
-      })
+      low: Math.min(lastCandle.low, currentPrice)
     };
     
     candleArray[candleArray.length - 1] = updatedCandle;
@@ -508,9 +843,10 @@ class CryptoDataService {
   notifyAllSubscribers(key, candleArray) {
     const callbacks = this.subscribers.get(key);
     if (callbacks && candleArray && candleArray.length > 0) {
+      const provenance = this.getProvenance(key);
       callbacks.forEach(callback => {
         try {
-          callback([...candleArray]);
+          callback([...candleArray], provenance);
         } catch (error) {
           console.error('❌ Error in subscriber callback:', error);
         }
@@ -518,6 +854,22 @@ class CryptoDataService {
     }
   }
 
+  // Every provider failed and synthetic fallback is off - tell subscribers instead of inventing candles
+  reportUnavailable(key, error) {
+    console.warn(`🚫 No data for ${key} and synthetic fallback is disabled`);
+    this.candleData.set(key, []);
+    this.dataSources.set(key, { provider: null, attempts: [], quality: null, simulated: false, error: error.message, timestamp: Date.now() });
+    
+    const provenance = this.getProvenance(key);
+    this.subscribers.get(key)?.forEach(callback => {
+      try {
+        callback([], provenance);
+      } catch (callbackError) {
+        console.error('❌ Error in subscriber callback:', callbackError);
+      }
+    });
+  }
+
   // Stop data updates
   stopDataUpdates(key) {
     console.log(`🛑 Stopping data updates for ${key}`);
@@ -528,7 +880,10 @@ class CryptoDataService {
       this.updateIntervals.delete(key);
     }
     
+    this.stopStreaming(key);
+    
     this.candleData.delete(key);
+    this.dataSources.delete(key);
   }
 
   // Stop all updates
@@ -537,8 +892,13 @@ class CryptoDataService {
     
     this.updateIntervals.forEach((interval) => clearInterval(interval));
     this.updateIntervals.clear();
+    this.baseStreams.forEach((unsubscribe) => unsubscribe());
+    this.baseStreams.clear();
+    this.streams.clear();
+    this.streamingTransport?.disconnect();
     this.subscribers.clear();
     this.candleData.clear();
+    this.dataSources.clear();
     this.lastPrices.clear();
   }
 
@@ -563,21 +923,15 @@ class CryptoDataService {
     try {
       console.log('🔍 Health check with CORRECT timeframe logic...');
       
-      const testUrl = 'https://api.coingecko.com/api/v3/simple/price?ids=ethereum&vs_currencies=usd';
-      const response = await fetch(testUrl);
-      
-      if (!response.ok) {
-        throw new Error(`Health check failed: ${response.status}`);
-      }
-      
-      const data = await response.json();
-      const ethPrice = data.ethereum?.usd;
+      const { price: ethPrice, provider } = await this.fetchTickerWithFailover('ETHUSDT');
       
       if (ethPrice) {
-        console.log(`✅ Health check passed - ETH: $${ethPrice} - CORRECT timeframe periods`);
+        console.log(`✅ Health check passed via ${provider} - ETH: $${ethPrice} - CORRECT timeframe periods`);
         return {
           status: 'healthy',
           ethPrice: ethPrice,
+          provider: provider,
+          requests: requestScheduler.getStats(),
           timestamp: new Date().toISOString(),
           message: 'CORRECT timeframe-based historical data service working'
         };
@@ -590,6 +944,7 @@ class CryptoDataService {
       return {
         status: 'unhealthy',
         error: error.message,
+        requests: requestScheduler.getStats(),
         timestamp: new Date().toISOString(),
         message: 'API issues - using fallback data'
       };
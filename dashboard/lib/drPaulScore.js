@@ -0,0 +1,308 @@
+// /dashboard/lib/drPaulScore.js
+// The Dr. Paul setup score: one definition used by every tab, the alert services and the backtester
+//
+// The score (0-100) is the weighted average of named factors, each scored 0-100 on the bar being rated:
+//   trendContext      pullback in an uptrend scores best, fading a downtrend worst (21 MA vs 200 MA)
+//   rangePosition     the "hard trade": buying near the low of the recent range
+//   volume            the bar's volume against the average of the previous bars
+//   whaleAccumulation heavy volume on small-bodied bars (absorption) in the recent bars
+//   volatility        ATR against its own recent average; a normal-to-lively market scores best
+//   entrySignal       price / 9 EMA / 21 MA aligned with a volume spike
+//   marketFear        24h change; a moderate dip scores best (only when the caller passes priceChange24h)
+// Factors that cannot be computed (no volume, no 24h change) are left out and the remaining weights rescaled,
+// so the contributions always add up to the (unrounded) score.
+//
+// Every factor in a result explains itself: the raw measurement (value + unit), the normalized 0-100 score,
+// the nominal and applied weight, and the points it contributed.
+//
+// Candles missing open/high/low (close-only histories) are filled from the closes before scoring.
+//
+// Live views don't call scoreCandles directly: they go through enhancedDataService.scoreMarket with the
+// full candle feed, which adds the symbol's market context (the exchange 24h change), so the same market
+// and timeframe gets the same score in every tab. The data service is also the only writer of the score timeline.
+
+import { computeIndicators } from './indicators';
+
+export const SCORE_THRESHOLDS = {
+  excellent: 85,
+  good: 70,
+  poor: 50
+};
+
+export const SCORE_INDICATORS = {
+  ma9: { type: 'ema', period: 9 },
+  ma21: { type: 'sma', period: 21 },
+  ma200: { type: 'sma', period: 200 },
+  atr: { type: 'atr', period: 14 }
+};
+
+// Bars needed before a score is produced (the 21 MA)
+export const MIN_SCORE_BARS = 21;
+
+const RANGE_BARS = 14;
+const VOLUME_BARS = 20;
+const WHALE_BARS = 10;
+const ATR_AVERAGE_BARS = 50;
+
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Average volume of the `length` bars before `index` (null when there is no volume)
+const averageVolume = (bars, index, length) => {
+  const window = bars.slice(Math.max(0, index - length), index);
+  if (window.length === 0) return null;
+  const value = average(window.map(bar => bar.volume));
+  return value > 0 ? value : null;
+};
+
+// Volume more than 1.5x the previous four bars
+const isVolumeSpike = (bars, index) => {
+  if (index < 4) return false;
+  const previous = averageVolume(bars, index, 4);
+  return previous !== null && bars[index].volume > previous * 1.5;
+};
+
+// unit describes the raw value: '%', 'x' (ratio), 'range' (0-1 position), 'bars' (count) or 'flag' (boolean)
+export const SCORE_FACTORS = [
+  {
+    id: 'trendContext',
+    unit: '%',
+    label: 'Trend context',
+    weight: 0.25,
+    evaluate: (bars, index, { ma21, ma200 }) => {
+      const close = bars[index].close;
+      const slow = ma21[index];
+      const trend = ma200[index];
+      if (!slow) return null;
+
+      // Raw value: distance from the 21 MA
+      const value = ((close - slow) / slow) * 100;
+      if (!trend) {
+        return close < slow
+          ? { score: 60, detail: 'Dip below the 21 MA (200 MA not formed)', value }
+          : { score: 55, detail: 'Above the 21 MA (200 MA not formed)', value };
+      }
+      if (slow > trend) {
+        return close < slow
+          ? { score: 100, detail: 'Pullback in uptrend', value }
+          : { score: 70, detail: 'Uptrend', value };
+      }
+      return close > slow
+        ? { score: 40, detail: 'Bounce in downtrend', value }
+        : { score: 15, detail: 'Downtrend', value };
+    }
+  },
+  {
+    id: 'rangePosition',
+    unit: 'range',
+    label: 'Hard trade (range position)',
+    weight: 0.15,
+    evaluate: (bars, index) => {
+      const window = bars.slice(Math.max(0, index - RANGE_BARS + 1), index + 1);
+      const high = Math.max(...window.map(bar => bar.high));
+      const low = Math.min(...window.map(bar => bar.low));
+      if (high === low) return null;
+
+      const position = (bars[index].close - low) / (high - low);
+      if (position < 0.3) return { score: 100, detail: 'Near recent lows (hard trade)', value: position };
+      if (position > 0.7) return { score: 50, detail: 'Near recent highs (momentum)', value: position };
+      return { score: 25, detail: 'Middle of the recent range', value: position };
+    }
+  },
+  {
+    id: 'volume',
+    unit: 'x',
+    label: 'Volume',
+    weight: 0.15,
+    evaluate: (bars, index) => {
+      const baseline = averageVolume(bars, index, VOLUME_BARS);
+      if (baseline === null) return null;
+
+      const ratio = bars[index].volume / baseline;
+      if (ratio >= 1.5) return { score: 100, detail: 'High volume confirmation', value: ratio };
+      if (ratio <= 0.7) return { score: 45, detail: 'Low volume (potential accumulation)', value: ratio };
+      return { score: 50, detail: 'Average volume', value: ratio };
+    }
+  },
+  {
+    id: 'whaleAccumulation',
+    unit: 'bars',
+    label: 'Whale accumulation',
+    weight: 0.15,
+    evaluate: (bars, index) => {
+      const window = bars.slice(Math.max(0, index - WHALE_BARS + 1), index + 1);
+      const baseline = average(window.map(bar => bar.volume));
+      if (!(baseline > 0)) return null;
+
+      // Large volume with little price movement = absorption
+      const absorbing = window.filter(bar =>
+        bar.volume > baseline * 1.5 && Math.abs(bar.close - bar.open) / bar.open < 0.01
+      ).length;
+      return {
+        score: Math.min(100, absorbing * 25),
+        detail: absorbing ? `${absorbing} absorption bar${absorbing > 1 ? 's' : ''} in the last ${window.length}` : 'No absorption bars',
+        value: absorbing
+      };
+    }
+  },
+  {
+    id: 'volatility',
+    unit: 'x',
+    label: 'Volatility',
+    weight: 0.1,
+    evaluate: (bars, index, { atr }) => {
+      const current = atr[index];
+      if (!current) return null;
+
+      const recent = atr.slice(Math.max(0, index - ATR_AVERAGE_BARS + 1), index + 1).filter(Boolean);
+      const ratio = current / average(recent);
+      if (ratio > 2.5) return { score: 20, detail: 'Extreme volatility', value: ratio };
+      if (ratio > 1.5) return { score: 60, detail: 'High volatility (opportunity)', value: ratio };
+      if (ratio >= 0.8) return { score: 100, detail: 'Normal volatility', value: ratio };
+      return { score: 40, detail: 'Quiet market', value: ratio };
+    }
+  },
+  {
+    id: 'entrySignal',
+    unit: 'flag',
+    label: 'Entry signal',
+    weight: 0.1,
+    evaluate: (bars, index, { ma9, ma21 }) => {
+      const close = bars[index].close;
+      const fast = ma9[index];
+      const slow = ma21[index];
+      if (!fast || !slow) return null;
+
+      const aligned = (close > fast && fast > slow) || (close < fast && fast < slow);
+      return aligned && isVolumeSpike(bars, index)
+        ? { score: 100, detail: 'Moving averages aligned with a volume spike', value: true }
+        : { score: 0, detail: 'No entry trigger', value: false };
+    }
+  },
+  {
+    id: 'marketFear',
+    unit: '%',
+    label: 'Market fear (24h change)',
+    weight: 0.1,
+    evaluate: (bars, index, indicators, { priceChange24h }) => {
+      if (!Number.isFinite(priceChange24h)) return null;
+
+      if (priceChange24h <= -5) return { score: 70, detail: 'Capitulation', value: priceChange24h };
+      if (priceChange24h <= -2) return { score: 100, detail: 'Market fear = opportunity', value: priceChange24h };
+      if (priceChange24h <= 0) return { score: 75, detail: 'Mild dip', value: priceChange24h };
+      if (priceChange24h <= 5) return { score: 45, detail: 'Rising market', value: priceChange24h };
+      return { score: 10, detail: 'Extreme greed = danger', value: priceChange24h };
+    }
+  }
+];
+
+// Rating for a score: EXCELLENT / GOOD / FAIR / POOR
+export function rateScore(score, thresholds = SCORE_THRESHOLDS) {
+  if (score === null || score === undefined) return null;
+  if (score >= thresholds.excellent) return 'EXCELLENT';
+  if (score >= thresholds.good) return 'GOOD';
+  if (score > thresholds.poor) return 'FAIR';
+  return 'POOR';
+}
+
+// Fill open/high/low from the closes for close-only histories; volume defaults to 0
+export function normalizeBars(candles) {
+  return candles.map((candle, index) => {
+    const open = candle.open ?? (index > 0 ? candles[index - 1].close : candle.close);
+    return {
+      ...candle,
+      open,
+      high: candle.high ?? Math.max(open, candle.close),
+      low: candle.low ?? Math.min(open, candle.close),
+      volume: candle.volume || 0
+    };
+  });
+}
+
+// Dr. Paul's trend read: bullish = close > 21 MA > 200 MA, bearish = close < 21 MA < 200 MA
+const trendAt = (bars, index, { ma21, ma200 }) => {
+  const close = bars[index].close;
+  const slow = ma21[index];
+  const trend = ma200[index];
+  if (!slow || !trend) return 'neutral';
+  if (close > slow && slow > trend) return 'bullish';
+  if (close < slow && slow < trend) return 'bearish';
+  return 'neutral';
+};
+
+/**
+ * Score bar `index` of normalized bars with SCORE_INDICATORS arrays.
+ * context: { priceChange24h } (optional)
+ * Returns { score, rating, trend, entrySignal, factors }, where each factor is
+ * { id, label, value, unit, score (normalized 0-100), weight, appliedWeight, contribution (points), detail },
+ * or null before MIN_SCORE_BARS.
+ */
+export function scoreAt(bars, index, indicators, context = {}) {
+  if (index + 1 < MIN_SCORE_BARS) return null;
+
+  const factors = SCORE_FACTORS
+    .map(({ id, label, unit, weight, evaluate }) => {
+      const result = evaluate(bars, index, indicators, context);
+      return result ? { id, label, unit, weight, value: null, ...result } : null;
+    })
+    .filter(Boolean);
+  if (factors.length === 0) return null;
+
+  const totalWeight = factors.reduce((sum, factor) => sum + factor.weight, 0);
+  factors.forEach(factor => {
+    factor.appliedWeight = factor.weight / totalWeight;
+    factor.contribution = factor.score * factor.appliedWeight;
+  });
+  const score = Math.round(factors.reduce((sum, factor) => sum + factor.contribution, 0));
+
+  return {
+    score,
+    rating: rateScore(score),
+    trend: trendAt(bars, index, indicators),
+    entrySignal: factors.some(factor => factor.id === 'entrySignal' && factor.score === 100),
+    factors
+  };
+}
+
+// Factor result by id from a score (null when the factor was not applicable)
+export const getFactor = (result, id) => result?.factors.find(factor => factor.id === id) || null;
+
+// Raw value of a factor for display: '-1.24%', '1.8x', '22% of range', '2 bars', 'yes'
+export function formatFactorValue({ value, unit }) {
+  if (value === null || value === undefined) return '--';
+  switch (unit) {
+    case '%': return `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+    case 'x': return `${value.toFixed(2)}x`;
+    case 'range': return `${(value * 100).toFixed(0)}% of range`;
+    case 'bars': return `${value} bar${value === 1 ? '' : 's'}`;
+    case 'flag': return value ? 'yes' : 'no';
+    default: return String(value);
+  }
+}
+
+// One-line explanation from the largest contributions: 'Trend context +25.0, Volatility +10.0, ...'
+export function summarizeFactors(factors, count = 3) {
+  if (!factors || factors.length === 0) return '';
+  return [...factors]
+    .sort((a, b) => b.contribution - a.contribution)
+    .slice(0, count)
+    .map(factor => `${factor.label} +${factor.contribution.toFixed(1)}`)
+    .join(', ');
+}
+
+/**
+ * Score the latest bar of a candle series.
+ * Pass `indicators` (SCORE_INDICATORS arrays for the same candles, e.g. from an IndicatorSeries) to skip recomputing them.
+ */
+export function scoreCandles(candles, context = {}, indicators = null) {
+  if (!candles || candles.length < MIN_SCORE_BARS) return null;
+
+  const bars = normalizeBars(candles);
+  return scoreAt(bars, bars.length - 1, indicators || computeIndicators(bars, SCORE_INDICATORS), context);
+}
+
+// Score of every bar in a series (null entries during warm-up), e.g. for backtesting
+export function scoreSeries(candles, context = {}) {
+  const bars = normalizeBars(candles);
+  const indicators = computeIndicators(bars, SCORE_INDICATORS);
+  return bars.map((bar, index) => scoreAt(bars, index, indicators, context));
+}
@@ -1,7 +1,16 @@
 // /dashboard/lib/enhancedDataService.js
 // Integrated data service combining crypto data, Dr. Paul signals, and volume analysis
+//
+// The one place the live Dr. Paul score is computed and recorded. Each symbol/timeframe stream scores the
+// full candle feed (the 250 bars cryptoDataService keeps) with the symbol's market context - the exchange
+// ticker's 24h change - and writes the score timeline; views subscribe to the stream instead of scoring.
 
 import cryptoDataService from './cryptoDataService';
+import { IndicatorSeries, computeIndicators } from './indicators';
+import { SCORE_INDICATORS, scoreCandles, getFactor } from './drPaulScore';
+import scoreHistory from './scoreHistory';
+
+const MARKET_CONTEXT_MAX_AGE = 60000; // Refresh the 24h change at most once a minute
 
 class EnhancedDataService {
   constructor() {
@@ -10,23 +19,28 @@ class EnhancedDataService {
     this.drPaulSignals = new Map();
     this.marketAnalysis = new Map();
     this.updateIntervals = new Map();
+    this.provenance = new Map();
+    this.indicatorSeries = new Map();
+    this.marketContexts = new Map(); // symbol -> { priceChange24h, timestamp }
+    this.contextRequests = new Map();
     
     console.log('🧠 Enhanced Data Service initialized with Dr. Paul + Volume Profile integration');
   }
 
-  // Subscribe to enhanced data (crypto + Dr. Paul + volume analysis)
-  subscribe(symbol, callback) {
-    const key = `enhanced_${symbol}`;
+  // Subscribe to enhanced data (crypto + Dr. Paul + volume analysis) for one symbol/timeframe stream.
+  // Subscribing also keeps the stream's score timeline recorded while anyone watches it.
+  subscribe(symbol, callback, timeframe = '1m') {
+    const key = `${symbol}_${timeframe}`;
     
     if (!this.subscribers.has(key)) {
       this.subscribers.set(key, new Set());
-      this.startEnhancedDataUpdates(symbol, key);
+      this.startEnhancedDataUpdates(symbol, timeframe, key);
     }
     
     this.subscribers.get(key).add(callback);
     
     // Return current data if available
-    const currentData = this.getEnhancedData(symbol);
+    const currentData = this.getEnhancedData(symbol, timeframe);
     if (currentData) {
       callback(currentData);
     }
@@ -35,330 +49,184 @@ class EnhancedDataService {
     return () => {
       this.subscribers.get(key)?.delete(callback);
       if (this.subscribers.get(key)?.size === 0) {
-        this.stopEnhancedDataUpdates(symbol, key);
+        this.stopEnhancedDataUpdates(key);
       }
     };
   }
 
   // Start enhanced data updates
-  startEnhancedDataUpdates(symbol, key) {
-    console.log(`🔄 Starting enhanced data updates for ${symbol}`);
+  startEnhancedDataUpdates(symbol, timeframe, key) {
+    console.log(`🔄 Starting enhanced data updates for ${key}`);
     
-    // Subscribe to crypto data
-    const cryptoUnsubscribe = cryptoDataService.subscribe(symbol, '1m', (candleData) => {
-      this.processCandleData(symbol, candleData);
-    });
+    // Registered first: cryptoDataService replays cached candles synchronously on subscribe
+    const stream = { symbol, timeframe, interval: null, cryptoUnsubscribe: () => {} };
+    this.updateIntervals.set(key, stream);
     
     // Set up periodic analysis updates
-    const interval = setInterval(() => {
-      this.updateMarketAnalysis(symbol);
+    stream.interval = setInterval(() => {
+      this.updateMarketAnalysis(key);
     }, 5000); // Update every 5 seconds
     
-    this.updateIntervals.set(key, { interval, cryptoUnsubscribe });
+    // Subscribe to crypto data
+    stream.cryptoUnsubscribe = cryptoDataService.subscribe(symbol, timeframe, (candleData, provenance) => {
+      this.processCandleData(key, candleData, provenance);
+    });
   }
 
   // Process incoming candle data and add indicators
-  processCandleData(symbol, rawCandleData) {
-    if (!rawCandleData || rawCandleData.length === 0) return;
+  processCandleData(key, rawCandleData, provenance) {
+    const { symbol, timeframe } = this.updateIntervals.get(key) || {};
+    if (!symbol) return;
+    
+    // Keep where the candles came from so subscribers can flag simulated data
+    this.provenance.set(key, provenance || null);
+    
+    if (!rawCandleData || rawCandleData.length === 0) {
+      this.candleData.set(key, []);
+      this.drPaulSignals.delete(key);
+      this.indicatorSeries.delete(key);
+      this.notifySubscribers(key);
+      return;
+    }
     
-    // Add technical indicators to candle data
-    const enhancedCandles = this.addTechnicalIndicators(rawCandleData);
+    // Add technical indicators to candle data (incrementally per stream)
+    if (!this.indicatorSeries.has(key)) {
+      this.indicatorSeries.set(key, new IndicatorSeries(SCORE_INDICATORS));
+    }
+    const indicators = this.indicatorSeries.get(key).update(rawCandleData);
+    const enhancedCandles = this.addTechnicalIndicators(rawCandleData, indicators);
     
     // Store enhanced candle data
-    this.candleData.set(symbol, enhancedCandles);
+    this.candleData.set(key, enhancedCandles);
     
     // Update Dr. Paul signals based on new data
-    this.updateDrPaulSignals(symbol, enhancedCandles);
-    
-    // Notify subscribers with enhanced data
-    this.notifySubscribers(symbol);
-  }
-
-  // Add technical indicators to candle data
-  addTechnicalIndicators(candleData) {
-    const enhanced = [...candleData];
-    
-    // Calculate moving averages
-    for (let i = 0; i < enhanced.length; i++) {
-      const prices = enhanced.slice(Math.max(0, i - 200), i + 1).map(c => c.close);
-      
-      // 9 EMA
-      if (i >= 8) {
-        enhanced[i].ma9 = this.calculateEMA(prices.slice(-9), 9);
-      }
-      
-      // 21 MA
-      if (i >= 20) {
-        enhanced[i].ma21 = this.calculateSMA(prices.slice(-21));
-      }
-      
-      // 200 MA
-      if (i >= 199) {
-        enhanced[i].ma200 = this.calculateSMA(prices.slice(-200));
-      }
+    const signals = this.scoreMarket(symbol, rawCandleData, indicators);
+    if (signals) {
+      this.drPaulSignals.set(key, signals);
+    } else {
+      this.drPaulSignals.delete(key);
     }
     
-    return enhanced;
-  }
-
-  // Calculate Simple Moving Average
-  calculateSMA(prices) {
-    if (!prices || prices.length === 0) return null;
-    const sum = prices.reduce((a, b) => a + b, 0);
-    return sum / prices.length;
-  }
-
-  // Calculate Exponential Moving Average
-  calculateEMA(prices, period) {
-    if (!prices || prices.length === 0) return null;
-    if (prices.length === 1) return prices[0];
-    
-    const multiplier = 2 / (period + 1);
-    let ema = prices[0];
-    
-    for (let i = 1; i < prices.length; i++) {
-      ema = (prices[i] * multiplier) + (ema * (1 - multiplier));
+    // Keep the score timeline (real candles only) - the only writer of scoreHistory
+    if (signals && !provenance?.simulated) {
+      scoreHistory.record(symbol, timeframe, this.scoreSnapshot(rawCandleData, signals));
     }
     
-    return ema;
-  }
-
-  // Update Dr. Paul's signals
-  updateDrPaulSignals(symbol, candleData) {
-    if (!candleData || candleData.length < 21) return;
-    
-    const currentCandle = candleData[candleData.length - 1];
-    const currentPrice = currentCandle.close;
-    
-    // Dr. Paul's methodology analysis
-    const signals = {
-      trend: this.determineTrend(candleData),
-      entrySignal: this.detectEntrySignal(candleData),
-      signalQuality: this.calculateSignalQuality(candleData),
-      whaleAccumulation: this.analyzeWhaleActivity(candleData),
-      pullbackOpportunity: this.detectPullback(candleData),
-      overallScore: 0,
-      timestamp: Date.now()
-    };
-
-    // Calculate overall score
-    signals.overallScore = this.calculateOverallScore(signals);
+    this.updateMarketAnalysis(key);
     
-    this.drPaulSignals.set(symbol, signals);
+    // Notify subscribers with enhanced data
+    this.notifySubscribers(key);
   }
 
-  // Determine trend using Dr. Paul's methodology
-  determineTrend(candleData) {
-    const recent = candleData.slice(-20);
-    const currentPrice = recent[recent.length - 1].close;
-    const ma21 = recent[recent.length - 1].ma21;
-    const ma200 = recent[recent.length - 1].ma200;
-    
-    if (!ma21 || !ma200) return 'neutral';
-    
-    // Counter-trend approach: look for opposing signals
-    if (currentPrice > ma21 && ma21 > ma200) {
-      // Strong uptrend - look for bearish pullback
-      return 'bullish';
-    } else if (currentPrice < ma21 && ma21 < ma200) {
-      // Strong downtrend - look for bullish bounce  
-      return 'bearish';
-    }
-    
-    return 'neutral';
+  // Add the 9 EMA / 21 MA / 200 MA to copies of the candles
+  addTechnicalIndicators(candleData, { ma9, ma21, ma200 }) {
+    return candleData.map((candle, index) => ({
+      ...candle,
+      ma9: ma9[index],
+      ma21: ma21[index],
+      ma200: ma200[index]
+    }));
   }
 
-  // Detect entry signals based on Dr. Paul's counter-trend methodology
-  detectEntrySignal(candleData) {
-    const recent = candleData.slice(-10);
-    if (recent.length < 10) return false;
-    
-    const currentPrice = recent[recent.length - 1].close;
-    const ma9 = recent[recent.length - 1].ma9;
-    const ma21 = recent[recent.length - 1].ma21;
-    
-    if (!ma9 || !ma21) return false;
-    
-    // Look for counter-trend entry opportunities
-    const priceAboveMA9 = currentPrice > ma9;
-    const ma9AboveMA21 = ma9 > ma21;
-    
-    // Volume analysis for confirmation
-    const volumeSpike = this.detectVolumeSpike(recent);
-    
-    return (priceAboveMA9 && ma9AboveMA21 && volumeSpike) || 
-           (!priceAboveMA9 && !ma9AboveMA21 && volumeSpike);
+  // Score a candle series without subscribing (API routes, server-side callers, generated demo data)
+  // context: { priceChange24h } enables the market-fear factor of the score
+  analyzeCandles(candleData, context = {}) {
+    const indicators = computeIndicators(candleData, SCORE_INDICATORS);
+    return {
+      candles: this.addTechnicalIndicators(candleData, indicators),
+      signals: this.buildDrPaulSignals(candleData, indicators, context)
+    };
   }
 
-  // Detect volume spikes
-  detectVolumeSpike(candleData) {
-    if (candleData.length < 5) return false;
-    
-    const currentVolume = candleData[candleData.length - 1].volume;
-    const avgVolume = candleData.slice(-5, -1).reduce((sum, c) => sum + c.volume, 0) / 4;
-    
-    return currentVolume > avgVolume * 1.5; // 50% above average
+  /**
+   * The Dr. Paul score of a symbol's market: the full candle feed (pass all of it, not a slice - the
+   * 200 MA needs the history) scored with the symbol's market context. Every live score goes through here,
+   * so a symbol/timeframe shows one score everywhere.
+   */
+  scoreMarket(symbol, candleData, indicators = null) {
+    return this.buildDrPaulSignals(candleData, indicators || computeIndicators(candleData, SCORE_INDICATORS), this.getMarketContext(symbol));
   }
 
-  // Calculate signal quality score
-  calculateSignalQuality(candleData) {
-    let score = 0;
-    const recent = candleData.slice(-20);
-    
-    if (recent.length < 20) return 0;
-    
-    const currentCandle = recent[recent.length - 1];
-    
-    // Moving average alignment
-    if (currentCandle.ma9 && currentCandle.ma21) {
-      if (Math.abs(currentCandle.ma9 - currentCandle.ma21) / currentCandle.close < 0.02) {
-        score += 20; // MAs close together
-      }
-    }
-    
-    // Volume confirmation
-    if (this.detectVolumeSpike(recent.slice(-5))) {
-      score += 25;
-    }
-    
-    // Price action quality
-    const volatility = this.calculateVolatility(recent);
-    if (volatility > 0.01 && volatility < 0.05) { // Sweet spot volatility
-      score += 20;
+  // { priceChange24h } from the exchange 24h ticker ({} until the first ticker arrives); a stale
+  // context is refreshed in the background and the symbol's streams are rescored when it lands
+  getMarketContext(symbol) {
+    const cached = this.marketContexts.get(symbol);
+    if (!cached || Date.now() - cached.timestamp > MARKET_CONTEXT_MAX_AGE) {
+      this.refreshMarketContext(symbol);
     }
-    
-    // Trend strength
-    const trendStrength = this.calculateTrendStrength(recent);
-    score += Math.min(35, trendStrength * 35);
-    
-    return Math.min(100, score);
-  }
-
-  // Analyze whale accumulation patterns
-  analyzeWhaleActivity(candleData) {
-    const recent = candleData.slice(-10);
-    let whaleScore = 0;
-    
-    for (const candle of recent) {
-      // Large volume with small price movement = potential accumulation
-      const priceMove = Math.abs(candle.close - candle.open) / candle.open;
-      const volumeRatio = candle.volume / (recent.reduce((sum, c) => sum + c.volume, 0) / recent.length);
-      
-      if (volumeRatio > 1.5 && priceMove < 0.01) {
-        whaleScore += 10;
-      }
-    }
-    
-    return Math.min(100, whaleScore);
-  }
-
-  // Detect pullback opportunities
-  detectPullback(candleData) {
-    const recent = candleData.slice(-15);
-    if (recent.length < 15) return 0;
-    
-    // Look for retracement patterns
-    const highs = recent.map(c => c.high);
-    const lows = recent.map(c => c.low);
-    
-    const recentHigh = Math.max(...highs.slice(-5));
-    const recentLow = Math.min(...lows.slice(-5));
-    const currentPrice = recent[recent.length - 1].close;
-    
-    // Calculate pullback percentage
-    const pullbackFromHigh = (recentHigh - currentPrice) / recentHigh;
-    const bounceFromLow = (currentPrice - recentLow) / recentLow;
-    
-    return Math.max(pullbackFromHigh, bounceFromLow) * 100;
+    return cached && cached.priceChange24h !== null ? { priceChange24h: cached.priceChange24h } : {};
   }
 
-  // Calculate volatility
-  calculateVolatility(candleData) {
-    if (candleData.length < 10) return 0;
-    
-    const returns = [];
-    for (let i = 1; i < candleData.length; i++) {
-      const ret = (candleData[i].close - candleData[i-1].close) / candleData[i-1].close;
-      returns.push(ret);
-    }
-    
-    const mean = returns.reduce((sum, ret) => sum + ret, 0) / returns.length;
-    const variance = returns.reduce((sum, ret) => sum + Math.pow(ret - mean, 2), 0) / returns.length;
-    
-    return Math.sqrt(variance);
+  refreshMarketContext(symbol) {
+    if (this.contextRequests.has(symbol)) return this.contextRequests.get(symbol);
+    
+    const request = cryptoDataService.fetchTickerWithFailover(symbol)
+      .then(({ change }) => {
+        const previous = this.marketContexts.get(symbol);
+        const priceChange24h = Number.isFinite(change) ? change : null;
+        this.marketContexts.set(symbol, { priceChange24h, timestamp: Date.now() });
+        if (previous?.priceChange24h !== priceChange24h) this.rescoreSymbol(symbol);
+      })
+      .catch(error => {
+        console.warn(`⚠️ No 24h change for ${symbol}: ${error.message}`);
+        this.marketContexts.set(symbol, { priceChange24h: this.marketContexts.get(symbol)?.priceChange24h ?? null, timestamp: Date.now() });
+      })
+      .finally(() => this.contextRequests.delete(symbol));
+    
+    this.contextRequests.set(symbol, request);
+    return request;
   }
 
-  // Calculate trend strength
-  calculateTrendStrength(candleData) {
-    if (candleData.length < 10) return 0;
-    
-    const closes = candleData.map(c => c.close);
-    const startPrice = closes[0];
-    const endPrice = closes[closes.length - 1];
-    
-    const totalMove = Math.abs(endPrice - startPrice) / startPrice;
-    const consistency = this.calculateTrendConsistency(closes);
-    
-    return Math.min(1, totalMove * consistency);
+  // Re-run the latest feed of every stream of a symbol (after its market context changed)
+  rescoreSymbol(symbol) {
+    this.updateIntervals.forEach(({ symbol: streamSymbol }, key) => {
+      const candles = this.candleData.get(key);
+      if (streamSymbol === symbol && candles && candles.length > 0) {
+        this.processCandleData(key, candles, this.provenance.get(key));
+      }
+    });
   }
 
-  // Calculate trend consistency
-  calculateTrendConsistency(prices) {
-    let consistent = 0;
-    const isUptrend = prices[prices.length - 1] > prices[0];
-    
-    for (let i = 1; i < prices.length; i++) {
-      const moveInTrendDirection = isUptrend ? 
-        prices[i] > prices[i-1] : 
-        prices[i] < prices[i-1];
-      
-      if (moveInTrendDirection) {
-        consistent++;
-      }
-    }
-    
-    return consistent / (prices.length - 1);
+  // Score history point for the latest candle
+  scoreSnapshot(candleData, signals) {
+    const latest = candleData[candleData.length - 1];
+    return { timestamp: latest.timestamp, score: signals.overallScore, rating: signals.rating, price: latest.close };
   }
 
-  // Calculate overall Dr. Paul score
-  calculateOverallScore(signals) {
-    let score = 0;
-    
-    // Signal quality weight
-    score += signals.signalQuality * 0.3;
-    
-    // Whale accumulation weight
-    score += signals.whaleAccumulation * 0.25;
+  // Dr. Paul's setup score for the latest candle (see drPaulScore for the factors)
+  buildDrPaulSignals(candleData, indicators, context = {}) {
+    const result = scoreCandles(candleData, context, indicators);
+    if (!result) return null;
     
-    // Pullback opportunity weight
-    score += Math.min(50, signals.pullbackOpportunity * 2) * 0.2;
-    
-    // Entry signal bonus
-    if (signals.entrySignal) {
-      score += 25;
-    }
-    
-    return Math.min(100, score);
+    return {
+      trend: result.trend,
+      entrySignal: result.entrySignal,
+      whaleAccumulation: getFactor(result, 'whaleAccumulation')?.score ?? null,
+      overallScore: result.score,
+      rating: result.rating,
+      factors: result.factors,
+      timestamp: Date.now()
+    };
   }
 
   // Update market analysis
-  updateMarketAnalysis(symbol) {
-    const candleData = this.candleData.get(symbol);
-    const drPaulSignals = this.drPaulSignals.get(symbol);
+  updateMarketAnalysis(key) {
+    const candleData = this.candleData.get(key);
+    const { symbol } = this.updateIntervals.get(key) || {};
     
-    if (!candleData || !drPaulSignals) return;
+    if (!candleData || !symbol) return;
     
     const currentPrice = candleData[candleData.length - 1]?.close || 0;
     
     const analysis = {
       currentPrice,
-      priceChange24h: this.calculate24hChange(candleData),
+      priceChange24h: this.getMarketContext(symbol).priceChange24h ?? this.calculate24hChange(candleData),
       volume24h: this.calculate24hVolume(candleData),
       marketCap: currentPrice * 120000000, // Approximate ETH supply
       timestamp: Date.now()
     };
     
-    this.marketAnalysis.set(symbol, analysis);
+    this.marketAnalysis.set(key, analysis);
   }
 
   // Calculate 24h price change
@@ -382,31 +250,34 @@ class EnhancedDataService {
     return last24h.reduce((sum, candle) => sum + candle.volume, 0);
   }
 
-  // Get enhanced data for a symbol
-  getEnhancedData(symbol) {
-    const candleData = this.candleData.get(symbol);
-    const drPaulSignals = this.drPaulSignals.get(symbol);
-    const marketAnalysis = this.marketAnalysis.get(symbol);
+  // Get enhanced data for a symbol/timeframe stream; drPaulSignals is null while the feed is too short
+  // to score, historicalData empty when no data is available (see provenance.error)
+  getEnhancedData(symbol, timeframe = '1m') {
+    const key = `${symbol}_${timeframe}`;
+    const candleData = this.candleData.get(key);
     
-    if (!candleData || !drPaulSignals || !marketAnalysis) {
+    if (!candleData || !this.provenance.has(key)) {
       return null;
     }
     
+    const marketAnalysis = this.marketAnalysis.get(key) || {};
     return {
       historicalData: candleData,
-      drPaulSignals,
-      currentPrice: marketAnalysis.currentPrice,
-      priceChange24h: marketAnalysis.priceChange24h,
-      volume24h: marketAnalysis.volume24h,
-      marketCap: marketAnalysis.marketCap,
-      timestamp: marketAnalysis.timestamp
+      drPaulSignals: this.drPaulSignals.get(key) || null,
+      currentPrice: marketAnalysis.currentPrice ?? null,
+      priceChange24h: marketAnalysis.priceChange24h ?? null,
+      volume24h: marketAnalysis.volume24h ?? null,
+      marketCap: marketAnalysis.marketCap ?? null,
+      provenance: this.provenance.get(key),
+      timestamp: marketAnalysis.timestamp ?? Date.now()
     };
   }
 
   // Notify subscribers
-  notifySubscribers(symbol) {
-    const key = `enhanced_${symbol}`;
-    const enhancedData = this.getEnhancedData(symbol);
+  notifySubscribers(key) {
+    const { symbol, timeframe } = this.updateIntervals.get(key) || {};
+    if (!symbol) return;
+    const enhancedData = this.getEnhancedData(symbol, timeframe);
     
     if (!enhancedData) return;
     
@@ -423,8 +294,8 @@ class EnhancedDataService {
   }
 
   // Stop enhanced data updates
-  stopEnhancedDataUpdates(symbol, key) {
-    console.log(`🛑 Stopping enhanced data updates for ${symbol}`);
+  stopEnhancedDataUpdates(key) {
+    console.log(`🛑 Stopping enhanced data updates for ${key}`);
     
     const intervals = this.updateIntervals.get(key);
     if (intervals) {
@@ -433,9 +304,12 @@ class EnhancedDataService {
       this.updateIntervals.delete(key);
     }
     
-    this.candleData.delete(symbol);
-    this.drPaulSignals.delete(symbol);
-    this.marketAnalysis.delete(symbol);
+    this.subscribers.delete(key);
+    this.candleData.delete(key);
+    this.drPaulSignals.delete(key);
+    this.marketAnalysis.delete(key);
+    this.indicatorSeries.delete(key);
+    this.provenance.delete(key);
   }
 
   // Cleanup all subscriptions
@@ -452,6 +326,8 @@ class EnhancedDataService {
     this.candleData.clear();
     this.drPaulSignals.clear();
     this.marketAnalysis.clear();
+    this.indicatorSeries.clear();
+    this.provenance.clear();
   }
 }
 
@@ -0,0 +1,320 @@
+// /dashboard/lib/indicators.js
+// Technical indicators with one set of semantics for every component and service
+//
+// Each indicator is a stepper: init() -> state, step(state, bar) -> { state, value }, where state is
+// never mutated. Batch helpers (sma, ema, ...) run a stepper over a whole series; IndicatorSeries keeps
+// the stepper states between updates so appending a bar or revising the forming bar costs O(1).
+//
+// Conventions (shared by batch and incremental results):
+//   - Arrays stay aligned with the input; values are null until the indicator has warmed up
+//   - EMA seeds with the SMA of its first `period` values; RSI and ATR use Wilder smoothing
+//   - Bollinger uses the population standard deviation
+//   - VWAP resets at 00:00 UTC (session: 'day') or runs over the whole series (session: null)
+//   - Inputs are candles ({ timestamp, open, high, low, close, volume }) or plain numbers (close prices)
+
+const toBar = (item) => (typeof item === 'number' ? { open: item, high: item, low: item, close: item, volume: 0 } : item);
+
+const timeOf = (bar) => (typeof bar.timestamp === 'number' ? bar.timestamp : Date.parse(bar.timestamp));
+
+// Keep the last `length` values of a window without mutating it
+const pushWindow = (window, value, length) => {
+  const next = window.length >= length ? window.slice(window.length - length + 1) : window.slice();
+  next.push(value);
+  return next;
+};
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+export const INDICATORS = {
+  sma: ({ period = 20, source = 'close' } = {}) => ({
+    init: () => ({ window: [] }),
+    step: (state, bar) => {
+      const window = pushWindow(state.window, bar[source], period);
+      return { state: { window }, value: window.length === period ? mean(window) : null };
+    }
+  }),
+
+  wma: ({ period = 20, source = 'close' } = {}) => ({
+    init: () => ({ window: [] }),
+    step: (state, bar) => {
+      const window = pushWindow(state.window, bar[source], period);
+      if (window.length < period) return { state: { window }, value: null };
+
+      const weighted = window.reduce((sum, value, index) => sum + value * (index + 1), 0);
+      return { state: { window }, value: weighted / (period * (period + 1) / 2) };
+    }
+  }),
+
+  ema: ({ period = 20, source = 'close' } = {}) => {
+    const multiplier = 2 / (period + 1);
+    return {
+      init: () => ({ count: 0, seedSum: 0, value: null }),
+      step: (state, bar) => {
+        const price = bar[source];
+        const count = state.count + 1;
+
+        if (count < period) {
+          return { state: { count, seedSum: state.seedSum + price, value: null }, value: null };
+        }
+
+        const value = count === period
+          ? (state.seedSum + price) / period
+          : price * multiplier + state.value * (1 - multiplier);
+        return { state: { count, seedSum: 0, value }, value };
+      }
+    };
+  },
+
+  rsi: ({ period = 14, source = 'close' } = {}) => ({
+    init: () => ({ prev: null, count: 0, gainSum: 0, lossSum: 0, avgGain: null, avgLoss: null }),
+    step: (state, bar) => {
+      const price = bar[source];
+      if (state.prev === null) {
+        return { state: { ...state, prev: price }, value: null };
+      }
+
+      const change = price - state.prev;
+      const gain = Math.max(change, 0);
+      const loss = Math.max(-change, 0);
+      const count = state.count + 1;
+
+      if (count < period) {
+        return { state: { ...state, prev: price, count, gainSum: state.gainSum + gain, lossSum: state.lossSum + loss }, value: null };
+      }
+
+      const avgGain = count === period ? (state.gainSum + gain) / period : (state.avgGain * (period - 1) + gain) / period;
+      const avgLoss = count === period ? (state.lossSum + loss) / period : (state.avgLoss * (period - 1) + loss) / period;
+      const value = avgLoss === 0 ? (avgGain === 0 ? 50 : 100) : 100 - 100 / (1 + avgGain / avgLoss);
+
+      return { state: { prev: price, count, gainSum: 0, lossSum: 0, avgGain, avgLoss }, value };
+    }
+  }),
+
+  atr: ({ period = 14 } = {}) => ({
+    init: () => ({ prevClose: null, count: 0, trSum: 0, value: null }),
+    step: (state, bar) => {
+      const trueRange = state.prevClose === null
+        ? bar.high - bar.low
+        : Math.max(bar.high - bar.low, Math.abs(bar.high - state.prevClose), Math.abs(bar.low - state.prevClose));
+      const count = state.count + 1;
+
+      if (count < period) {
+        return { state: { prevClose: bar.close, count, trSum: state.trSum + trueRange, value: null }, value: null };
+      }
+
+      const value = count === period ? (state.trSum + trueRange) / period : (state.value * (period - 1) + trueRange) / period;
+      return { state: { prevClose: bar.close, count, trSum: 0, value }, value };
+    }
+  }),
+
+  macd: ({ fast = 12, slow = 26, signal = 9, source = 'close' } = {}) => {
+    const fastEma = INDICATORS.ema({ period: fast, source });
+    const slowEma = INDICATORS.ema({ period: slow, source });
+    const signalEma = INDICATORS.ema({ period: signal, source: 'macd' });
+
+    return {
+      init: () => ({ fast: fastEma.init(), slow: slowEma.init(), signal: signalEma.init() }),
+      step: (state, bar) => {
+        const fastStep = fastEma.step(state.fast, bar);
+        const slowStep = slowEma.step(state.slow, bar);
+
+        if (fastStep.value === null || slowStep.value === null) {
+          return { state: { fast: fastStep.state, slow: slowStep.state, signal: state.signal }, value: null };
+        }
+
+        const macd = fastStep.value - slowStep.value;
+        const signalStep = signalEma.step(state.signal, { macd });
+        return {
+          state: { fast: fastStep.state, slow: slowStep.state, signal: signalStep.state },
+          value: {
+            macd,
+            signal: signalStep.value,
+            histogram: signalStep.value === null ? null : macd - signalStep.value
+          }
+        };
+      }
+    };
+  },
+
+  bollinger: ({ period = 20, multiplier = 2, source = 'close' } = {}) => ({
+    init: () => ({ window: [] }),
+    step: (state, bar) => {
+      const window = pushWindow(state.window, bar[source], period);
+      if (window.length < period) return { state: { window }, value: null };
+
+      const middle = mean(window);
+      const deviation = Math.sqrt(mean(window.map(value => (value - middle) ** 2)));
+      return {
+        state: { window },
+        value: { middle, upper: middle + multiplier * deviation, lower: middle - multiplier * deviation }
+      };
+    }
+  }),
+
+  vwap: ({ session = 'day' } = {}) => ({
+    init: () => ({ session: null, priceVolume: 0, volume: 0 }),
+    step: (state, bar) => {
+      const typical = (bar.high + bar.low + bar.close) / 3;
+      const volume = bar.volume || 0;
+      const barSession = session === 'day' ? Math.floor(timeOf(bar) / 86400000) : 0;
+      const carried = barSession === state.session ? state : { priceVolume: 0, volume: 0 };
+
+      const priceVolume = carried.priceVolume + typical * volume;
+      const totalVolume = carried.volume + volume;
+      return {
+        state: { session: barSession, priceVolume, volume: totalVolume },
+        value: totalVolume > 0 ? priceVolume / totalVolume : typical
+      };
+    }
+  }),
+
+  obv: () => ({
+    init: () => ({ prevClose: null, value: 0 }),
+    step: (state, bar) => {
+      let value = state.value;
+      if (state.prevClose !== null && bar.close > state.prevClose) value += bar.volume || 0;
+      if (state.prevClose !== null && bar.close < state.prevClose) value -= bar.volume || 0;
+      return { state: { prevClose: bar.close, value }, value };
+    }
+  })
+};
+
+// Run one indicator over a whole series
+const runIndicator = (indicator, data) => {
+  const values = [];
+  let state = indicator.init();
+
+  data.forEach(item => {
+    const result = indicator.step(state, toBar(item));
+    state = result.state;
+    values.push(result.value);
+  });
+
+  return values;
+};
+
+export const sma = (data, period = 20, options = {}) => runIndicator(INDICATORS.sma({ period, ...options }), data);
+export const wma = (data, period = 20, options = {}) => runIndicator(INDICATORS.wma({ period, ...options }), data);
+export const ema = (data, period = 20, options = {}) => runIndicator(INDICATORS.ema({ period, ...options }), data);
+export const rsi = (data, period = 14, options = {}) => runIndicator(INDICATORS.rsi({ period, ...options }), data);
+export const atr = (candles, period = 14) => runIndicator(INDICATORS.atr({ period }), candles);
+export const macd = (data, options = {}) => runIndicator(INDICATORS.macd(options), data);
+export const bollinger = (data, period = 20, multiplier = 2, options = {}) => runIndicator(INDICATORS.bollinger({ period, multiplier, ...options }), data);
+export const vwap = (candles, options = {}) => runIndicator(INDICATORS.vwap(options), candles);
+export const obv = (candles) => runIndicator(INDICATORS.obv(), candles);
+
+// Last non-null value of an indicator array
+export const lastValue = (values) => {
+  for (let i = values.length - 1; i >= 0; i--) {
+    if (values[i] !== null && values[i] !== undefined) return values[i];
+  }
+  return null;
+};
+
+// Two bars match when nothing the indicators read has changed
+const barSignature = (bar) => `${bar.timestamp}|${bar.open}|${bar.high}|${bar.low}|${bar.close}|${bar.volume}`;
+
+/**
+ * Indicator values kept in step with a candle series that grows at the end.
+ * specs: { name: { type, ...options } }, e.g. { ema9: { type: 'ema', period: 9 }, rsi14: { type: 'rsi' } }
+ *
+ * update(candles) recognises the cheap cases and falls back to a full recompute otherwise:
+ *   revise - same bars, forming bar changed     -> restep the last bar
+ *   append - one new bar, series grew           -> restep the previous bar, step the new one
+ *   slide  - one new bar, oldest bar dropped    -> recompute over the visible bars
+ *   reset  - anything else (new symbol, gaps)   -> recompute from scratch
+ * A slide recomputes so every value (warm-up nulls and recursive EMA/RSI/ATR/OBV/VWAP included) matches a
+ * batch run over the same bars; that is once per new bar, revisions of the forming bar stay O(1).
+ * Only the last bars are compared, so call reset() when the series is replaced wholesale (new symbol/timeframe).
+ */
+export class IndicatorSeries {
+  constructor(specs) {
+    this.specs = specs;
+    this.indicators = Object.fromEntries(Object.entries(specs).map(([name, { type, ...options }]) => {
+      if (!INDICATORS[type]) throw new Error(`Unknown indicator type: ${type}`);
+      return [name, INDICATORS[type](options)];
+    }));
+    this.reset();
+  }
+
+  reset() {
+    this.values = Object.fromEntries(Object.keys(this.indicators).map(name => [name, []]));
+    this.baseStates = null; // State after the second-to-last bar
+    this.baseBar = null;
+    this.lastBar = null;
+    this.length = 0;
+  }
+
+  // Bring the values in line with `candles`; returns the aligned arrays ({ name: values[] })
+  update(candles) {
+    const bars = candles.map(toBar);
+    const count = bars.length;
+    const last = bars[count - 1];
+    const previous = bars[count - 2];
+
+    if (count === 0) {
+      this.reset();
+      this.mode = 'reset';
+    } else if (this.lastBar && count === this.length && timeOf(last) === timeOf(this.lastBar) && this.matchesBase(previous)) {
+      this.mode = barSignature(last) === barSignature(this.lastBar) ? 'unchanged' : 'revise';
+      if (this.mode === 'revise') this.stepLast(this.baseStates, last, count);
+    } else if (this.lastBar && previous && timeOf(previous) === timeOf(this.lastBar) && count <= this.length) {
+      this.mode = 'slide';
+      this.recompute(bars);
+    } else if (this.lastBar && previous && timeOf(previous) === timeOf(this.lastBar) && this.matchesBase(bars[count - 3])) {
+      this.mode = 'append';
+      const baseStates = this.stepBar(this.baseStates, previous, count - 2);
+      this.baseBar = previous;
+      this.baseStates = baseStates;
+      this.stepLast(baseStates, last, count);
+    } else {
+      this.mode = 'reset';
+      this.recompute(bars);
+    }
+
+    this.length = count;
+    return this.values;
+  }
+
+  // Latest value of one indicator
+  latest(name) {
+    const values = this.values[name];
+    return values && values.length > 0 ? values[values.length - 1] : null;
+  }
+
+  matchesBase(bar) {
+    if (!this.baseBar || !bar) return !this.baseBar && !bar;
+    return barSignature(bar) === barSignature(this.baseBar);
+  }
+
+  // Step every indicator over one bar from the given states, writing values at `index`
+  stepBar(states, bar, index) {
+    const nextStates = {};
+    Object.entries(this.indicators).forEach(([name, indicator]) => {
+      const result = indicator.step(states ? states[name] : indicator.init(), bar);
+      nextStates[name] = result.state;
+      this.values[name][index] = result.value;
+    });
+    return nextStates;
+  }
+
+  stepLast(baseStates, bar, count) {
+    this.stepBar(baseStates, bar, count - 1);
+    this.lastBar = bar;
+  }
+
+  recompute(bars) {
+    this.reset();
+
+    let states = null;
+    bars.slice(0, -1).forEach((bar, index) => {
+      states = this.stepBar(states, bar, index);
+    });
+    this.baseStates = states;
+    this.baseBar = bars.length > 1 ? bars[bars.length - 2] : null;
+    this.stepLast(states, bars[bars.length - 1], bars.length);
+  }
+}
+
+// Batch convenience: every indicator in `specs` over `candles` ({ name: values[] })
+export const computeIndicators = (candles, specs) => new IndicatorSeries(specs).update(candles);
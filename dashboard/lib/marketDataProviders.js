@@ -0,0 +1,332 @@
+// /dashboard/lib/marketDataProviders.js
+// Market data providers behind CryptoDataService
+//
+// Every provider exposes the same surface so the service can pick a source per
+// symbol and fail over between sources in order (provider symbol ids come from symbolRegistry.js):
+//   name                                   - unique provider id ('coingecko', 'binance', 'fixture')
+//   supports(symbol)                       - whether the provider can serve the symbol
+//   fetchCandles(symbol, timeframe, reqs)  - candles [{ timestamp (ms), open, high, low, close, volume, quality }]
+//                                            (reqs.startTime, when set, asks for bars from that time on)
+//   fetchTicker(symbol)                    - { price, change, volume } (change = 24h % change, volume = 24h quote volume)
+//
+// All HTTP goes through requestScheduler so providers share rate-limit budgets and coalesce requests.
+//
+// Candle quality tells consumers how much to trust OHLCV:
+//   native    - exchange OHLCV for the requested interval, per-bar volume
+//   resampled - aggregated from finer native candles
+//   synthetic - OHLC guessed from price samples or generated, volume estimated
+
+import requestScheduler from './requestScheduler';
+import { getProviderId } from './symbolRegistry';
+
+export const CANDLE_QUALITY = {
+  NATIVE: 'native',
+  RESAMPLED: 'resampled',
+  SYNTHETIC: 'synthetic'
+};
+
+const COINGECKO_API = 'https://api.coingecko.com/api/v3';
+
+// One simple/price URL for every caller so identical polls coalesce in the scheduler
+export const coinGeckoSimplePriceUrl = (coinIds, baseUrl = COINGECKO_API) => (
+  `${baseUrl}/simple/price?ids=${coinIds}&vs_currencies=usd&include_24hr_change=true&include_24hr_vol=true&include_market_cap=true`
+);
+
+const BINANCE_INTERVALS = ['1m', '3m', '5m', '15m', '30m', '1h', '4h', '1d'];
+
+/**
+ * Normalize an exchange klines-style response into candles.
+ * Accepts Binance array rows [openTime, open, high, low, close, volume, closeTime, quoteVolume, trades, ...]
+ * as well as object rows ({ openTime|t|timestamp, open|o, high|h, low|l, close|c, volume|v }).
+ */
+export const parseKlines = (rows, quality = CANDLE_QUALITY.NATIVE) => {
+  return rows
+    .map(row => {
+      if (Array.isArray(row)) {
+        return {
+          timestamp: Number(row[0]),
+          open: Number(row[1]),
+          high: Number(row[2]),
+          low: Number(row[3]),
+          close: Number(row[4]),
+          volume: Number(row[5]),
+          quoteVolume: row[7] !== undefined ? Number(row[7]) : null,
+          trades: row[8] !== undefined ? Number(row[8]) : null,
+          quality
+        };
+      }
+
+      return {
+        timestamp: new Date(row.openTime ?? row.t ?? row.timestamp).getTime(),
+        open: Number(row.open ?? row.o),
+        high: Number(row.high ?? row.h),
+        low: Number(row.low ?? row.l),
+        close: Number(row.close ?? row.c),
+        volume: Number(row.volume ?? row.v) || 0,
+        quoteVolume: row.quoteVolume ?? row.q ?? null,
+        trades: row.trades ?? row.n ?? null,
+        quality: row.quality || quality
+      };
+    })
+    .filter(candle => Number.isFinite(candle.timestamp) && candle.close > 0)
+    .sort((a, b) => a.timestamp - b.timestamp);
+};
+
+/**
+ * CoinGecko REST provider (market_chart + simple/price)
+ */
+export class CoinGeckoProvider {
+  constructor({ baseUrl = COINGECKO_API } = {}) {
+    this.name = 'coingecko';
+    this.baseUrl = baseUrl;
+  }
+
+  supports(symbol) {
+    return Boolean(getProviderId(symbol, this.name));
+  }
+
+  // Determine days/interval for market_chart based on the period length
+  getRequestWindow(requirements) {
+    const totalMinutes = requirements.periodsNeeded * requirements.minutesPerPeriod;
+    const daysNeeded = Math.ceil(totalMinutes / 1440);
+
+    let interval;
+    if (requirements.minutesPerPeriod <= 5) {
+      interval = 'minutely'; // Only available for last 1 day
+    } else if (requirements.minutesPerPeriod <= 60) {
+      interval = 'hourly';
+    } else {
+      interval = 'daily';
+    }
+
+    // Adjust days based on CoinGecko limits
+    let days = Math.min(daysNeeded, 365); // Max 1 year
+    if (interval === 'minutely') {
+      days = 1; // CoinGecko minutely data only available for 1 day
+    }
+
+    return { days, interval };
+  }
+
+  async fetchCandles(symbol, timeframe, requirements) {
+    const coinId = getProviderId(symbol, this.name);
+    if (!coinId) {
+      throw new Error(`No CoinGecko mapping for ${symbol}`);
+    }
+
+    const { days, interval } = this.getRequestWindow(requirements);
+    console.log(`🌐 CoinGecko: requesting ${days} days with ${interval} interval for ${symbol}`);
+
+    const url = `${this.baseUrl}/coins/${coinId}/market_chart?vs_currency=usd&days=${days}&interval=${interval}`;
+    const data = await requestScheduler.fetchJson(url, { provider: this.name });
+
+    if (!data.prices || !Array.isArray(data.prices) || data.prices.length === 0) {
+      throw new Error('No historical price data received');
+    }
+
+    console.log(`✅ CoinGecko ${timeframe} data: ${data.prices.length} data points for ${symbol}`);
+    return this.convertToTimeframe(data.prices, data.total_volumes || [], requirements.minutesPerPeriod);
+  }
+
+  // Convert raw price samples to specific timeframe periods
+  // CoinGecko only returns close-price samples and a rolling 24h volume total, so the
+  // resulting candles are synthetic: OHLC are bounded by the samples and volume is the
+  // 24h total pro-rated to one bar.
+  convertToTimeframe(prices, volumes, minutesPerPeriod) {
+    const converted = [];
+
+    // Group data by timeframe periods
+    const groupedData = {};
+
+    for (let i = 0; i < prices.length; i++) {
+      const timestamp = prices[i][0];
+      const price = prices[i][1];
+      const volume = volumes[i] ? volumes[i][1] * (minutesPerPeriod / 1440) : 0;
+
+      // Calculate which period this data point belongs to
+      const periodStart = Math.floor(timestamp / (minutesPerPeriod * 60000)) * (minutesPerPeriod * 60000);
+
+      if (!groupedData[periodStart]) {
+        groupedData[periodStart] = {
+          timestamp: periodStart,
+          prices: [],
+          volumes: []
+        };
+      }
+
+      groupedData[periodStart].prices.push(price);
+      groupedData[periodStart].volumes.push(volume);
+    }
+
+    // Convert grouped data to OHLC candles
+    const sortedPeriods = Object.keys(groupedData).sort((a, b) => Number(a) - Number(b));
+
+    for (const periodKey of sortedPeriods) {
+      const period = groupedData[periodKey];
+
+      if (period.prices.length === 0) continue;
+
+      converted.push({
+        timestamp: period.timestamp,
+        open: period.prices[0],
+        high: Math.max(...period.prices),
+        low: Math.min(...period.prices),
+        close: period.prices[period.prices.length - 1],
+        volume: period.volumes.reduce((sum, v) => sum + v, 0) / period.volumes.length,
+        quality: CANDLE_QUALITY.SYNTHETIC
+      });
+    }
+
+    return converted;
+  }
+
+  async fetchTicker(symbol) {
+    const coinId = getProviderId(symbol, this.name);
+    if (!coinId) {
+      throw new Error(`No CoinGecko mapping for ${symbol}`);
+    }
+
+    const data = await requestScheduler.fetchJson(coinGeckoSimplePriceUrl(coinId, this.baseUrl), { provider: this.name, maxAge: 10000 });
+    const price = data[coinId]?.usd;
+    if (!price) throw new Error(`No CoinGecko price for ${symbol}`);
+
+    return { price, change: data[coinId]?.usd_24h_change || 0, volume: data[coinId]?.usd_24h_vol || 0 };
+  }
+}
+
+/**
+ * Binance-style klines provider (works with any exchange exposing the same REST shape)
+ */
+export class BinanceProvider {
+  constructor({ baseUrl = 'https://api.binance.com/api/v3', name = 'binance' } = {}) {
+    this.name = name;
+    this.baseUrl = baseUrl;
+  }
+
+  // Binance-style exchanges share the 'binance' registry ids
+  supports(symbol) {
+    return Boolean(getProviderId(symbol, 'binance'));
+  }
+
+  async fetchCandles(symbol, timeframe, requirements) {
+    if (!BINANCE_INTERVALS.includes(timeframe)) {
+      throw new Error(`Unsupported ${this.name} interval: ${timeframe}`);
+    }
+    const pair = this.getPair(symbol);
+
+    // startTime lets callers fetch only the bars after their last stored one
+    if (requirements.startTime) {
+      const limit = Math.min(1000, requirements.periodsNeeded);
+      const rows = await this.fetchKlines(`symbol=${pair}&interval=${timeframe}&limit=${limit}&startTime=${requirements.startTime}`);
+      console.log(`✅ ${this.name} ${timeframe} klines: ${rows.length} candles for ${symbol}`);
+      return parseKlines(rows, CANDLE_QUALITY.NATIVE);
+    }
+
+    // Page backwards from now in 1000-bar requests until periodsNeeded is covered
+    const pages = [];
+    let remaining = requirements.periodsNeeded;
+    let endTime = null;
+
+    while (remaining > 0) {
+      const limit = Math.min(1000, remaining);
+      const endParam = endTime ? `&endTime=${endTime}` : '';
+      const rows = await this.fetchKlines(`symbol=${pair}&interval=${timeframe}&limit=${limit}${endParam}`);
+
+      pages.unshift(rows);
+      remaining -= rows.length;
+      if (rows.length < limit) break;
+      endTime = Number(rows[0][0]) - 1;
+    }
+
+    const rows = pages.flat();
+    console.log(`✅ ${this.name} ${timeframe} klines: ${rows.length} candles for ${symbol}`);
+    return parseKlines(rows, CANDLE_QUALITY.NATIVE);
+  }
+
+  getPair(symbol) {
+    const pair = getProviderId(symbol, 'binance');
+    if (!pair) {
+      throw new Error(`No ${this.name} mapping for ${symbol}`);
+    }
+    return pair;
+  }
+
+  async fetchKlines(query) {
+    const rows = await requestScheduler.fetchJson(`${this.baseUrl}/klines?${query}`, { provider: this.name });
+    if (!Array.isArray(rows) || rows.length === 0) {
+      throw new Error(`No klines received from ${this.name}`);
+    }
+
+    return rows;
+  }
+
+  async fetchTicker(symbol) {
+    const data = await requestScheduler.fetchJson(`${this.baseUrl}/ticker/24hr?symbol=${this.getPair(symbol)}`, { provider: this.name, maxAge: 5000 });
+    const price = Number(data.lastPrice);
+    if (!price) throw new Error(`No ${this.name} price for ${symbol}`);
+
+    return { price, change: Number(data.priceChangePercent) || 0, volume: Number(data.quoteVolume) || 0 };
+  }
+}
+
+/**
+ * Local file / fixture provider
+ * Serves candles registered in memory or JSON files under /public/fixtures
+ * named `${symbol}_${timeframe}.json` (candle objects or raw klines rows).
+ */
+export class FixtureProvider {
+  constructor({ baseUrl = '/fixtures' } = {}) {
+    this.name = 'fixture';
+    this.baseUrl = baseUrl;
+    this.fixtures = new Map();
+  }
+
+  // Register candles for a symbol/timeframe (tests, offline demos)
+  register(symbol, timeframe, candles) {
+    this.fixtures.set(`${symbol}_${timeframe}`, candles);
+  }
+
+  supports() {
+    return true;
+  }
+
+  async fetchCandles(symbol, timeframe) {
+    const key = `${symbol}_${timeframe}`;
+    let candles = this.fixtures.get(key);
+
+    if (!candles) {
+      try {
+        candles = await requestScheduler.fetchJson(`${this.baseUrl}/${key}.json`, { provider: this.name });
+      } catch (error) {
+        throw new Error(`No fixture for ${key}: ${error.message}`);
+      }
+      this.fixtures.set(key, candles);
+    }
+
+    if (!Array.isArray(candles) || candles.length === 0) {
+      throw new Error(`Empty fixture for ${key}`);
+    }
+
+    return parseKlines(candles, CANDLE_QUALITY.NATIVE);
+  }
+
+  async fetchTicker(symbol) {
+    const keyPrefix = `${symbol}_`;
+    for (const [key, candles] of this.fixtures) {
+      if (key.startsWith(keyPrefix) && candles.length > 0) {
+        return { price: Number(candles[candles.length - 1].close), change: 0, volume: 0 };
+      }
+    }
+    throw new Error(`No fixture ticker for ${symbol}`);
+  }
+}
+
+// Default failover order when no per-symbol order has been set
+// Native OHLCV sources come first; CoinGecko candles are synthetic (see convertToTimeframe)
+export const DEFAULT_PROVIDER_ORDER = ['binance', 'coingecko', 'fixture'];
+
+export const createDefaultProviders = () => [
+  new CoinGeckoProvider(),
+  new BinanceProvider(),
+  new FixtureProvider()
+];
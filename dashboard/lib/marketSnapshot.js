@@ -0,0 +1,48 @@
+// /dashboard/lib/marketSnapshot.js
+// Market snapshot shared by /api/market-data and the Socket.IO hub
+//
+// Turns a candle series plus ticker into the flat shape AlertService checks:
+// price / 24h stats, Dr. Paul score, POC/VAH/VAL, nearest support/resistance, naked POCs,
+// low volume node zones (thinAirZone when price is inside one), 9 EMA / 21 MA and trend.
+// simulated is true when the candles were generated rather than fetched (AlertService stays quiet then).
+
+import enhancedDataService from './enhancedDataService';
+import volumeProfileService from './volumeProfileService';
+
+export const buildMarketSnapshot = ({ symbol, timeframe, candles, ticker, source }) => {
+  const { candles: enrichedCandles, signals } = enhancedDataService.analyzeCandles(candles, { priceChange24h: ticker.change });
+  const latestEnriched = enrichedCandles[enrichedCandles.length - 1] || {};
+
+  const profile = volumeProfileService.calculateVPVR(candles, candles.length);
+  // Only 15m candles feed the level ledger; other timeframes read the levels it already holds
+  const ledger = source?.simulated ? [] : volumeProfileService.updateLevelLedger(symbol, candles, { timeframe });
+  const keyLevels = volumeProfileService.getKeyLevels(profile, ticker.price, ledger);
+
+  return {
+    symbol,
+    timeframe,
+    price: ticker.price,
+    ethPrice: ticker.price, // Field name AlertService reads
+    priceChange24h: ticker.change,
+    volume24h: ticker.volume,
+    drPaulScore: signals ? signals.overallScore : null,
+    drPaulSignals: signals,
+    pocLevel: profile.poc?.price ?? null,
+    vahLevel: profile.vah?.price ?? null,
+    valLevel: profile.val?.price ?? null,
+    supportLevel: keyLevels.support[0]?.price ?? null,
+    resistanceLevel: keyLevels.resistance[0]?.price ?? null,
+    supportLevels: keyLevels.support.map(level => level.price),
+    resistanceLevels: keyLevels.resistance.map(level => level.price),
+    nakedPocAbove: keyLevels.nakedPocAbove?.price ?? null,
+    nakedPocBelow: keyLevels.nakedPocBelow?.price ?? null,
+    lvnZones: keyLevels.lvnZones.map(({ low, high }) => ({ low, high })),
+    thinAirZone: keyLevels.thinAirZone ? { low: keyLevels.thinAirZone.low, high: keyLevels.thinAirZone.high } : null,
+    ema9: latestEnriched.ma9 ?? null,
+    sma21: latestEnriched.ma21 ?? null,
+    trend: signals ? signals.trend.toUpperCase() : 'NEUTRAL',
+    dataSource: source,
+    simulated: Boolean(source?.simulated),
+    timestamp: new Date().toISOString()
+  };
+};
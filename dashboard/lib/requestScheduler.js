@@ -0,0 +1,206 @@
+// /dashboard/lib/requestScheduler.js
+// Shared HTTP scheduler for every market data request in the dashboard
+//
+// - Identical in-flight GETs are coalesced into one request
+// - Each provider has a request budget (maxRequests per windowMs); extra requests queue
+// - HTTP 429 pauses the provider (Retry-After or exponential backoff) and retries the request
+// - maxAge lets pollers reuse a response that completed recently instead of refetching
+//
+// fetchJson resolves with parsed JSON so coalesced callers can share one body.
+
+const DEFAULT_BUDGETS = {
+  coingecko: { maxRequests: 25, windowMs: 60000 },  // Free tier is ~30/min
+  binance: { maxRequests: 600, windowMs: 60000 },
+  default: { maxRequests: 120, windowMs: 60000 }
+};
+
+const PROVIDER_HOSTS = [
+  { pattern: /coingecko\.com/, provider: 'coingecko' },
+  { pattern: /binance\.(com|us)/, provider: 'binance' }
+];
+
+class RequestScheduler {
+  constructor() {
+    this.budgets = { ...DEFAULT_BUDGETS };
+    this.queues = new Map();
+    this.inFlight = new Map();
+    this.recentResponses = new Map();
+    this.sentTimestamps = new Map();
+    this.backoff = new Map();
+    this.timers = new Map();
+    this.counters = new Map();
+    this.maxRetries = 3;
+  }
+
+  // Override a provider's budget, e.g. setBudget('coingecko', { maxRequests: 10, windowMs: 60000 })
+  setBudget(provider, budget) {
+    this.budgets[provider] = { ...this.getBudget(provider), ...budget };
+  }
+
+  getBudget(provider) {
+    return this.budgets[provider] || this.budgets.default;
+  }
+
+  // Provider bucket a URL counts against
+  resolveProvider(url) {
+    const match = PROVIDER_HOSTS.find(({ pattern }) => pattern.test(url));
+    return match ? match.provider : 'default';
+  }
+
+  getCounters(provider) {
+    if (!this.counters.has(provider)) {
+      this.counters.set(provider, { sent: 0, coalesced: 0, cached: 0, rateLimited: 0, failed: 0 });
+    }
+    return this.counters.get(provider);
+  }
+
+  // Schedule a GET and resolve with its JSON body
+  fetchJson(url, { provider = this.resolveProvider(url), headers = { 'Accept': 'application/json' }, maxAge = 0 } = {}) {
+    const counters = this.getCounters(provider);
+
+    const recent = this.recentResponses.get(url);
+    if (maxAge > 0 && recent && Date.now() - recent.timestamp < maxAge) {
+      counters.cached++;
+      return Promise.resolve(recent.data);
+    }
+
+    if (this.inFlight.has(url)) {
+      counters.coalesced++;
+      return this.inFlight.get(url);
+    }
+
+    const request = new Promise((resolve, reject) => {
+      this.enqueue(provider, { url, headers, resolve, reject, retries: 0 });
+    }).finally(() => this.inFlight.delete(url));
+
+    this.inFlight.set(url, request);
+    return request;
+  }
+
+  enqueue(provider, job, priority = false) {
+    if (!this.queues.has(provider)) this.queues.set(provider, []);
+
+    const queue = this.queues.get(provider);
+    if (priority) {
+      queue.unshift(job);
+    } else {
+      queue.push(job);
+    }
+
+    this.drain(provider);
+  }
+
+  // Send queued requests while the provider has budget, otherwise wait for the next free slot
+  drain(provider) {
+    if (this.timers.has(provider)) return;
+
+    const queue = this.queues.get(provider) || [];
+    const { maxRequests, windowMs } = this.getBudget(provider);
+
+    while (queue.length > 0) {
+      const now = Date.now();
+      const backoffUntil = this.backoff.get(provider)?.until || 0;
+      const sent = (this.sentTimestamps.get(provider) || []).filter(timestamp => now - timestamp < windowMs);
+      this.sentTimestamps.set(provider, sent);
+
+      let waitMs = 0;
+      if (backoffUntil > now) {
+        waitMs = backoffUntil - now;
+      } else if (sent.length >= maxRequests) {
+        waitMs = windowMs - (now - sent[0]);
+      }
+
+      if (waitMs > 0) {
+        this.timers.set(provider, setTimeout(() => {
+          this.timers.delete(provider);
+          this.drain(provider);
+        }, waitMs));
+        return;
+      }
+
+      sent.push(now);
+      this.send(provider, queue.shift());
+    }
+  }
+
+  async send(provider, job) {
+    const counters = this.getCounters(provider);
+    counters.sent++;
+
+    try {
+      const response = await fetch(job.url, { method: 'GET', headers: job.headers });
+
+      if (response.status === 429) {
+        counters.rateLimited++;
+        this.applyBackoff(provider, response.headers.get('Retry-After'));
+
+        if (job.retries < this.maxRetries) {
+          this.enqueue(provider, { ...job, retries: job.retries + 1 }, true);
+          return;
+        }
+      }
+
+      if (!response.ok) {
+        const error = new Error(`${provider} API error: ${response.status} - ${response.statusText}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      const data = await response.json();
+      this.backoff.delete(provider);
+      this.rememberResponse(job.url, data);
+      job.resolve(data);
+    } catch (error) {
+      counters.failed++;
+      job.reject(error);
+    }
+  }
+
+  // Keep recent bodies for maxAge reuse, dropping the oldest beyond 100 URLs
+  rememberResponse(url, data) {
+    this.recentResponses.delete(url);
+    this.recentResponses.set(url, { data, timestamp: Date.now() });
+
+    if (this.recentResponses.size > 100) {
+      this.recentResponses.delete(this.recentResponses.keys().next().value);
+    }
+  }
+
+  // Pause a provider after a 429, honouring Retry-After when present
+  applyBackoff(provider, retryAfter) {
+    const previous = this.backoff.get(provider);
+    const attempt = previous ? previous.attempt + 1 : 0;
+    const retryAfterMs = Number(retryAfter) * 1000;
+    const delay = retryAfterMs > 0 ? retryAfterMs : Math.min(60000, 2000 * Math.pow(2, attempt));
+
+    console.warn(`⏳ ${provider} rate limited - pausing requests for ${Math.round(delay / 1000)}s`);
+    this.backoff.set(provider, { attempt, until: Date.now() + delay });
+  }
+
+  // Queue depth, budget use and counters per provider
+  getStats() {
+    const now = Date.now();
+    const providers = new Set([...this.counters.keys(), ...this.queues.keys()]);
+    const stats = {};
+
+    providers.forEach(provider => {
+      const { maxRequests, windowMs } = this.getBudget(provider);
+      const sentInWindow = (this.sentTimestamps.get(provider) || []).filter(timestamp => now - timestamp < windowMs).length;
+      const backoffUntil = this.backoff.get(provider)?.until || 0;
+
+      stats[provider] = {
+        queued: (this.queues.get(provider) || []).length,
+        sentInWindow,
+        budget: maxRequests,
+        windowMs,
+        backoffMs: Math.max(0, backoffUntil - now),
+        ...this.getCounters(provider)
+      };
+    });
+
+    return { inFlight: this.inFlight.size, providers: stats };
+  }
+}
+
+const requestScheduler = new RequestScheduler();
+export default requestScheduler;
@@ -0,0 +1,101 @@
+// /dashboard/lib/resampler.js
+// Build higher-timeframe candles from a single base series
+//
+// Periods are aligned exchange-style on UTC boundaries counted from the epoch, so
+// 15m bars open at :00/:15/:30/:45, 4h bars at 00:00/04:00/.../20:00 UTC and 1d bars at 00:00 UTC.
+// Aggregation: open = first open, high = max high, low = min low, close = last close,
+// volume / quoteVolume / trades = sums.
+
+import { CANDLE_QUALITY } from './marketDataProviders';
+
+export const TIMEFRAME_MINUTES = {
+  '1m': 1,
+  '3m': 3,
+  '5m': 5,
+  '15m': 15,
+  '30m': 30,
+  '1h': 60,
+  '4h': 240,
+  '1d': 1440
+};
+
+// Base series each timeframe is derived from; timeframes sharing a base share one upstream fetch
+export const RESAMPLE_BASES = {
+  '1m': '1m',
+  '3m': '1m',
+  '5m': '1m',
+  '15m': '15m',
+  '30m': '15m',
+  '1h': '15m',
+  '4h': '4h',
+  '1d': '4h'
+};
+
+export const getBaseTimeframe = (timeframe) => RESAMPLE_BASES[timeframe] || timeframe;
+
+// Every timeframe derived from a base (including the base itself)
+export const getDerivedTimeframes = (baseTimeframe) => {
+  return Object.keys(RESAMPLE_BASES).filter(timeframe => RESAMPLE_BASES[timeframe] === baseTimeframe);
+};
+
+// Open time (ms) of the UTC-aligned period containing a timestamp
+export const alignToPeriod = (timestamp, minutes) => {
+  const periodMs = minutes * 60000;
+  return Math.floor(timestamp / periodMs) * periodMs;
+};
+
+const sumOrNull = (values) => {
+  if (values.some(value => value === null || value === undefined)) return null;
+  return values.reduce((sum, value) => sum + Number(value), 0);
+};
+
+/**
+ * Aggregate base candles (timestamps in ms, oldest first) into a higher timeframe.
+ * A leading period that starts before the first base bar is dropped so the first
+ * candle's open is real. isComplete is false for the period still forming at `now`.
+ */
+export const resampleCandles = (candles, baseTimeframe, targetTimeframe, { now = Date.now() } = {}) => {
+  const baseMinutes = TIMEFRAME_MINUTES[baseTimeframe];
+  const targetMinutes = TIMEFRAME_MINUTES[targetTimeframe];
+
+  if (!baseMinutes || !targetMinutes || targetMinutes % baseMinutes !== 0) {
+    throw new Error(`Cannot resample ${baseTimeframe} candles to ${targetTimeframe}`);
+  }
+
+  if (baseMinutes === targetMinutes) return candles;
+
+  const buckets = new Map();
+  candles.forEach(candle => {
+    const periodStart = alignToPeriod(candle.timestamp, targetMinutes);
+    if (!buckets.has(periodStart)) buckets.set(periodStart, []);
+    buckets.get(periodStart).push(candle);
+  });
+
+  const periodMs = targetMinutes * 60000;
+  const resampled = [];
+
+  [...buckets.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .forEach(([periodStart, bars], index) => {
+      if (index === 0 && bars[0].timestamp > periodStart) return;
+
+      const lastBar = bars[bars.length - 1];
+      const isSynthetic = bars.some(bar => !bar.quality || bar.quality === CANDLE_QUALITY.SYNTHETIC);
+
+      resampled.push({
+        timestamp: periodStart,
+        open: bars[0].open,
+        high: Math.max(...bars.map(bar => bar.high)),
+        low: Math.min(...bars.map(bar => bar.low)),
+        close: lastBar.close,
+        volume: bars.reduce((sum, bar) => sum + (bar.volume || 0), 0),
+        quoteVolume: sumOrNull(bars.map(bar => bar.quoteVolume)),
+        trades: sumOrNull(bars.map(bar => bar.trades)),
+        quality: isSynthetic ? CANDLE_QUALITY.SYNTHETIC : CANDLE_QUALITY.RESAMPLED,
+        source: lastBar.source,
+        isComplete: periodStart + periodMs <= now && lastBar.isComplete !== false
+      });
+    });
+
+  return resampled;
+};
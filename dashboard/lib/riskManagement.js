@@ -0,0 +1,115 @@
+// /dashboard/lib/riskManagement.js
+// Stop, target and position size for a trade entry
+//
+// Defaults mirror the `trading:` section of config/config.example.yaml so the dashboard
+// and the Python backtester size trades the same way. Overrides are persisted to
+// localStorage ('riskSettings'); on the server the defaults are used.
+//
+// Stops combine volatility and structure: the stop sits beyond the recent swing low (long)
+// or swing high (short), but never closer to the entry than stopLossAtrMultiple × ATR.
+// The target is placed takeProfitRatio × that risk away from the entry.
+
+import { roundToTick, getSymbolInfo } from './symbolRegistry';
+
+export const DEFAULT_RISK_SETTINGS = {
+  accountBalance: 10000,     // trading.initial_balance
+  riskPerTrade: 0.02,        // trading.risk_per_trade (fraction of balance)
+  stopLossAtrMultiple: 2.0,  // trading.stop_loss_atr_multiple
+  takeProfitRatio: 3.0,      // trading.take_profit_ratio (reward / risk)
+  maxPositionSize: 0.5,      // trading.max_position_size (fraction of balance)
+  minTradeSize: 10,          // trading.min_trade_size (quote currency)
+  swingLookback: 10,         // bars searched for the structural swing
+  swingBufferAtr: 0.1        // extra room beyond the swing, in ATRs
+};
+
+const STORAGE_KEY = 'riskSettings';
+
+// Load risk overrides from localStorage
+export function loadRiskSettings() {
+  if (typeof localStorage === 'undefined') return { ...DEFAULT_RISK_SETTINGS };
+
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? { ...DEFAULT_RISK_SETTINGS, ...JSON.parse(stored) } : { ...DEFAULT_RISK_SETTINGS };
+  } catch (error) {
+    console.error('Error loading risk settings:', error);
+    return { ...DEFAULT_RISK_SETTINGS };
+  }
+}
+
+// Merge and persist overrides, e.g. { riskPerTrade: 0.01 }; returns the full settings
+export function saveRiskSettings(overrides) {
+  const settings = { ...loadRiskSettings(), ...overrides };
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.error('Error saving risk settings:', error);
+  }
+  return settings;
+}
+
+// Lowest low / highest high of the last `lookback` closed bars before the entry bar
+export function findSwing(candles, side, lookback = DEFAULT_RISK_SETTINGS.swingLookback) {
+  const window = candles.slice(Math.max(0, candles.length - 1 - lookback), candles.length - 1);
+  if (window.length === 0) return null;
+
+  return side === 'LONG'
+    ? Math.min(...window.map(c => c.low))
+    : Math.max(...window.map(c => c.high));
+}
+
+// Number of decimals used to display a quantity of the base asset
+const quantityDecimals = (entry) => (entry >= 1000 ? 4 : entry >= 10 ? 3 : entry >= 1 ? 2 : 0);
+
+/**
+ * Build the trade plan for an entry.
+ * side: 'LONG' | 'SHORT'; atr: ATR at the entry bar; candles: the series ending at the entry bar
+ * (used to find the swing unless `swing` is passed, e.g. when re-sizing an existing plan).
+ * Returns null when there is not enough information (no ATR yet).
+ */
+export function buildTradePlan({ symbol, side, entry, atr, candles = [], swing, settings = loadRiskSettings() }) {
+  if (!atr || !Number.isFinite(atr) || atr <= 0 || !entry) return null;
+
+  const direction = side === 'LONG' ? 1 : -1;
+  const atrDistance = atr * settings.stopLossAtrMultiple;
+
+  // Structural stop just beyond the swing, if the swing is on the protective side of the entry
+  const swingLevel = swing !== undefined ? swing : findSwing(candles, side, settings.swingLookback);
+  const swingStop = swingLevel !== null ? swingLevel - direction * atr * settings.swingBufferAtr : null;
+  const swingDistance = swingStop !== null ? (entry - swingStop) * direction : 0;
+
+  const stopSource = swingDistance > atrDistance ? 'swing' : 'atr';
+  const stopLoss = roundToTick(symbol, entry - direction * Math.max(atrDistance, swingDistance));
+  const risk = Math.abs(entry - stopLoss);
+  if (risk === 0) return null;
+
+  const takeProfit = roundToTick(symbol, entry + direction * risk * settings.takeProfitRatio);
+  const reward = Math.abs(takeProfit - entry);
+
+  // Size so that hitting the stop loses riskPerTrade of the balance, capped by max exposure
+  const riskBudget = settings.accountBalance * settings.riskPerTrade;
+  const maxQuantity = (settings.accountBalance * settings.maxPositionSize) / entry;
+  const uncappedQuantity = riskBudget / risk;
+  const decimals = quantityDecimals(entry);
+  const factor = 10 ** decimals;
+  const quantity = Math.floor(Math.min(uncappedQuantity, maxQuantity) * factor) / factor;
+  const positionValue = quantity * entry;
+
+  return {
+    stopLoss,
+    takeProfit,
+    stopSource,
+    atr,
+    swing: swingLevel,
+    risk,
+    reward,
+    riskReward: reward / risk,
+    quantity,
+    quantityDecimals: decimals,
+    positionValue,
+    riskAmount: quantity * risk,
+    capped: uncappedQuantity > maxQuantity,
+    belowMinimum: positionValue < settings.minTradeSize,
+    baseAsset: getSymbolInfo(symbol)?.base || symbol
+  };
+}
@@ -0,0 +1,144 @@
+// /dashboard/lib/scalpingStrategy.js
+// Moving-average crossover rules shared by the scalping tracker and the multi-symbol scanner,
+// plus the higher-timeframe trend states used to score a crossover's confluence
+//
+// Rules work on a candle series plus the indicator arrays produced by IndicatorSeries
+// (or computeIndicators) for buildIndicatorSpecs(settings), so callers keep their own
+// incremental series. Indicators are keyed by role: fast, slow, trend and atr.
+// Defaults are 9 EMA / 21 MA / 200 MA / ATR(14); see strategySettings for per-symbol overrides.
+
+import { DEFAULT_STRATEGY_SETTINGS, maLabel } from './strategySettings';
+import { TIMEFRAME_MINUTES } from './resampler';
+
+// IndicatorSeries specs for a strategy's settings
+export function buildIndicatorSpecs(settings = DEFAULT_STRATEGY_SETTINGS) {
+  return {
+    fast: { ...settings.fast },
+    slow: { ...settings.slow },
+    trend: { ...settings.trend },
+    atr: { type: 'atr', period: settings.atrPeriod }
+  };
+}
+
+/**
+ * Crossover signal on bar `index`, or null.
+ * Returns { type: 'LONG' | 'SHORT', strength: 'STRONG' | 'MEDIUM' | 'DEVELOPING', reason, price, timestamp, index }.
+ */
+export function detectCrossover(data, { fast, slow, trend }, index = data.length - 1, settings = DEFAULT_STRATEGY_SETTINGS) {
+  if (index < 1 || index + 1 < settings.minHistory) return null;
+
+  const price = data[index].close;
+  const currentFast = fast[index];
+  const prevFast = fast[index - 1];
+  const currentSlow = slow[index];
+  const prevSlow = slow[index - 1];
+  const trendCurrent = trend[index];
+
+  // Skip null values
+  if (!currentFast || !prevFast || !currentSlow || !prevSlow) return null;
+
+  let type = null;
+  let direction = null;
+  if (currentFast > prevFast && prevFast <= prevSlow && currentFast > currentSlow) {
+    type = 'LONG';
+    direction = 'above';
+  } else if (currentFast < prevFast && prevFast >= prevSlow && currentFast < currentSlow) {
+    type = 'SHORT';
+    direction = 'below';
+  }
+  if (!type) return null;
+
+  // Strength from the trend MA filter: with the trend = STRONG, not enough data for it = DEVELOPING
+  let strength = 'MEDIUM';
+  if (trendCurrent && (type === 'LONG' ? price > trendCurrent : price < trendCurrent)) {
+    strength = 'STRONG';
+  } else if (index + 1 < settings.trend.period) {
+    strength = 'DEVELOPING';
+  }
+
+  return {
+    type,
+    strength,
+    reason: `${maLabel(settings.fast)} crossed ${direction} ${maLabel(settings.slow)}`,
+    price,
+    timestamp: data[index].timestamp,
+    index
+  };
+}
+
+// Most recent crossover within the last `lookback` bars, with barsAgo (0 = latest bar)
+export function findLatestCrossover(data, indicators, lookback = 60, settings = DEFAULT_STRATEGY_SETTINGS) {
+  const last = data.length - 1;
+  for (let index = last; index >= Math.max(0, last - lookback); index--) {
+    const signal = detectCrossover(data, indicators, index, settings);
+    if (signal) return { ...signal, barsAgo: last - index };
+  }
+  return null;
+}
+
+// Signed distance of the latest close from the trend MA, in percent (null until the MA exists)
+export function distanceFromTrendMA(data, { trend }) {
+  const last = data.length - 1;
+  if (last < 0 || !trend[last]) return null;
+  return ((data[last].close - trend[last]) / trend[last]) * 100;
+}
+
+// Trend state from the moving-average stack on one bar:
+// BULL = fast > slow > trend, BEAR = fast < slow < trend,
+// LEAN_* = fast vs slow only (trend MA disagrees or is not available yet), UNKNOWN = not enough data
+export const TREND_STATES = {
+  BULL: 'BULL',
+  LEAN_BULL: 'LEAN_BULL',
+  LEAN_BEAR: 'LEAN_BEAR',
+  BEAR: 'BEAR',
+  UNKNOWN: 'UNKNOWN'
+};
+
+// How much a trend state supports a LONG entry (negated for SHORT)
+const LONG_AGREEMENT = { BULL: 1, LEAN_BULL: 0.5, LEAN_BEAR: -0.5, BEAR: -1 };
+
+export function trendState({ fast, slow, trend }, index) {
+  const fastValue = fast[index];
+  const slowValue = slow[index];
+  const trendValue = trend[index];
+  if (!fastValue || !slowValue || fastValue === slowValue) return TREND_STATES.UNKNOWN;
+
+  if (fastValue > slowValue) return trendValue && slowValue > trendValue ? TREND_STATES.BULL : TREND_STATES.LEAN_BULL;
+  return trendValue && slowValue < trendValue ? TREND_STATES.BEAR : TREND_STATES.LEAN_BEAR;
+}
+
+// Trend state on the last `timeframe` bar that closed at or before `timestamp`; the bar still
+// forming at that time is skipped because its MAs include its later close
+export function trendStateAt(data, indicators, timestamp, timeframe) {
+  const time = new Date(timestamp).getTime();
+  const barMs = (TIMEFRAME_MINUTES[timeframe] || 60) * 60000;
+  for (let index = data.length - 1; index >= 0; index--) {
+    if (new Date(data[index].timestamp).getTime() + barMs <= time) return trendState(indicators, index);
+  }
+  return TREND_STATES.UNKNOWN;
+}
+
+/**
+ * Agreement of an entry with the higher-timeframe trend.
+ * statesByTimeframe: { '15m': 'BULL', '1h': 'LEAN_BEAR', ... }
+ * Returns { score: 0-100 (null when no timeframe is known), agrees, breakdown: [{ timeframe, state, agreement }] },
+ * where agrees means every known higher timeframe leans the same way as the entry.
+ */
+export function evaluateConfluence(side, statesByTimeframe) {
+  const sign = side === 'LONG' ? 1 : -1;
+  const breakdown = Object.entries(statesByTimeframe).map(([timeframe, state]) => ({
+    timeframe,
+    state,
+    agreement: state in LONG_AGREEMENT ? LONG_AGREEMENT[state] * sign : null
+  }));
+
+  const known = breakdown.filter(entry => entry.agreement !== null);
+  if (known.length === 0) return { score: null, agrees: false, breakdown };
+
+  const average = known.reduce((sum, entry) => sum + entry.agreement, 0) / known.length;
+  return {
+    score: Math.round(((average + 1) / 2) * 100),
+    agrees: known.every(entry => entry.agreement > 0),
+    breakdown
+  };
+}
@@ -0,0 +1,124 @@
+// /dashboard/lib/scoreCalibration.js
+// Calibration of the Dr. Paul score against what price did next
+//
+// Replays a candle series through the scoring engine (scoreSeries) and, for every scored bar that has
+// `horizonBars` of future data, measures a long entry at that bar's close:
+//   - forward return after horizonBars (percent)
+//   - whether a target (+targetPct) or stop (-stopPct) was touched first within the horizon
+//     (a bar that spans both counts as a stop, as in signalOutcomeTracker)
+// Samples are bucketed by score (fixed-width ranges, deciles by default) and compared with the
+// all-bars baseline, so a higher bucket should show better returns / hit rate if the score means anything.
+// The market-fear factor needs a 24h change per bar, which candles don't carry, so replays leave it out.
+
+import { scoreSeries, SCORE_THRESHOLDS } from './drPaulScore';
+
+export const DEFAULT_CALIBRATION_SETTINGS = {
+  horizonBars: 24,
+  targetPct: 2,
+  stopPct: 1,
+  bucketSize: 10
+};
+
+const average = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Which of target / stop a long entry at candles[index].close touched first within the horizon
+const firstTouch = (candles, index, { horizonBars, targetPct, stopPct }) => {
+  const entry = candles[index].close;
+  const target = entry * (1 + targetPct / 100);
+  const stop = entry * (1 - stopPct / 100);
+
+  for (let i = index + 1; i <= index + horizonBars; i++) {
+    if (candles[i].low <= stop) return 'STOP';
+    if (candles[i].high >= target) return 'TARGET';
+  }
+  return null;
+};
+
+/**
+ * One sample per scored bar with a full horizon ahead:
+ * { timestamp, score, forwardReturn (percent), outcome: 'TARGET' | 'STOP' | null }
+ */
+export function buildCalibrationSamples(candles, settings = DEFAULT_CALIBRATION_SETTINGS) {
+  const scores = scoreSeries(candles);
+  const samples = [];
+
+  for (let index = 0; index + settings.horizonBars < candles.length; index++) {
+    const result = scores[index];
+    if (!result) continue;
+
+    const entry = candles[index].close;
+    samples.push({
+      timestamp: candles[index].timestamp,
+      score: result.score,
+      forwardReturn: ((candles[index + settings.horizonBars].close - entry) / entry) * 100,
+      outcome: firstTouch(candles, index, settings)
+    });
+  }
+  return samples;
+}
+
+// Forward-return and target/stop statistics for a group of samples
+export function summarizeSamples(samples) {
+  const returns = samples.map(sample => sample.forwardReturn);
+  const targets = samples.filter(sample => sample.outcome === 'TARGET').length;
+  const stops = samples.filter(sample => sample.outcome === 'STOP').length;
+
+  return {
+    count: samples.length,
+    avgReturn: average(returns),
+    medianReturn: median(returns),
+    positiveRate: samples.length ? returns.filter(value => value > 0).length / samples.length : null,
+    targets,
+    stops,
+    unresolved: samples.length - targets - stops,
+    // Share of resolved trades that reached the target first
+    hitRate: targets + stops > 0 ? targets / (targets + stops) : null
+  };
+}
+
+// Samples grouped into fixed-width score ranges: [{ from, to, label, ...summarizeSamples }]
+export function bucketSamples(samples, bucketSize = DEFAULT_CALIBRATION_SETTINGS.bucketSize) {
+  const buckets = [];
+  for (let from = 0; from < 100; from += bucketSize) {
+    const to = Math.min(100, from + bucketSize);
+    // The top bucket includes a perfect 100
+    const members = samples.filter(sample => sample.score >= from && (sample.score < to || (to === 100 && sample.score === 100)));
+    buckets.push({ from, to, label: `${from}-${to}`, ...summarizeSamples(members) });
+  }
+  return buckets;
+}
+
+// The same statistics for the bands the alert thresholds define: below good, good, excellent
+export function summarizeThresholdBands(samples, thresholds = SCORE_THRESHOLDS) {
+  return [
+    { band: 'EXCELLENT', range: `≥ ${thresholds.excellent}`, ...summarizeSamples(samples.filter(s => s.score >= thresholds.excellent)) },
+    { band: 'GOOD', range: `${thresholds.good}-${thresholds.excellent}`, ...summarizeSamples(samples.filter(s => s.score >= thresholds.good && s.score < thresholds.excellent)) },
+    { band: 'BELOW GOOD', range: `< ${thresholds.good}`, ...summarizeSamples(samples.filter(s => s.score < thresholds.good)) }
+  ];
+}
+
+/**
+ * Full calibration report for a candle series.
+ * Returns { settings, samples: count, from, to, baseline, buckets, bands } or null when nothing could be scored.
+ */
+export function calibrateScores(candles, settings = DEFAULT_CALIBRATION_SETTINGS, thresholds = SCORE_THRESHOLDS) {
+  const samples = buildCalibrationSamples(candles, settings);
+  if (samples.length === 0) return null;
+
+  return {
+    settings,
+    samples: samples.length,
+    from: samples[0].timestamp,
+    to: samples[samples.length - 1].timestamp,
+    baseline: summarizeSamples(samples),
+    buckets: bucketSamples(samples, settings.bucketSize),
+    bands: summarizeThresholdBands(samples, thresholds)
+  };
+}
@@ -0,0 +1,136 @@
+// /dashboard/lib/scoreHistory.js
+// Time series of Dr. Paul score snapshots per symbol/timeframe
+//
+// One point per bar: { timestamp, score, rating, price }. While a bar is forming its point is overwritten,
+// so the series ends up with the score each bar closed with. Only real data is recorded (callers skip
+// simulated candles). Points are persisted to localStorage ('scoreHistory') as { 'SYMBOL_tf': [points] },
+// written at most every few seconds since the scanner records many streams every tick.
+
+import { SCORE_THRESHOLDS } from './drPaulScore';
+
+const STORAGE_KEY = 'scoreHistory';
+const MAX_POINTS = 720;
+const SAVE_DELAY_MS = 5000;
+
+const toMs = (timestamp) => new Date(timestamp).getTime();
+const keyFor = (symbol, timeframe) => `${symbol}_${timeframe}`;
+
+class ScoreHistory {
+  constructor() {
+    this.series = this.loadSeries();
+    this.subscribers = new Set();
+    this.saveTimer = null;
+  }
+
+  // Load saved snapshots from localStorage
+  loadSeries() {
+    if (typeof localStorage === 'undefined') return {};
+
+    try {
+      const stored = localStorage.getItem(STORAGE_KEY);
+      return stored ? JSON.parse(stored) : {};
+    } catch (error) {
+      console.error('Error loading score history:', error);
+      return {};
+    }
+  }
+
+  saveSeries() {
+    if (typeof localStorage === 'undefined') return;
+
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.series));
+    } catch (error) {
+      console.error('Error saving score history:', error);
+    }
+  }
+
+  scheduleSave() {
+    if (this.saveTimer || typeof window === 'undefined') return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.saveSeries();
+    }, SAVE_DELAY_MS);
+  }
+
+  // Callback receives (symbol, timeframe, points) whenever a series changes
+  subscribe(callback) {
+    this.subscribers.add(callback);
+    return () => this.subscribers.delete(callback);
+  }
+
+  notify(symbol, timeframe) {
+    const points = this.getHistory(symbol, timeframe);
+    this.subscribers.forEach(callback => {
+      try {
+        callback(symbol, timeframe, points);
+      } catch (error) {
+        console.error('Error in score history subscriber:', error);
+      }
+    });
+  }
+
+  /**
+   * Record the score of the latest bar. `timestamp` is the bar's open time;
+   * a second snapshot for the same bar replaces the first.
+   */
+  record(symbol, timeframe, { timestamp, score, rating = null, price }) {
+    if (score === null || score === undefined) return;
+
+    const key = keyFor(symbol, timeframe);
+    const points = [...(this.series[key] || [])];
+    const point = { timestamp: toMs(timestamp), score, rating, price };
+    const last = points[points.length - 1];
+
+    if (last && last.timestamp === point.timestamp) {
+      if (last.score === point.score && last.price === point.price) return;
+      points[points.length - 1] = point;
+    } else if (last && last.timestamp > point.timestamp) {
+      return; // Out-of-order update (e.g. a lagging provider)
+    } else {
+      points.push(point);
+    }
+
+    this.series[key] = points.length > MAX_POINTS ? points.slice(-MAX_POINTS) : points;
+    this.scheduleSave();
+    this.notify(symbol, timeframe);
+  }
+
+  getHistory(symbol, timeframe) {
+    return this.series[keyFor(symbol, timeframe)] || [];
+  }
+
+  clear(symbol, timeframe) {
+    delete this.series[keyFor(symbol, timeframe)];
+    this.saveSeries();
+    this.notify(symbol, timeframe);
+  }
+}
+
+/**
+ * Points where the score crossed the excellent or good threshold, in either direction.
+ * Returns [{ timestamp, score, price, threshold: 'excellent' | 'good', level, direction: 'up' | 'down' }].
+ */
+export function findThresholdCrossings(points, thresholds = SCORE_THRESHOLDS) {
+  const crossings = [];
+  for (let i = 1; i < points.length; i++) {
+    const previous = points[i - 1].score;
+    const current = points[i].score;
+
+    ['excellent', 'good'].forEach(threshold => {
+      const level = thresholds[threshold];
+      const direction = previous < level && current >= level ? 'up' : previous >= level && current < level ? 'down' : null;
+      if (direction) {
+        const { timestamp, score, price } = points[i];
+        crossings.push({ timestamp, score, price, threshold, level, direction });
+      }
+    });
+  }
+  return crossings;
+}
+
+// Create singleton instance
+const scoreHistory = new ScoreHistory();
+
+export { ScoreHistory };
+export default scoreHistory;
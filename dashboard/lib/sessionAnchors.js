@@ -0,0 +1,133 @@
+// /dashboard/lib/sessionAnchors.js
+// Clock-anchored periods for session volume profiles
+//
+// A profile anchor is either a calendar period ('day', 'week', 'month'; UTC, weeks start Monday)
+// or a trading session id such as 'asia'. Sessions are UTC hour windows; an end hour at or before
+// the start hour means the session runs past midnight and belongs to the day it started.
+// Session hours are configurable and persisted to localStorage ('tradingSessions').
+
+export const PERIOD_ANCHORS = ['day', 'week', 'month'];
+
+export const DEFAULT_TRADING_SESSIONS = [
+  { id: 'asia', label: 'Asia', startHour: 0, endHour: 9 },
+  { id: 'london', label: 'London', startHour: 7, endHour: 16 },
+  { id: 'newYork', label: 'New York', startHour: 13, endHour: 22 }
+];
+
+const PERIOD_LABELS = { day: 'Daily', week: 'Weekly', month: 'Monthly' };
+const STORAGE_KEY = 'tradingSessions';
+const HOUR_MS = 3600000;
+const DAY_MS = 24 * HOUR_MS;
+
+const toMs = (timestamp) => new Date(timestamp).getTime();
+
+const startOfUtcDay = (ms) => ms - (((ms % DAY_MS) + DAY_MS) % DAY_MS);
+
+// Load session hours, falling back to the defaults
+export function loadTradingSessions() {
+  if (typeof localStorage === 'undefined') return DEFAULT_TRADING_SESSIONS;
+
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : DEFAULT_TRADING_SESSIONS;
+  } catch (error) {
+    console.error('Error loading trading sessions:', error);
+    return DEFAULT_TRADING_SESSIONS;
+  }
+}
+
+// Persist session hours; returns what was saved
+export function saveTradingSessions(sessions) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(sessions));
+  } catch (error) {
+    console.error('Error saving trading sessions:', error);
+  }
+  return sessions;
+}
+
+// Drop customised hours; returns the defaults
+export function resetTradingSessions() {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    console.error('Error resetting trading sessions:', error);
+  }
+  return DEFAULT_TRADING_SESSIONS;
+}
+
+// Human label for an anchor ('Daily', 'London', ...)
+export function describeAnchor(anchor, sessions = DEFAULT_TRADING_SESSIONS) {
+  return PERIOD_LABELS[anchor] || sessions.find(session => session.id === anchor)?.label || anchor;
+}
+
+/**
+ * UTC calendar period containing a timestamp: { start, end } in ms (end exclusive)
+ */
+export function getPeriodWindow(timestamp, anchor) {
+  const ms = toMs(timestamp);
+  const dayStart = startOfUtcDay(ms);
+
+  if (anchor === 'day') return { start: dayStart, end: dayStart + DAY_MS };
+
+  if (anchor === 'week') {
+    const daysSinceMonday = (new Date(dayStart).getUTCDay() + 6) % 7;
+    const start = dayStart - daysSinceMonday * DAY_MS;
+    return { start, end: start + 7 * DAY_MS };
+  }
+
+  if (anchor === 'month') {
+    const date = new Date(ms);
+    return {
+      start: Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1),
+      end: Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)
+    };
+  }
+
+  throw new Error(`Unknown period anchor: ${anchor}`);
+}
+
+/**
+ * Occurrence of a trading session containing a timestamp, or null when the timestamp is outside it
+ */
+export function getSessionWindow(timestamp, session) {
+  const ms = toMs(timestamp);
+  const duration = (((session.endHour - session.startHour) % 24) + 24) % 24 || 24;
+  const dayStart = startOfUtcDay(ms);
+
+  // The session containing ms started either today or (for sessions past midnight) yesterday
+  for (const start of [dayStart + session.startHour * HOUR_MS, dayStart - DAY_MS + session.startHour * HOUR_MS]) {
+    const end = start + duration * HOUR_MS;
+    if (ms >= start && ms < end) return { start, end };
+  }
+  return null;
+}
+
+/**
+ * Split candles (oldest first) into the periods of one anchor.
+ * Returns [{ anchor, label, start, end, candles }] oldest first; candles outside every
+ * occurrence of a session anchor are skipped.
+ */
+export function groupCandlesByAnchor(candles, anchor, sessions = DEFAULT_TRADING_SESSIONS) {
+  const session = PERIOD_ANCHORS.includes(anchor) ? null : sessions.find(s => s.id === anchor);
+  if (!session && !PERIOD_ANCHORS.includes(anchor)) {
+    throw new Error(`Unknown profile anchor: ${anchor}`);
+  }
+
+  const label = describeAnchor(anchor, sessions);
+  const groups = [];
+
+  candles.forEach(candle => {
+    const window = session ? getSessionWindow(candle.timestamp, session) : getPeriodWindow(candle.timestamp, anchor);
+    if (!window) return;
+
+    const current = groups[groups.length - 1];
+    if (current && current.start === window.start) {
+      current.candles.push(candle);
+    } else {
+      groups.push({ anchor, label, ...window, candles: [candle] });
+    }
+  });
+
+  return groups;
+}
@@ -0,0 +1,266 @@
+// /dashboard/lib/signalOutcomeTracker.js
+// Follows emitted trade signals through later candles and records how they resolved
+//
+// Each tracked signal becomes an outcome record:
+//   { id, symbol, timeframe, side, type, strength, confluence, htfAgrees, entry, stopLoss, takeProfit,
+//     risk, riskAmount, openedAt, status: 'OPEN' | 'TARGET' | 'STOP' | 'EXPIRED', resolvedAt, barsHeld,
+//     timeToResolutionMs, mae, mfe, rMultiple }
+// MAE / MFE (maximum adverse / favourable excursion) and rMultiple are in units of risk (R),
+// so results from different symbols and volatility regimes can be pooled.
+//
+// Tracking starts with the bar after the signal bar. Only closed bars are folded into a record; the forming
+// bar is checked on every update so a touch of the stop or target resolves immediately. When one bar spans both, the stop is
+// assumed to have been hit first. Records are persisted to localStorage ('signalOutcomes').
+
+import { TIMEFRAME_MINUTES } from './resampler';
+
+const STORAGE_KEY = 'signalOutcomes';
+const MAX_RECORDS = 500;
+export const DEFAULT_EXPIRY_BARS = 60;
+
+export const OUTCOME_STATUS = {
+  OPEN: 'OPEN',
+  TARGET: 'TARGET',
+  STOP: 'STOP',
+  EXPIRED: 'EXPIRED'
+};
+
+const toMs = (timestamp) => new Date(timestamp).getTime();
+
+class SignalOutcomeTracker {
+  constructor({ expiryBars = DEFAULT_EXPIRY_BARS } = {}) {
+    this.expiryBars = expiryBars;
+    this.records = this.loadRecords();
+    this.subscribers = new Set();
+  }
+
+  // Load saved outcomes from localStorage
+  loadRecords() {
+    if (typeof localStorage === 'undefined') return [];
+
+    try {
+      const stored = localStorage.getItem(STORAGE_KEY);
+      return stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      console.error('Error loading signal outcomes:', error);
+      return [];
+    }
+  }
+
+  saveRecords() {
+    if (typeof localStorage === 'undefined') return;
+
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.records));
+    } catch (error) {
+      console.error('Error saving signal outcomes:', error);
+    }
+  }
+
+  // Callback receives the full record list whenever it changes
+  subscribe(callback) {
+    this.subscribers.add(callback);
+    return () => this.subscribers.delete(callback);
+  }
+
+  notify() {
+    this.saveRecords();
+    this.subscribers.forEach(callback => {
+      try {
+        callback(this.records);
+      } catch (error) {
+        console.error('Error in signal outcome subscriber:', error);
+      }
+    });
+  }
+
+  /**
+   * Start following a signal. The signal needs a trade plan (stop and target);
+   * signals without one cannot resolve and are ignored.
+   */
+  track(signal, { symbol, timeframe }) {
+    const plan = signal.plan;
+    if (!plan || !plan.stopLoss || !plan.takeProfit) return null;
+
+    const id = `${symbol}_${timeframe}_${signal.type}_${toMs(signal.timestamp)}`;
+    if (this.records.some(record => record.id === id)) return null;
+
+    const record = {
+      id,
+      symbol,
+      timeframe,
+      side: signal.type.startsWith('LONG') ? 'LONG' : 'SHORT',
+      type: signal.type,
+      strength: signal.strength,
+      confluence: signal.confluence?.score ?? null,
+      htfAgrees: Boolean(signal.confluence?.agrees),
+      entry: signal.price,
+      stopLoss: plan.stopLoss,
+      takeProfit: plan.takeProfit,
+      risk: Math.abs(signal.price - plan.stopLoss),
+      riskAmount: plan.riskAmount,
+      openedAt: toMs(signal.timestamp),
+      lastClosedBar: toMs(signal.timestamp),
+      status: OUTCOME_STATUS.OPEN,
+      resolvedAt: null,
+      barsHeld: 0,
+      timeToResolutionMs: null,
+      mae: 0,
+      mfe: 0,
+      rMultiple: null
+    };
+
+    this.records.push(record);
+    if (this.records.length > MAX_RECORDS) {
+      this.records = this.records.slice(-MAX_RECORDS);
+    }
+    this.notify();
+    return record;
+  }
+
+  // Excursions of a bar in R; returns the resolution if the bar touched the stop or target
+  evaluateBar(record, bar) {
+    const direction = record.side === 'LONG' ? 1 : -1;
+    const favourable = direction === 1 ? bar.high : bar.low;
+    const adverse = direction === 1 ? bar.low : bar.high;
+    const mfe = Math.max(0, ((favourable - record.entry) * direction) / record.risk);
+    const mae = Math.max(0, ((record.entry - adverse) * direction) / record.risk);
+
+    const stopHit = direction === 1 ? bar.low <= record.stopLoss : bar.high >= record.stopLoss;
+    const targetHit = direction === 1 ? bar.high >= record.takeProfit : bar.low <= record.takeProfit;
+
+    let resolution = null;
+    if (stopHit) {
+      resolution = { status: OUTCOME_STATUS.STOP, rMultiple: -1 };
+    } else if (targetHit) {
+      resolution = { status: OUTCOME_STATUS.TARGET, rMultiple: Math.abs(record.takeProfit - record.entry) / record.risk };
+    }
+
+    return { mae, mfe, resolution };
+  }
+
+  resolve(record, bar, resolution, barsHeld) {
+    const resolvedAt = toMs(bar.timestamp);
+    Object.assign(record, {
+      status: resolution.status,
+      rMultiple: resolution.rMultiple,
+      resolvedAt,
+      barsHeld,
+      timeToResolutionMs: resolvedAt - record.openedAt
+    });
+  }
+
+  /**
+   * Advance open signals for a symbol/timeframe with the latest candle series.
+   * The last candle is treated as still forming.
+   */
+  update(symbol, timeframe, candles) {
+    if (!candles || candles.length === 0) return;
+
+    const open = this.records.filter(record =>
+      record.status === OUTCOME_STATUS.OPEN && record.symbol === symbol && record.timeframe === timeframe
+    );
+    if (open.length === 0) return;
+
+    const barMs = (TIMEFRAME_MINUTES[timeframe] || 1) * 60000;
+    let changed = false;
+
+    open.forEach(record => {
+      const pending = candles.filter(candle => toMs(candle.timestamp) > record.lastClosedBar);
+
+      for (let i = 0; i < pending.length; i++) {
+        const bar = pending[i];
+        const forming = bar === candles[candles.length - 1];
+        const barsHeld = Math.round((toMs(bar.timestamp) - record.openedAt) / barMs);
+        const { mae, mfe, resolution } = this.evaluateBar(record, bar);
+
+        if (resolution) {
+          record.mae = Math.max(record.mae, resolution.status === OUTCOME_STATUS.STOP ? 1 : mae);
+          record.mfe = Math.max(record.mfe, mfe);
+          this.resolve(record, bar, resolution, barsHeld);
+          changed = true;
+          break;
+        }
+
+        // Forming bar: nothing to fold in until it closes
+        if (forming) break;
+
+        record.mae = Math.max(record.mae, mae);
+        record.mfe = Math.max(record.mfe, mfe);
+        record.lastClosedBar = toMs(bar.timestamp);
+        changed = true;
+
+        if (barsHeld >= this.expiryBars) {
+          const direction = record.side === 'LONG' ? 1 : -1;
+          this.resolve(record, bar, {
+            status: OUTCOME_STATUS.EXPIRED,
+            rMultiple: ((bar.close - record.entry) * direction) / record.risk
+          }, barsHeld);
+          break;
+        }
+      }
+    });
+
+    if (changed) this.notify();
+  }
+
+  // Records filtered by symbol / timeframe / strength (any omitted filter matches everything)
+  getRecords({ symbol, timeframe, strength } = {}, records = this.records) {
+    return records.filter(record =>
+      (!symbol || record.symbol === symbol) &&
+      (!timeframe || record.timeframe === timeframe) &&
+      (!strength || record.strength === strength)
+    );
+  }
+
+  // Win rate, expectancy and average R over resolved records
+  summarize(records) {
+    const resolved = records.filter(record => record.status !== OUTCOME_STATUS.OPEN);
+    const wins = resolved.filter(record => record.rMultiple > 0);
+    const losses = resolved.filter(record => record.rMultiple <= 0);
+    const average = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+    return {
+      total: records.length,
+      open: records.length - resolved.length,
+      resolved: resolved.length,
+      targets: resolved.filter(record => record.status === OUTCOME_STATUS.TARGET).length,
+      stops: resolved.filter(record => record.status === OUTCOME_STATUS.STOP).length,
+      expired: resolved.filter(record => record.status === OUTCOME_STATUS.EXPIRED).length,
+      winRate: resolved.length ? wins.length / resolved.length : null,
+      avgWinR: average(wins.map(record => record.rMultiple)),
+      avgLossR: average(losses.map(record => record.rMultiple)),
+      avgR: average(resolved.map(record => record.rMultiple)),
+      // Dollar expectancy per trade at the risk each signal was sized with
+      expectancy: average(resolved.map(record => record.rMultiple * (record.riskAmount || 0))),
+      avgMAE: average(resolved.map(record => record.mae)),
+      avgMFE: average(resolved.map(record => record.mfe)),
+      avgTimeToResolutionMs: average(resolved.map(record => record.timeToResolutionMs))
+    };
+  }
+
+  // Summary for a symbol/timeframe, overall and broken down by signal strength
+  // (pass `source` to summarize a snapshot such as component state instead of the live list)
+  getStats({ symbol, timeframe } = {}, source = this.records) {
+    const records = this.getRecords({ symbol, timeframe }, source);
+    const byStrength = {};
+    ['STRONG', 'MEDIUM', 'DEVELOPING'].forEach(strength => {
+      byStrength[strength] = this.summarize(records.filter(record => record.strength === strength));
+    });
+
+    return { overall: this.summarize(records), byStrength };
+  }
+
+  clear({ symbol, timeframe } = {}) {
+    this.records = this.records.filter(record =>
+      (symbol && record.symbol !== symbol) || (timeframe && record.timeframe !== timeframe)
+    );
+    this.notify();
+  }
+}
+
+// Create singleton instance
+const signalOutcomeTracker = new SignalOutcomeTracker();
+
+export { SignalOutcomeTracker };
+export default signalOutcomeTracker;
@@ -0,0 +1,161 @@
+// /dashboard/lib/socketClient.js
+// Browser adapter for the Socket.IO hub (pages/api/socket.js + lib/socketHub.js)
+//
+// One socket per tab. Channels are `${symbol}_${timeframe}`; the hub sends
+//   candles { symbol, timeframe, candles, source, lastPrice } - full series on join
+//   candle  { symbol, timeframe, candles, source, lastPrice } - latest bars only, merged here
+//   score   { symbol, timeframe, drPaulScore, signals }
+//   levels  { symbol, timeframe, poc, vah, val, support, resistance }
+//   alert   { symbol, timeframe, alerts }
+
+import { io } from 'socket.io-client';
+
+const SOCKET_PATH = '/api/socketio';
+const MAX_CONNECT_ERRORS = 3;
+
+class SocketClient {
+  constructor() {
+    this.socket = null;
+    this.channels = new Map();
+    this.listeners = new Map();
+    this.connectErrors = 0;
+  }
+
+  // Boot the hub route once, then open the socket
+  async connect() {
+    if (this.socket) return;
+
+    this.socket = io({ path: SOCKET_PATH, autoConnect: false, reconnectionDelayMax: 30000 });
+
+    this.socket.on('connect', () => {
+      console.log('✅ Socket hub connected');
+      this.connectErrors = 0;
+      this.channels.forEach(({ symbol, timeframe }) => {
+        this.socket.emit('subscribe', { symbol, timeframe });
+      });
+    });
+
+    this.socket.on('connect_error', (error) => {
+      this.connectErrors++;
+      console.warn(`⚠️ Socket hub connect error (${this.connectErrors}/${MAX_CONNECT_ERRORS}): ${error.message}`);
+
+      if (this.connectErrors >= MAX_CONNECT_ERRORS) {
+        this.failChannels();
+      }
+    });
+
+    this.socket.on('candles', (payload) => this.handleCandles(payload, true));
+    this.socket.on('candle', (payload) => this.handleCandles(payload, false));
+    ['score', 'levels', 'alert'].forEach(event => {
+      this.socket.on(event, (payload) => this.emitLocal(event, payload));
+    });
+
+    try {
+      await fetch('/api/socket');
+    } catch (error) {
+      console.warn('⚠️ Socket hub route unreachable:', error.message);
+    }
+
+    this.socket.connect();
+  }
+
+  // Subscribe to a channel's candles; callback(candles, payload)
+  subscribeCandles(symbol, timeframe, callback, { onUnavailable } = {}) {
+    const key = `${symbol}_${timeframe}`;
+
+    if (!this.channels.has(key)) {
+      this.channels.set(key, { symbol, timeframe, candles: [], callbacks: new Set() });
+      if (this.socket?.connected) {
+        this.socket.emit('subscribe', { symbol, timeframe });
+      }
+    }
+
+    const channel = this.channels.get(key);
+    const entry = { callback, onUnavailable };
+    channel.callbacks.add(entry);
+
+    if (channel.candles.length > 0) {
+      callback([...channel.candles], { symbol, timeframe });
+    }
+
+    this.connect();
+
+    return () => {
+      channel.callbacks.delete(entry);
+      if (channel.callbacks.size === 0) {
+        this.channels.delete(key);
+        this.socket?.emit('unsubscribe', { symbol, timeframe });
+      }
+    };
+  }
+
+  // Listen for hub events ('score', 'levels', 'alert')
+  on(event, callback) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(callback);
+    this.connect();
+
+    return () => this.listeners.get(event)?.delete(callback);
+  }
+
+  handleCandles(payload, isSnapshot) {
+    const channel = this.channels.get(`${payload.symbol}_${payload.timeframe}`);
+    if (!channel) return;
+
+    if (isSnapshot) {
+      channel.candles = payload.candles;
+    } else {
+      // Replace the forming bar or append a new one, keeping the window length
+      const byTimestamp = new Map(channel.candles.map(candle => [candle.timestamp, candle]));
+      payload.candles.forEach(candle => byTimestamp.set(candle.timestamp, candle));
+      channel.candles = [...byTimestamp.values()]
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+        .slice(-250);
+    }
+
+    channel.callbacks.forEach(({ callback }) => {
+      try {
+        callback([...channel.candles], payload);
+      } catch (error) {
+        console.error('❌ Error in socket candle callback:', error);
+      }
+    });
+  }
+
+  emitLocal(event, payload) {
+    this.listeners.get(event)?.forEach(callback => {
+      try {
+        callback(payload);
+      } catch (error) {
+        console.error(`❌ Error in socket ${event} listener:`, error);
+      }
+    });
+  }
+
+  // Hand every channel back to its owner and stop retrying
+  failChannels() {
+    const channels = [...this.channels.values()];
+    this.disconnect();
+
+    channels.forEach(channel => {
+      channel.callbacks.forEach(({ onUnavailable }) => onUnavailable?.());
+    });
+  }
+
+  disconnect() {
+    if (this.socket) {
+      this.socket.removeAllListeners();
+      this.socket.disconnect();
+      this.socket = null;
+    }
+    this.channels.clear();
+    this.connectErrors = 0;
+  }
+
+  isConnected() {
+    return Boolean(this.socket?.connected);
+  }
+}
+
+const socketClient = new SocketClient();
+export default socketClient;
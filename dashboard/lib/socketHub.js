@@ -0,0 +1,193 @@
+// /dashboard/lib/socketHub.js
+// Server-side Socket.IO hub: one upstream subscription per symbol/timeframe, fanned out to every tab
+//
+// Rooms are channels `${symbol}_${timeframe}`. Clients emit subscribe/unsubscribe { symbol, timeframe }
+// and receive candles (full series on join), candle (latest bars), score, levels and alert events
+// (payload shapes are listed in socketClient.js).
+
+import cryptoDataService from './cryptoDataService';
+import { AlertService } from './alertService';
+import { buildMarketSnapshot } from './marketSnapshot';
+import { TIMEFRAME_MINUTES } from './resampler';
+import { isKnownSymbol } from './symbolRegistry';
+
+const ANALYSIS_INTERVAL = 5000; // Score/levels/alerts at most every 5 seconds per channel
+
+class SocketHub {
+  constructor() {
+    this.io = null;
+    this.channels = new Map();
+  }
+
+  // Wire connection handlers onto a Socket.IO server
+  attach(io) {
+    if (this.io === io) return;
+    this.io = io;
+
+    io.on('connection', (socket) => {
+      console.log(`🔌 Socket hub client connected (${socket.id})`);
+      socket.data.channels = new Set();
+
+      socket.on('subscribe', (request) => this.join(socket, request));
+      socket.on('unsubscribe', ({ symbol, timeframe } = {}) => this.leave(socket, `${symbol}_${timeframe}`));
+      socket.on('disconnect', () => {
+        socket.data.channels.forEach(key => this.leave(socket, key));
+      });
+    });
+  }
+
+  join(socket, { symbol, timeframe } = {}) {
+    if (typeof symbol !== 'string' || !isKnownSymbol(symbol.toUpperCase()) || !TIMEFRAME_MINUTES[timeframe]) {
+      socket.emit('hub_error', { message: `Invalid subscription ${symbol} ${timeframe}` });
+      return;
+    }
+
+    const key = `${symbol.toUpperCase()}_${timeframe}`;
+    if (socket.data.channels.has(key)) return;
+
+    socket.join(key);
+    socket.data.channels.add(key);
+
+    const channel = this.channels.get(key) || this.openChannel(symbol.toUpperCase(), timeframe, key);
+    channel.members.add(socket.id);
+
+    // Late joiners get the current state straight away
+    if (channel.candles.length > 0) {
+      socket.emit('candles', this.candlePayload(channel, channel.candles));
+    }
+    if (channel.score) socket.emit('score', channel.score);
+    if (channel.levels) socket.emit('levels', channel.levels);
+  }
+
+  leave(socket, key) {
+    socket.leave(key);
+    socket.data.channels.delete(key);
+
+    const channel = this.channels.get(key);
+    if (!channel) return;
+
+    channel.members.delete(socket.id);
+    if (channel.members.size === 0) {
+      console.log(`🛑 Socket hub closing ${key}`);
+      channel.unsubscribe();
+      this.channels.delete(key);
+    }
+  }
+
+  // Subscribe upstream once for the channel
+  openChannel(symbol, timeframe, key) {
+    console.log(`📡 Socket hub opening ${key}`);
+
+    const channel = {
+      key,
+      symbol,
+      timeframe,
+      members: new Set(),
+      candles: [],
+      score: null,
+      levels: null,
+      lastAnalysis: 0,
+      alerts: new AlertService(symbol),
+      unsubscribe: () => {}
+    };
+    this.channels.set(key, channel);
+
+    channel.unsubscribe = cryptoDataService.subscribe(symbol, timeframe, (candles) => {
+      this.publishCandles(channel, candles);
+    }, { transport: 'direct' });
+
+    return channel;
+  }
+
+  candlePayload(channel, candles) {
+    return {
+      symbol: channel.symbol,
+      timeframe: channel.timeframe,
+      candles,
+      source: cryptoDataService.getDataSource(channel.symbol, channel.timeframe),
+      lastPrice: cryptoDataService.lastPrices.get(channel.symbol) || null
+    };
+  }
+
+  publishCandles(channel, candles) {
+    // Upstream has no data (providers down, synthetic fallback off) - clear the series
+    if (candles.length === 0) {
+      channel.candles = [];
+      this.io.to(channel.key).emit('candles', this.candlePayload(channel, []));
+      return;
+    }
+
+    const isSnapshot = channel.candles.length === 0;
+    channel.candles = candles;
+
+    // After the first snapshot only the forming bar and the one before it can change
+    this.io.to(channel.key).emit(
+      isSnapshot ? 'candles' : 'candle',
+      this.candlePayload(channel, isSnapshot ? candles : candles.slice(-2))
+    );
+
+    if (Date.now() - channel.lastAnalysis >= ANALYSIS_INTERVAL) {
+      channel.lastAnalysis = Date.now();
+      this.publishAnalysis(channel, candles);
+    }
+  }
+
+  // Emit score/levels when they change and any alerts the snapshot triggers
+  publishAnalysis(channel, candles) {
+    try {
+      const lastPrice = cryptoDataService.lastPrices.get(channel.symbol);
+      const snapshot = buildMarketSnapshot({
+        symbol: channel.symbol,
+        timeframe: channel.timeframe,
+        candles,
+        ticker: {
+          price: lastPrice?.price ?? candles[candles.length - 1].close,
+          change: lastPrice?.change ?? 0,
+          volume: null
+        },
+        source: cryptoDataService.getDataSource(channel.symbol, channel.timeframe)
+      });
+
+      const room = this.io.to(channel.key);
+      const base = { symbol: channel.symbol, timeframe: channel.timeframe };
+
+      const roundedScore = snapshot.drPaulScore === null ? null : Math.round(snapshot.drPaulScore);
+      if (roundedScore !== (channel.score && Math.round(channel.score.drPaulScore))) {
+        channel.score = { ...base, drPaulScore: snapshot.drPaulScore, signals: snapshot.drPaulSignals };
+        room.emit('score', channel.score);
+      }
+
+      const levels = {
+        ...base,
+        poc: snapshot.pocLevel,
+        vah: snapshot.vahLevel,
+        val: snapshot.valLevel,
+        support: snapshot.supportLevels,
+        resistance: snapshot.resistanceLevels
+      };
+      if (JSON.stringify(levels) !== JSON.stringify(channel.levels)) {
+        channel.levels = levels;
+        room.emit('levels', levels);
+      }
+
+      const alerts = channel.alerts.evaluateMarketData(snapshot);
+      if (alerts.length > 0) {
+        channel.alerts.processNewAlerts(alerts);
+        room.emit('alert', { ...base, alerts });
+      }
+    } catch (error) {
+      console.error(`❌ Socket hub analysis failed for ${channel.key}:`, error);
+    }
+  }
+
+  getStats() {
+    return [...this.channels.values()].map(channel => ({
+      channel: channel.key,
+      members: channel.members.size,
+      candles: channel.candles.length
+    }));
+  }
+}
+
+const socketHub = new SocketHub();
+export default socketHub;
@@ -0,0 +1,85 @@
+// /dashboard/lib/strategySettings.js
+// Per-symbol parameters for the moving-average scalping strategy
+//
+// Three moving averages drive the strategy: `fast` crossing `slow` emits a signal and `trend`
+// grades it (and the higher-timeframe trend stack). Stop/target rules override the account-wide
+// defaults from riskManagement so each asset can use its own ATR multiple and reward ratio.
+// Overrides are persisted to localStorage ('scalpingStrategy') as { [symbol]: settings };
+// on the server every symbol gets the defaults.
+
+import { DEFAULT_RISK_SETTINGS } from './riskManagement';
+
+export const MA_TYPES = ['ema', 'sma', 'wma'];
+
+export const DEFAULT_STRATEGY_SETTINGS = {
+  fast: { type: 'ema', period: 9 },
+  slow: { type: 'sma', period: 21 },
+  trend: { type: 'sma', period: 200 },
+  atrPeriod: 14,
+  cooldownMinutes: 5,   // minimum gap between two signals in the same direction
+  minHistory: 25,       // candles required before any signal is emitted
+  stopLossAtrMultiple: DEFAULT_RISK_SETTINGS.stopLossAtrMultiple,
+  takeProfitRatio: DEFAULT_RISK_SETTINGS.takeProfitRatio,
+  swingLookback: DEFAULT_RISK_SETTINGS.swingLookback
+};
+
+const STORAGE_KEY = 'scalpingStrategy';
+
+// Moving averages are nested objects, so merge them one level deep
+const mergeSettings = (base, overrides = {}) => ({
+  ...base,
+  ...overrides,
+  fast: { ...base.fast, ...overrides.fast },
+  slow: { ...base.slow, ...overrides.slow },
+  trend: { ...base.trend, ...overrides.trend }
+});
+
+const loadAll = () => {
+  if (typeof localStorage === 'undefined') return {};
+
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error('Error loading strategy settings:', error);
+    return {};
+  }
+};
+
+const saveAll = (all) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+  } catch (error) {
+    console.error('Error saving strategy settings:', error);
+  }
+};
+
+// Settings for a symbol (defaults merged with any saved overrides)
+export function loadStrategySettings(symbol) {
+  return mergeSettings(DEFAULT_STRATEGY_SETTINGS, loadAll()[symbol]);
+}
+
+// Merge and persist overrides for a symbol, e.g. { fast: { period: 12 } }; returns the full settings
+export function saveStrategySettings(symbol, overrides) {
+  const all = loadAll();
+  const settings = mergeSettings(loadStrategySettings(symbol), overrides);
+  all[symbol] = settings;
+  saveAll(all);
+  return settings;
+}
+
+// Drop a symbol's overrides; returns the defaults
+export function resetStrategySettings(symbol) {
+  const all = loadAll();
+  delete all[symbol];
+  saveAll(all);
+  return loadStrategySettings(symbol);
+}
+
+// Whether a symbol has saved overrides
+export function hasCustomStrategy(symbol) {
+  return Boolean(loadAll()[symbol]);
+}
+
+// Display label used in signal reasons and chart legends: '9 EMA', '21 MA', '20 WMA'
+export const maLabel = ({ type, period }) => `${period} ${type === 'sma' ? 'MA' : type.toUpperCase()}`;
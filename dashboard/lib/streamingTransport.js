@@ -0,0 +1,242 @@
+// /dashboard/lib/streamingTransport.js
+// Streaming WebSocket price feed (Binance combined-stream protocol)
+//
+// One socket carries every subscribed symbol/timeframe. Each subscription receives:
+//   onKline(candle)        - kline updates for its timeframe (candle.isComplete = bar closed)
+//   onTick({ price, change }) - 24h mini-ticker updates for its symbol
+//   onReconnect()          - fired after the socket comes back so the owner can backfill gaps
+//
+// The endpoint and WebSocket implementation are injectable so the transport can run
+// against a local stand-in server, e.g. new StreamingTransport({ url: 'ws://localhost:8765/stream' }).
+// Streams are named by each symbol's Binance pair from the symbol registry; handlers see app symbols.
+
+import { CANDLE_QUALITY } from './marketDataProviders';
+import { getProviderId } from './symbolRegistry';
+
+const DEFAULT_STREAM_URL = process.env.NEXT_PUBLIC_STREAM_URL || 'wss://stream.binance.com:9443/stream';
+
+class StreamingTransport {
+  constructor({
+    url = DEFAULT_STREAM_URL,
+    WebSocketImpl = typeof WebSocket !== 'undefined' ? WebSocket : null,
+    initialBackoff = 1000,
+    maxBackoff = 30000
+  } = {}) {
+    this.url = url;
+    this.WebSocketImpl = WebSocketImpl;
+    this.initialBackoff = initialBackoff;
+    this.maxBackoff = maxBackoff;
+
+    this.socket = null;
+    this.subscriptions = new Map();
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.manualClose = false;
+    this.hasConnected = false;
+    this.messageId = 1;
+    this.status = 'DISCONNECTED';
+  }
+
+  // Whether a WebSocket implementation is available in this environment
+  isAvailable() {
+    return Boolean(this.WebSocketImpl);
+  }
+
+  // Subscribe to kline + ticker updates for a symbol/timeframe
+  subscribe(symbol, timeframe, handlers) {
+    const pair = getProviderId(symbol, 'binance');
+    if (!pair) {
+      console.warn(`⚠️ No Binance pair for ${symbol} - not streaming`);
+      return () => {};
+    }
+
+    const key = `${symbol}_${timeframe}`;
+    this.subscriptions.set(key, { symbol, pair, timeframe, handlers });
+
+    if (!this.socket) {
+      this.connect();
+    } else if (this.status === 'CONNECTED') {
+      this.sendSubscription('SUBSCRIBE', this.getStreamNames(pair, timeframe));
+    }
+
+    return () => this.unsubscribe(key);
+  }
+
+  unsubscribe(key) {
+    const subscription = this.subscriptions.get(key);
+    if (!subscription) return;
+
+    this.subscriptions.delete(key);
+
+    // Keep the ticker stream while another timeframe of the symbol is still subscribed
+    const streams = this.getStreamNames(subscription.pair, subscription.timeframe)
+      .filter(stream => !this.getActiveStreams().includes(stream));
+
+    if (this.status === 'CONNECTED' && streams.length > 0) {
+      this.sendSubscription('UNSUBSCRIBE', streams);
+    }
+
+    if (this.subscriptions.size === 0) {
+      this.disconnect();
+    }
+  }
+
+  // Stream names for a Binance pair (not the app symbol)
+  getStreamNames(pair, timeframe) {
+    const lower = pair.toLowerCase();
+    return [`${lower}@kline_${timeframe}`, `${lower}@miniTicker`];
+  }
+
+  getActiveStreams() {
+    const streams = new Set();
+    this.subscriptions.forEach(({ pair, timeframe }) => {
+      this.getStreamNames(pair, timeframe).forEach(stream => streams.add(stream));
+    });
+    return [...streams];
+  }
+
+  connect() {
+    if (!this.isAvailable()) {
+      console.warn('⚠️ WebSocket not available - streaming disabled');
+      return;
+    }
+
+    this.manualClose = false;
+    this.status = 'CONNECTING';
+    console.log(`🔌 Opening price stream ${this.url}`);
+
+    const socket = new this.WebSocketImpl(this.url);
+    this.socket = socket;
+
+    socket.onopen = () => {
+      const isReconnect = this.hasConnected;
+      console.log(`✅ Price stream ${isReconnect ? 'reconnected' : 'connected'}`);
+
+      this.status = 'CONNECTED';
+      this.hasConnected = true;
+      this.reconnectAttempts = 0;
+      this.sendSubscription('SUBSCRIBE', this.getActiveStreams());
+
+      if (isReconnect) {
+        this.subscriptions.forEach(({ handlers }) => handlers.onReconnect?.());
+      }
+    };
+
+    socket.onmessage = (event) => {
+      this.handleMessage(event.data);
+    };
+
+    socket.onerror = (error) => {
+      console.warn('⚠️ Price stream error:', error?.message || error);
+    };
+
+    socket.onclose = () => {
+      if (this.socket !== socket) return;
+
+      this.socket = null;
+      this.status = 'DISCONNECTED';
+
+      if (!this.manualClose && this.subscriptions.size > 0) {
+        this.scheduleReconnect();
+      }
+    };
+  }
+
+  // Exponential backoff with jitter, capped at maxBackoff
+  scheduleReconnect() {
+    const delay = Math.min(this.maxBackoff, this.initialBackoff * Math.pow(2, this.reconnectAttempts));
+    const jitter = Math.random() * delay * 0.2;
+    this.reconnectAttempts++;
+    this.status = 'RECONNECTING';
+
+    console.log(`🔄 Price stream reconnecting in ${Math.round(delay + jitter)}ms (attempt ${this.reconnectAttempts})`);
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay + jitter);
+  }
+
+  disconnect() {
+    this.manualClose = true;
+
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.close();
+    }
+
+    this.status = 'DISCONNECTED';
+    this.hasConnected = false;
+    this.reconnectAttempts = 0;
+  }
+
+  sendSubscription(method, streams) {
+    if (!this.socket || streams.length === 0) return;
+
+    this.socket.send(JSON.stringify({
+      method,
+      params: streams,
+      id: this.messageId++
+    }));
+  }
+
+  handleMessage(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      console.warn('⚠️ Unparseable stream message');
+      return;
+    }
+
+    const data = message.data || message;
+    if (!data || !data.e) return; // Subscription acks carry no event
+
+    if (data.e === 'kline') {
+      const k = data.k;
+      const candle = {
+        timestamp: Number(k.t),
+        open: Number(k.o),
+        high: Number(k.h),
+        low: Number(k.l),
+        close: Number(k.c),
+        volume: Number(k.v),
+        quoteVolume: Number(k.q),
+        trades: Number(k.n),
+        quality: CANDLE_QUALITY.NATIVE,
+        isComplete: Boolean(k.x)
+      };
+
+      // data.s is the Binance pair; map it back to the subscriptions of its app symbol
+      this.subscriptions.forEach(({ pair, timeframe, handlers }) => {
+        if (pair === data.s && timeframe === k.i) handlers.onKline?.(candle);
+      });
+    } else if (data.e === '24hrMiniTicker') {
+      const price = Number(data.c);
+      const open = Number(data.o);
+      const tick = {
+        price,
+        change: open > 0 ? ((price - open) / open) * 100 : 0
+      };
+
+      this.subscriptions.forEach(({ pair, handlers }) => {
+        if (pair === data.s) handlers.onTick?.(tick);
+      });
+    }
+  }
+
+  getStatus() {
+    return {
+      status: this.status,
+      reconnectAttempts: this.reconnectAttempts,
+      subscriptions: this.subscriptions.size
+    };
+  }
+}
+
+export default StreamingTransport;
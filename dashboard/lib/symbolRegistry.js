@@ -0,0 +1,125 @@
+// /dashboard/lib/symbolRegistry.js
+// Every tradable symbol in one place: provider ids, display names, tick size, precision,
+// quote currency and the timeframes the dashboards offer
+//
+// Adding an asset is one entry in SYMBOLS; providers, services and components read it from here.
+//   base / quote      - asset and quote currency ('ETH', 'USDT')
+//   name              - long display name
+//   providerIds       - id per provider name; a provider without an id does not serve the symbol
+//   tickSize          - exchange price increment
+//   pricePrecision    - decimals shown for prices
+//   fallbackPrice     - anchor for generated data when no provider returns a price
+//   timeframes        - timeframes offered for the symbol
+
+const DEFAULT_TIMEFRAMES = ['1m', '3m', '5m', '15m', '30m', '1h', '4h', '1d'];
+
+export const SYMBOLS = {
+  ETHUSDT: {
+    base: 'ETH',
+    quote: 'USDT',
+    name: 'Ethereum',
+    providerIds: { binance: 'ETHUSDT', coingecko: 'ethereum' },
+    tickSize: 0.01,
+    pricePrecision: 2,
+    fallbackPrice: 4003,
+    timeframes: DEFAULT_TIMEFRAMES
+  },
+  BTCUSDT: {
+    base: 'BTC',
+    quote: 'USDT',
+    name: 'Bitcoin',
+    providerIds: { binance: 'BTCUSDT', coingecko: 'bitcoin' },
+    tickSize: 0.01,
+    pricePrecision: 2,
+    fallbackPrice: 97000,
+    timeframes: DEFAULT_TIMEFRAMES
+  },
+  SOLUSDT: {
+    base: 'SOL',
+    quote: 'USDT',
+    name: 'Solana',
+    providerIds: { binance: 'SOLUSDT', coingecko: 'solana' },
+    tickSize: 0.01,
+    pricePrecision: 2,
+    fallbackPrice: 195,
+    timeframes: DEFAULT_TIMEFRAMES
+  },
+  AVAXUSDT: {
+    base: 'AVAX',
+    quote: 'USDT',
+    name: 'Avalanche',
+    providerIds: { binance: 'AVAXUSDT', coingecko: 'avalanche-2' },
+    tickSize: 0.01,
+    pricePrecision: 2,
+    fallbackPrice: 38,
+    timeframes: DEFAULT_TIMEFRAMES
+  },
+  LINKUSDT: {
+    base: 'LINK',
+    quote: 'USDT',
+    name: 'Chainlink',
+    providerIds: { binance: 'LINKUSDT', coingecko: 'chainlink' },
+    tickSize: 0.001,
+    pricePrecision: 3,
+    fallbackPrice: 16,
+    timeframes: DEFAULT_TIMEFRAMES
+  },
+  DOTUSDT: {
+    base: 'DOT',
+    quote: 'USDT',
+    name: 'Polkadot',
+    providerIds: { binance: 'DOTUSDT', coingecko: 'polkadot' },
+    tickSize: 0.001,
+    pricePrecision: 3,
+    fallbackPrice: 9,
+    timeframes: DEFAULT_TIMEFRAMES
+  },
+  ADAUSDT: {
+    base: 'ADA',
+    quote: 'USDT',
+    name: 'Cardano',
+    providerIds: { binance: 'ADAUSDT', coingecko: 'cardano' },
+    tickSize: 0.0001,
+    pricePrecision: 4,
+    fallbackPrice: 1.05,
+    timeframes: DEFAULT_TIMEFRAMES
+  }
+};
+
+export const getSymbolInfo = (symbol) => SYMBOLS[symbol] || null;
+
+export const isKnownSymbol = (symbol) => Boolean(SYMBOLS[symbol]);
+
+// Symbols in registry order, with their key attached
+export const listSymbols = () => Object.entries(SYMBOLS).map(([symbol, info]) => ({ symbol, ...info }));
+
+// Provider-specific id (e.g. CoinGecko coin id), null when the provider doesn't list the symbol
+export const getProviderId = (symbol, provider) => SYMBOLS[symbol]?.providerIds[provider] || null;
+
+// 'ETH' for ETHUSDT; unknown symbols lose a trailing USDT
+export const getDisplaySymbol = (symbol) => SYMBOLS[symbol]?.base || symbol.replace(/USDT$/, '');
+
+// 'ETH/USDT'
+export const getPairLabel = (symbol) => {
+  const info = SYMBOLS[symbol];
+  return info ? `${info.base}/${info.quote}` : symbol;
+};
+
+export const getSymbolTimeframes = (symbol) => SYMBOLS[symbol]?.timeframes || DEFAULT_TIMEFRAMES;
+
+export const getFallbackPrice = (symbol) => SYMBOLS[symbol]?.fallbackPrice || 100;
+
+// Price with the symbol's display precision (unknown symbols: 4 decimals under $1, else 2)
+export const formatPrice = (symbol, price) => {
+  const precision = SYMBOLS[symbol]?.pricePrecision ?? (price < 1 ? 4 : 2);
+  return Number(price).toFixed(precision);
+};
+
+// Snap a price to the symbol's tick size
+export const roundToTick = (symbol, price) => {
+  const tickSize = SYMBOLS[symbol]?.tickSize;
+  if (!tickSize) return price;
+
+  const decimals = Math.max(0, -Math.floor(Math.log10(tickSize)));
+  return Number((Math.round(price / tickSize) * tickSize).toFixed(decimals));
+};
@@ -1,17 +1,82 @@
 // /dashboard/lib/volumeProfileService.js
 // Volume Profile & POC Analysis Service for Dr. Paul's Trading System
 
+import { groupCandlesByAnchor, loadTradingSessions, PERIOD_ANCHORS, DEFAULT_TRADING_SESSIONS } from './sessionAnchors';
+import { TIMEFRAME_MINUTES } from './resampler';
+
+// How a candle's volume is spread over the price levels it traded through
+export const DISTRIBUTION_MODELS = {
+  uniform: 'Uniform (high-low)',
+  triangular: 'Triangular around close',
+  tpo: 'TPO-weighted (open & close)',
+  lowerTimeframe: 'Lower-timeframe candles'
+};
+
+// Used for candles the lower-timeframe series doesn't cover
+const LOWER_TIMEFRAME_FALLBACK = 'triangular';
+
+// HVN/LVN detection on the smoothed profile: smoothing is the moving-average half-width in price levels,
+// prominence the fraction of the largest smoothed volume a peak or trough must stand out by
+export const DEFAULT_NODE_SETTINGS = { smoothing: 2, prominence: 0.15 };
+
+const DISTRIBUTION_STORAGE_KEY = 'volumeDistributionModel';
+const NODE_SETTINGS_STORAGE_KEY = 'volumeNodeSettings';
+const LEDGER_STORAGE_KEY = 'levelLedger';
+const LEDGER_MAX_LEVELS = 600;
+const LEDGER_TESTED_RETENTION_MS = 30 * 24 * 3600000;
+
+// The ledger's sessions are profiled from 15m bars; coarser bars can't place a session boundary and
+// finer windows are too short to hold a whole session
+export const LEDGER_TIMEFRAME = '15m';
+
 class VolumeProfileService {
   constructor() {
     this.cache = new Map();
     this.updateInterval = 30000; // 30 seconds
+    this.levelLedgers = this._loadLevelLedgers(); // { [symbol]: [ledger level] }
+    this.distributionModel = this._loadDistributionModel();
+    this.nodeSettings = this._loadNodeSettings();
+  }
+
+  /**
+   * Default intrabar distribution model (a DISTRIBUTION_MODELS key) for every profile;
+   * each calculation can still pass its own `model`. Persisted to localStorage ('volumeDistributionModel').
+   */
+  setDistributionModel(model) {
+    if (!DISTRIBUTION_MODELS[model]) throw new Error(`Unknown volume distribution model: ${model}`);
+
+    this.distributionModel = model;
+    this.cache.clear();
+    try {
+      localStorage.setItem(DISTRIBUTION_STORAGE_KEY, model);
+    } catch (error) {
+      console.error('Error saving volume distribution model:', error);
+    }
+  }
+
+  /**
+   * Default HVN/LVN detection settings ({ smoothing, prominence }, see DEFAULT_NODE_SETTINGS) used by
+   * getKeyLevels and the level signals. Persisted to localStorage ('volumeNodeSettings'); returns the merged settings.
+   */
+  setNodeSettings(settings) {
+    this.nodeSettings = { ...this.nodeSettings, ...settings };
+    try {
+      localStorage.setItem(NODE_SETTINGS_STORAGE_KEY, JSON.stringify(this.nodeSettings));
+    } catch (error) {
+      console.error('Error saving volume node settings:', error);
+    }
+    return this.nodeSettings;
   }
 
   /**
    * Calculate Volume Profile Visible Range (VPVR)
+   * options: { model, lowerTimeframeCandles, timeframe } - see _calculateVolumeProfile
    */
-  calculateVPVR(candleData, range = 50) {
-    const cacheKey = `vpvr_${range}_${candleData.length}`;
+  calculateVPVR(candleData, range = 50, options = {}) {
+    // Key on the last bar too, otherwise equal-length series (other symbols/timeframes) share a cache entry
+    const lastCandle = candleData[candleData.length - 1] || {};
+    const model = options.model || this.distributionModel;
+    const cacheKey = `vpvr_${range}_${model}_${candleData.length}_${lastCandle.timestamp}_${lastCandle.close}_${options.lowerTimeframeCandles?.length || 0}_${options.timeframe || ''}`;
     
     if (this.cache.has(cacheKey)) {
       const cached = this.cache.get(cacheKey);
@@ -21,7 +86,7 @@ class VolumeProfileService {
     }
 
     const visibleData = candleData.slice(-range);
-    const profile = this._calculateVolumeProfile(visibleData);
+    const profile = this._calculateVolumeProfile(visibleData, { ...options, model });
     
     this.cache.set(cacheKey, {
       data: profile,
@@ -32,28 +97,160 @@ class VolumeProfileService {
   }
 
   /**
-   * Calculate Session Volume Profiles
+   * Calculate Session Volume Profiles anchored to clock periods (see sessionAnchors):
+   * 'day' / 'week' / 'month' (UTC) or a trading session id such as 'london'.
+   * isComplete is false for the period still running at `now`; isPartial marks the oldest
+   * period when the data starts after it opened, so its levels don't describe the whole period.
+   * timeframe is the candles' own (e.g. '15m'); without it any bar missing from the oldest period's
+   * open counts at 1m resolution, so the period is marked partial rather than trusted.
+   * valueMigration compares each period's value area with the one before (see classifyValueMigration).
    */
-  calculateSessionProfiles(candleData, sessionLength = 4) {
-    const sessions = [];
-    
-    for (let i = 0; i < candleData.length; i += sessionLength) {
-      const sessionData = candleData.slice(i, i + sessionLength);
-      if (sessionData.length >= sessionLength / 2) { // At least half session
-        const profile = this._calculateVolumeProfile(sessionData);
-        sessions.push({
-          startTime: sessionData[0].timestamp,
-          endTime: sessionData[sessionData.length - 1].timestamp,
-          profile,
-          sessionStrength: this._calculateSessionStrength(profile),
-          pocPrice: profile.poc?.price || 0,
-          valueAreaRange: profile.vah && profile.val ? 
-            profile.vah.price - profile.val.price : 0
-        });
-      }
+  calculateSessionProfiles(candleData, anchor = 'day', { sessions = DEFAULT_TRADING_SESSIONS, limit = 10, now = Date.now(), timeframe = null, ...distribution } = {}) {
+    const groups = groupCandlesByAnchor(candleData, anchor, sessions);
+    const distributor = this._createDistributor(candleData, { ...distribution, timeframe });
+    const barMs = (TIMEFRAME_MINUTES[timeframe] || 1) * 60000;
+
+    const profiles = groups.map((group, index) => {
+      const profile = this._calculateVolumeProfile(group.candles, { distributor });
+      const firstBar = new Date(group.candles[0].timestamp).getTime();
+      return {
+        anchor,
+        label: group.label,
+        startTime: group.start,
+        endTime: group.end,
+        bars: group.candles.length,
+        isComplete: group.end <= now,
+        isPartial: index === 0 && firstBar - group.start >= barMs,
+        profile,
+        sessionStrength: this._calculateSessionStrength(profile),
+        pocPrice: profile.poc?.price || 0,
+        vahPrice: profile.vah?.price || 0,
+        valPrice: profile.val?.price || 0,
+        valueAreaRange: profile.vah && profile.val ? 
+          profile.vah.price - profile.val.price : 0
+      };
+    });
+
+    profiles.forEach((session, index) => {
+      const previous = profiles[index - 1];
+      session.valueMigration = previous && !previous.isPartial ? this.classifyValueMigration(previous, session) : null;
+    });
+
+    return profiles.slice(-limit);
+  }
+
+  /**
+   * How value moved from one session to the next:
+   * HIGHER - the value area sits entirely above the previous one (higher prices accepted)
+   * LOWER - entirely below (lower prices accepted)
+   * OVERLAPPING - the value areas overlap (balance; moves away from prior value were rejected),
+   *   with the POC shift as a directional lean
+   * Returns { type, pocChange (percent), overlap (share of the current value area inside the previous one), description }
+   */
+  classifyValueMigration(previous, current) {
+    if (!previous.pocPrice || !current.pocPrice) return null;
+
+    const pocChange = (current.pocPrice - previous.pocPrice) / previous.pocPrice * 100;
+    const shared = Math.max(0, Math.min(previous.vahPrice, current.vahPrice) - Math.max(previous.valPrice, current.valPrice));
+    const width = current.vahPrice - current.valPrice;
+    const overlap = width > 0 ? Math.min(1, shared / width) : (current.pocPrice >= previous.valPrice && current.pocPrice <= previous.vahPrice ? 1 : 0);
+
+    if (current.valPrice >= previous.vahPrice) {
+      return { type: 'HIGHER', pocChange, overlap: 0, description: 'Value migrated higher - acceptance of higher prices' };
+    }
+    if (current.vahPrice <= previous.valPrice) {
+      return { type: 'LOWER', pocChange, overlap: 0, description: 'Value migrated lower - acceptance of lower prices' };
     }
 
-    return sessions.slice(-10); // Return last 10 sessions
+    const lean = pocChange > 0 ? 'POC higher' : pocChange < 0 ? 'POC lower' : 'POC unchanged';
+    return {
+      type: 'OVERLAPPING',
+      pocChange,
+      overlap,
+      description: `Overlapping value (${(overlap * 100).toFixed(0)}% shared, ${lean}) - balance, moves outside prior value rejected`
+    };
+  }
+
+  /**
+   * Developing POC/VAH/VAL: for every bar, the levels of its session from the session open up to that bar.
+   * Volume accumulates on the session's full price grid, so a session's last point equals its final profile.
+   * Bars before `since` are left out of the series (their volume still counts); bars outside
+   * every occurrence of a session anchor have no entry.
+   * Returns [{ timestamp, sessionStart, poc, vah, val }] oldest first.
+   */
+  calculateDevelopingProfile(candleData, anchor = 'day', { sessions = DEFAULT_TRADING_SESSIONS, since = 0, ...distribution } = {}) {
+    const series = [];
+    const distributor = this._createDistributor(candleData, distribution);
+
+    groupCandlesByAnchor(candleData, anchor, sessions)
+      .filter(group => group.end > since)
+      .forEach(group => {
+        const grid = this._createPriceLevels(group.candles);
+
+        group.candles.forEach(candle => {
+          this._addCandleVolume(grid, candle, distributor);
+
+          const timestamp = new Date(candle.timestamp).getTime();
+          if (timestamp < since) return;
+
+          const profile = this._summarizeLevels(grid.levels);
+          series.push({
+            timestamp,
+            sessionStart: group.start,
+            poc: profile.poc?.price ?? null,
+            vah: profile.vah?.price ?? null,
+            val: profile.val?.price ?? null
+          });
+        });
+      });
+
+    return series;
+  }
+
+  /**
+   * The same candles profiled with every distribution model, to compare where each puts the POC.
+   * Returns [{ model, label, profile, poc, vah, val, pocShift (percent vs uniform) }].
+   */
+  compareDistributionModels(candleData, { lowerTimeframeCandles = null, timeframe = null } = {}) {
+    const results = Object.entries(DISTRIBUTION_MODELS).map(([model, label]) => {
+      const profile = this._calculateVolumeProfile(candleData, { model, lowerTimeframeCandles, timeframe });
+      return { model, label, profile, poc: profile.poc?.price ?? null, vah: profile.vah?.price ?? null, val: profile.val?.price ?? null };
+    });
+
+    const uniformPoc = results.find(result => result.model === 'uniform').poc;
+    return results.map(result => ({
+      ...result,
+      pocShift: uniformPoc && result.poc !== null ? (result.poc - uniformPoc) / uniformPoc * 100 : null
+    }));
+  }
+
+  /**
+   * POC/VAH/VAL of the last finished session for each anchor, read from the level ledger so charts whose
+   * own candle window is too short to hold a whole session can carry them forward: the latest recorded
+   * session of each anchor, if it ended within maxAge.
+   */
+  getPriorLedgerLevels(ledgerLevels, anchors, { now = Date.now(), maxAge = 24 * 3600000 } = {}) {
+    return anchors
+      .map(anchor => {
+        const recorded = ledgerLevels.filter(level => level.anchor === anchor);
+        if (recorded.length === 0) return null;
+
+        const sessionStart = Math.max(...recorded.map(level => level.sessionStart));
+        const session = recorded.filter(level => level.sessionStart === sessionStart);
+        const priceOf = (kind) => session.find(level => level.kind === kind)?.price ?? null;
+        if (now - session[0].sessionEnd > maxAge || priceOf('POC') === null) return null;
+
+        return {
+          anchor,
+          label: session[0].label,
+          startTime: sessionStart,
+          endTime: session[0].sessionEnd,
+          poc: priceOf('POC'),
+          vah: priceOf('VAH'),
+          val: priceOf('VAL')
+        };
+      })
+      .filter(Boolean);
   }
 
   /**
@@ -92,33 +289,30 @@ class VolumeProfileService {
   /**
    * Get Key Price Levels for UI
    */
-  getKeyLevels(volumeProfile, currentPrice) {
+  getKeyLevels(volumeProfile, currentPrice, ledgerLevels = []) {
+    const nakedPocs = this.getNakedLevels(ledgerLevels, currentPrice, 'POC');
     const levels = {
       poc: volumeProfile.poc,
       vah: volumeProfile.vah,
       val: volumeProfile.val,
       hvns: [], // High Volume Nodes
       lvns: [], // Low Volume Nodes
+      lvnZones: [],
+      thinAirZone: null, // LVN zone the current price is inside
+      inThinAir: false,
       support: [],
-      resistance: []
+      resistance: [],
+      nakedPocAbove: nakedPocs.above, // Nearest untested prior-session POCs (from the level ledger)
+      nakedPocBelow: nakedPocs.below
     };
 
-    // Sort levels by volume
-    const sortedLevels = [...volumeProfile.levels].sort((a, b) => b.volume - a.volume);
-    
-    // Top 20% volume levels = HVNs
-    const hvnThreshold = sortedLevels[Math.floor(sortedLevels.length * 0.2)]?.volume || 0;
-    levels.hvns = volumeProfile.levels
-      .filter(level => level.volume >= hvnThreshold)
-      .sort((a, b) => b.volume - a.volume)
-      .slice(0, 5);
-
-    // Bottom 30% volume levels = LVNs (potential breakout zones)
-    const lvnThreshold = sortedLevels[Math.floor(sortedLevels.length * 0.7)]?.volume || 0;
-    levels.lvns = volumeProfile.levels
-      .filter(level => level.volume <= lvnThreshold && level.volume > 0)
-      .sort((a, b) => a.volume - b.volume)
-      .slice(0, 3);
+    // Peaks and troughs of the smoothed profile
+    const nodes = this.detectVolumeNodes(volumeProfile.levels, currentPrice);
+    levels.hvns = nodes.hvns.slice(0, 5);
+    levels.lvns = nodes.lvns;
+    levels.lvnZones = nodes.lvnZones; // Contiguous low-volume price ranges (potential breakout zones)
+    levels.thinAirZone = nodes.thinAirZone;
+    levels.inThinAir = nodes.inThinAir;
 
     // Support levels (HVNs below current price)
     levels.support = levels.hvns
@@ -135,14 +329,299 @@ class VolumeProfileService {
     return levels;
   }
 
+  /**
+   * Level ledger: the POC, VAH and VAL of every completed session, kept after the session
+   * scrolls out of the candle window. Each level is { id, anchor, label, kind: 'POC' | 'VAH' | 'VAL',
+   * price, sessionStart, sessionEnd, testedAt } - testedAt stays null (naked / untested) until a
+   * later bar trades through the price. Persisted per symbol to localStorage ('levelLedger').
+   * Only LEDGER_TIMEFRAME candles are recorded: other timeframes, or a missing one, leave the ledger as it is.
+   * Returns the symbol's ledger, oldest session first.
+   */
+  updateLevelLedger(symbol, candleData, { timeframe, anchors = null, sessions = DEFAULT_TRADING_SESSIONS, now = Date.now(), ...distribution } = {}) {
+    if (!candleData || candleData.length === 0 || timeframe !== LEDGER_TIMEFRAME) return this.getLevelLedger(symbol);
+
+    const ledger = [...this.getLevelLedger(symbol)];
+    const known = new Set(ledger.map(level => level.id));
+    let changed = false;
+
+    // Record sessions that finished inside the window (and that the window covers from the start)
+    (anchors || [...PERIOD_ANCHORS, ...sessions.map(session => session.id)]).forEach(anchor => {
+      this.calculateSessionProfiles(candleData, anchor, { sessions, limit: Infinity, now, timeframe, ...distribution })
+        .filter(session => session.isComplete && !session.isPartial && session.profile.poc)
+        .forEach(session => {
+          [['POC', session.pocPrice], ['VAH', session.vahPrice], ['VAL', session.valPrice]].forEach(([kind, price]) => {
+            const id = `${anchor}_${session.startTime}_${kind}`;
+            if (known.has(id) || !price) return;
+            known.add(id);
+            changed = true;
+            ledger.push({ id, anchor, label: session.label, kind, price, sessionStart: session.startTime, sessionEnd: session.endTime, testedAt: null });
+          });
+        });
+    });
+
+    // A level is tested once a bar after its session trades through it (gaps count via the previous close)
+    candleData.forEach((candle, index) => {
+      const timestamp = new Date(candle.timestamp).getTime();
+      const previousClose = index > 0 ? candleData[index - 1].close : candle.open;
+      const low = Math.min(candle.low, previousClose);
+      const high = Math.max(candle.high, previousClose);
+
+      ledger.forEach((level, levelIndex) => {
+        if (level.testedAt || timestamp < level.sessionEnd) return;
+        if (level.price >= low && level.price <= high) {
+          ledger[levelIndex] = { ...level, testedAt: timestamp };
+          changed = true;
+        }
+      });
+    });
+
+    if (!changed) return ledger;
+
+    const sorted = ledger
+      .filter(level => !level.testedAt || now - level.testedAt < LEDGER_TESTED_RETENTION_MS)
+      .sort((a, b) => a.sessionStart - b.sessionStart);
+    this.levelLedgers[symbol] = sorted.slice(-LEDGER_MAX_LEVELS);
+    this._saveLevelLedgers();
+    return this.levelLedgers[symbol];
+  }
+
+  getLevelLedger(symbol) {
+    return this.levelLedgers[symbol] || [];
+  }
+
+  clearLevelLedger(symbol) {
+    delete this.levelLedgers[symbol];
+    this._saveLevelLedgers();
+  }
+
+  /**
+   * Nearest untested ledger levels of one kind above and below a price: { above, below } (null when none)
+   */
+  getNakedLevels(ledgerLevels, currentPrice, kind = 'POC') {
+    const naked = ledgerLevels.filter(level => level.kind === kind && !level.testedAt);
+    const above = naked.filter(level => level.price > currentPrice).sort((a, b) => a.price - b.price)[0] || null;
+    const below = naked.filter(level => level.price < currentPrice).sort((a, b) => b.price - a.price)[0] || null;
+    return { above, below };
+  }
+
+  /**
+   * High and low volume nodes of a profile ({ price, volume } levels on an even price grid, any order;
+   * price levels missing from the grid count as zero volume).
+   * The volumes are smoothed with a moving average, then HVNs are the peaks and LVNs the troughs whose
+   * prominence - how far they rise above (or sink below) the higher of the surrounding bases - is at least
+   * `prominence` x the largest smoothed volume. Each LVN widens to the levels within half its prominence of
+   * the trough; overlapping ranges merge into lvnZones { low, high, price, volume, prominence }.
+   * thinAirZone is the zone containing currentPrice (inThinAir when there is one).
+   */
+  detectVolumeNodes(levels, currentPrice = null, options = {}) {
+    const settings = { ...this.nodeSettings, ...options };
+    const result = { hvns: [], lvns: [], lvnZones: [], thinAirZone: null, inThinAir: false };
+
+    const sorted = (levels || []).filter(level => Number.isFinite(level.price)).sort((a, b) => a.price - b.price);
+    if (sorted.length < 3) return result;
+
+    const grid = this._fillPriceGrid(sorted);
+    const smoothed = grid.map((_, i) => {
+      const window = grid.slice(Math.max(0, i - settings.smoothing), i + settings.smoothing + 1);
+      return window.reduce((sum, level) => sum + level.volume, 0) / window.length;
+    });
+    const maxVolume = Math.max(...smoothed);
+    if (maxVolume <= 0) return result;
+    const minProminence = settings.prominence * maxVolume;
+
+    const peaks = [];
+    const troughs = [];
+    smoothed.forEach((volume, i) => {
+      const left = i > 0 ? smoothed[i - 1] : -Infinity;
+      const right = i < smoothed.length - 1 ? smoothed[i + 1] : -Infinity;
+      if (volume > left && volume >= right) {
+        const bases = [this._prominenceBase(smoothed, i, -1, true), this._prominenceBase(smoothed, i, 1, true)].filter(base => base !== null);
+        const peakProminence = volume - Math.max(...bases);
+        if (peakProminence >= minProminence) peaks.push({ index: i, prominence: peakProminence });
+      }
+
+      // Troughs need volume on both sides - the thin tails of the profile are not gaps between nodes
+      if (i > 0 && i < smoothed.length - 1 && volume < left && volume <= right) {
+        const troughProminence = Math.min(this._prominenceBase(smoothed, i, -1, false), this._prominenceBase(smoothed, i, 1, false)) - volume;
+        if (troughProminence >= minProminence) troughs.push({ index: i, prominence: troughProminence });
+      }
+    });
+
+    const toNode = ({ index, prominence: nodeProminence }) => ({
+      ...grid[index],
+      smoothedVolume: smoothed[index],
+      prominence: nodeProminence / maxVolume
+    });
+
+    result.hvns = peaks.map(toNode).sort((a, b) => b.volume - a.volume);
+    result.lvns = troughs.map(toNode).sort((a, b) => b.prominence - a.prominence);
+
+    // Widen each trough to its half-prominence range, then merge overlapping ranges
+    const ranges = troughs.map(trough => {
+      const ceiling = smoothed[trough.index] + trough.prominence / 2;
+      let from = trough.index;
+      let to = trough.index;
+      while (from > 0 && smoothed[from - 1] <= ceiling) from--;
+      while (to < smoothed.length - 1 && smoothed[to + 1] <= ceiling) to++;
+      return { from, to, trough };
+    }).sort((a, b) => a.from - b.from);
+
+    ranges.forEach(range => {
+      const last = result.lvnZones[result.lvnZones.length - 1];
+      const zone = {
+        low: grid[range.from].price,
+        high: grid[range.to].priceEnd ?? grid[range.to].price + (grid[1].price - grid[0].price),
+        price: grid[range.trough.index].price,
+        volume: smoothed[range.trough.index],
+        prominence: range.trough.prominence / maxVolume,
+        to: range.to
+      };
+      if (last && range.from <= last.to + 1) {
+        const deeper = zone.volume < last.volume ? zone : last;
+        Object.assign(last, { high: Math.max(last.high, zone.high), to: Math.max(last.to, zone.to), price: deeper.price, volume: deeper.volume, prominence: Math.max(last.prominence, zone.prominence) });
+      } else {
+        result.lvnZones.push(zone);
+      }
+    });
+    result.lvnZones = result.lvnZones.map(({ to, ...zone }) => zone);
+
+    if (currentPrice !== null) {
+      result.thinAirZone = result.lvnZones.find(zone => currentPrice >= zone.low && currentPrice <= zone.high) || null;
+      result.inThinAir = Boolean(result.thinAirZone);
+    }
+    return result;
+  }
+
   /**
    * Private Methods
    */
-  _calculateVolumeProfile(candleData) {
+
+  // Sorted levels with the price levels missing between them filled in at zero volume
+  _fillPriceGrid(sorted) {
+    const step = sorted[0].priceEnd !== undefined
+      ? sorted[0].priceEnd - sorted[0].price
+      : Math.min(...sorted.slice(1).map((level, i) => level.price - sorted[i].price).filter(diff => diff > 0));
+    if (!Number.isFinite(step) || step <= 0) return sorted;
+
+    const grid = [];
+    sorted.forEach(level => {
+      const previous = grid[grid.length - 1];
+      if (previous) {
+        for (let price = previous.price + step; price < level.price - step / 2; price += step) {
+          grid.push({ price, priceEnd: price + step, volume: 0 });
+        }
+      }
+      grid.push(level);
+    });
+    return grid;
+  }
+
+  // Walk from a node towards one side until the series passes it (higher for a peak, lower for a trough);
+  // returns the lowest (peak) or highest (trough) value on the way, or null when there is nothing on that side
+  _prominenceBase(series, index, direction, isPeak) {
+    let base = null;
+    for (let i = index + direction; i >= 0 && i < series.length; i += direction) {
+      if (isPeak ? series[i] > series[index] : series[i] < series[index]) break;
+      base = base === null ? series[i] : isPeak ? Math.min(base, series[i]) : Math.max(base, series[i]);
+    }
+    return base;
+  }
+
+  _loadLevelLedgers() {
+    if (typeof localStorage === 'undefined') return {};
+
+    try {
+      const stored = localStorage.getItem(LEDGER_STORAGE_KEY);
+      return stored ? JSON.parse(stored) : {};
+    } catch (error) {
+      console.error('Error loading level ledger:', error);
+      return {};
+    }
+  }
+
+  _loadNodeSettings() {
+    if (typeof localStorage === 'undefined') return DEFAULT_NODE_SETTINGS;
+
+    try {
+      const stored = localStorage.getItem(NODE_SETTINGS_STORAGE_KEY);
+      return stored ? { ...DEFAULT_NODE_SETTINGS, ...JSON.parse(stored) } : DEFAULT_NODE_SETTINGS;
+    } catch (error) {
+      console.error('Error loading volume node settings:', error);
+      return DEFAULT_NODE_SETTINGS;
+    }
+  }
+
+  _loadDistributionModel() {
+    if (typeof localStorage === 'undefined') return 'uniform';
+
+    try {
+      const stored = localStorage.getItem(DISTRIBUTION_STORAGE_KEY);
+      return DISTRIBUTION_MODELS[stored] ? stored : 'uniform';
+    } catch (error) {
+      console.error('Error loading volume distribution model:', error);
+      return 'uniform';
+    }
+  }
+
+  _saveLevelLedgers() {
+    if (typeof localStorage === 'undefined') return;
+
+    try {
+      localStorage.setItem(LEDGER_STORAGE_KEY, JSON.stringify(this.levelLedgers));
+    } catch (error) {
+      console.error('Error saving level ledger:', error);
+    }
+  }
+
+  /**
+   * options: { model, lowerTimeframeCandles, timeframe } or a prepared { distributor }.
+   * lowerTimeframeCandles (oldest first) replace each candle's own shape with the smaller
+   * bars inside it when the model is 'lowerTimeframe'; timeframe (the candles' own, e.g. '15m')
+   * sets how far each candle reaches, so it is required for that model.
+   */
+  _calculateVolumeProfile(candleData, options = {}) {
     if (!candleData || candleData.length === 0) {
       return { levels: [], poc: null, vah: null, val: null, totalVolume: 0 };
     }
 
+    const grid = this._createPriceLevels(candleData);
+    const distributor = options.distributor || this._createDistributor(candleData, options);
+
+    // Distribute volume across price levels
+    candleData.forEach(candle => this._addCandleVolume(grid, candle, distributor));
+
+    return this._summarizeLevels(grid.levels);
+  }
+
+  // Resolve the model once per calculation; for 'lowerTimeframe' index the smaller bars by time
+  // (a candle spans its timeframe, not the gap to the next bar, which is wider wherever bars are missing)
+  _createDistributor(candleData, { model = this.distributionModel, lowerTimeframeCandles = null, timeframe = null } = {}) {
+    if (model !== 'lowerTimeframe') return { model };
+    if (!lowerTimeframeCandles || lowerTimeframeCandles.length === 0 || !TIMEFRAME_MINUTES[timeframe]) {
+      return { model: LOWER_TIMEFRAME_FALLBACK };
+    }
+
+    const barMs = TIMEFRAME_MINUTES[timeframe] * 60000;
+    const lower = lowerTimeframeCandles.map(candle => ({ ...candle, timestamp: new Date(candle.timestamp).getTime() }));
+    return { model, barMs, lower };
+  }
+
+  // Lower-timeframe bars inside [start, end), by binary search on the sorted series
+  _childCandles(lower, start, end) {
+    let lo = 0;
+    let hi = lower.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (lower[mid].timestamp < start) lo = mid + 1; else hi = mid;
+    }
+
+    const children = [];
+    for (let i = lo; i < lower.length && lower[i].timestamp < end; i++) children.push(lower[i]);
+    return children;
+  }
+
+  // Empty price levels spanning the candles' range (granularity adapts to the range)
+  _createPriceLevels(candleData) {
     const priceRange = {
       min: Math.min(...candleData.map(d => d.low || d.price)),
       max: Math.max(...candleData.map(d => d.high || d.price))
@@ -161,28 +640,49 @@ class VolumeProfileService {
       timeSpent: 0
     }));
 
-    // Distribute volume across price levels
-    candleData.forEach((candle, idx) => {
-      const candleVolume = candle.volume || 1000000; // Default volume if missing
-      const ohlc = {
-        open: candle.open || candle.price,
-        high: candle.high || candle.price,
-        low: candle.low || candle.price,
-        close: candle.close || candle.price
-      };
+    return { levels, levelSize, minPrice: priceRange.min };
+  }
 
-      // Volume distribution based on OHLC
-      const volumeDistribution = this._distributeVolumeOHLC(ohlc, candleVolume, levels, levelSize, priceRange.min);
-      
-      volumeDistribution.forEach((vol, levelIdx) => {
-        if (levelIdx < levels.length) {
-          levels[levelIdx].volume += vol;
-          levels[levelIdx].trades += vol > 0 ? 1 : 0;
-          levels[levelIdx].timeSpent += 1;
-        }
+  _addCandleVolume({ levels, levelSize, minPrice }, candle, distributor = { model: this.distributionModel }) {
+    const candleVolume = candle.volume || 1000000; // Default volume if missing
+    const ohlc = {
+      open: candle.open || candle.price,
+      high: candle.high || candle.price,
+      low: candle.low || candle.price,
+      close: candle.close || candle.price
+    };
+
+    let volumeDistribution;
+    const children = distributor.lower
+      ? this._childCandles(distributor.lower, new Date(candle.timestamp).getTime(), new Date(candle.timestamp).getTime() + distributor.barMs)
+      : [];
+
+    if (children.length > 0) {
+      // Each smaller bar spread uniformly over its own range, scaled so the candle keeps its volume
+      const childVolume = children.reduce((sum, child) => sum + (child.volume || 0), 0);
+      volumeDistribution = new Array(levels.length).fill(0);
+      children.forEach(child => {
+        const share = childVolume > 0 ? (child.volume || 0) / childVolume : 1 / children.length;
+        this._distributeVolumeOHLC(child, candleVolume * share, levels, levelSize, minPrice, 'uniform')
+          .forEach((vol, levelIdx) => { volumeDistribution[levelIdx] += vol; });
       });
+    } else {
+      // Volume distribution based on OHLC
+      const model = distributor.model === 'lowerTimeframe' ? LOWER_TIMEFRAME_FALLBACK : distributor.model;
+      volumeDistribution = this._distributeVolumeOHLC(ohlc, candleVolume, levels, levelSize, minPrice, model);
+    }
+    
+    volumeDistribution.forEach((vol, levelIdx) => {
+      if (levelIdx < levels.length) {
+        levels[levelIdx].volume += vol;
+        levels[levelIdx].trades += vol > 0 ? 1 : 0;
+        levels[levelIdx].timeSpent += 1;
+      }
     });
+  }
 
+  // POC and value area of filled price levels
+  _summarizeLevels(levels) {
     // Filter significant levels
     const totalVolume = levels.reduce((sum, level) => sum + level.volume, 0);
     const significantLevels = levels.filter(level => level.volume > totalVolume * 0.001); // 0.1% threshold
@@ -205,25 +705,63 @@ class VolumeProfileService {
     };
   }
 
-  _distributeVolumeOHLC(ohlc, volume, levels, levelSize, minPrice) {
+  _distributeVolumeOHLC(ohlc, volume, levels, levelSize, minPrice, model = 'uniform') {
     const distribution = new Array(levels.length).fill(0);
     
-    // Simple uniform distribution across OHLC range
     const low = ohlc.low;
     const high = ohlc.high;
     const startLevel = Math.floor((low - minPrice) / levelSize);
     const endLevel = Math.floor((high - minPrice) / levelSize);
+    const first = Math.max(0, startLevel);
+    const last = Math.min(levels.length - 1, endLevel);
+    
+    if (model === 'uniform') {
+      // Simple uniform distribution across OHLC range
+      const levelsInRange = Math.max(1, endLevel - startLevel + 1);
+      const volumePerLevel = volume / levelsInRange;
+      
+      for (let i = first; i <= last; i++) {
+        distribution[i] = volumePerLevel;
+      }
+      
+      return distribution;
+    }
     
-    const levelsInRange = Math.max(1, endLevel - startLevel + 1);
-    const volumePerLevel = volume / levelsInRange;
+    // Shaped models weight each level by its midpoint price, then normalize to the candle's volume
+    const weightAt = model === 'triangular'
+      ? this._triangularWeight(ohlc, levelSize)
+      : this._tpoWeight(ohlc, levelSize);
     
-    for (let i = Math.max(0, startLevel); i <= Math.min(levels.length - 1, endLevel); i++) {
-      distribution[i] = volumePerLevel;
+    let totalWeight = 0;
+    for (let i = first; i <= last; i++) {
+      distribution[i] = weightAt(minPrice + (i + 0.5) * levelSize);
+      totalWeight += distribution[i];
+    }
+    
+    if (totalWeight <= 0) return this._distributeVolumeOHLC(ohlc, volume, levels, levelSize, minPrice, 'uniform');
+    
+    for (let i = first; i <= last; i++) {
+      distribution[i] = distribution[i] / totalWeight * volume;
     }
     
     return distribution;
   }
 
+  // Peaks at the close and falls off linearly towards the far end of the bar
+  _triangularWeight({ high, low, close }, levelSize) {
+    const span = Math.max(close - low, high - close) + levelSize;
+    return price => Math.max(0, 1 - Math.abs(price - close) / span);
+  }
+
+  // Time-at-price approximation: a flat base plus bumps at the open and close, where bars spend most time
+  _tpoWeight({ open, high, low, close }, levelSize) {
+    const halfWidth = Math.max(levelSize, (high - low) * 0.25);
+    const bump = center => price => Math.max(0, 1 - Math.abs(price - center) / halfWidth);
+    const nearOpen = bump(open);
+    const nearClose = bump(close);
+    return price => 1 + 2 * nearOpen(price) + 2 * nearClose(price);
+  }
+
   _calculateValueArea(levels, targetVolume, poc) {
     if (!poc || levels.length === 0) return { high: null, low: null };
 
@@ -402,14 +940,28 @@ class VolumeProfileService {
   _addVolumeGapSignals(signals, volumeProfile, currentPrice) {
     const levels = this.getKeyLevels(volumeProfile, currentPrice);
 
-    levels.lvns.forEach(lvn => {
-      const distance = Math.abs(currentPrice - lvn.price) / currentPrice * 100;
+    // Inside an LVN zone little traded, so price tends to move through it quickly
+    if (levels.thinAirZone) {
+      const { low, high } = levels.thinAirZone;
+      signals.alerts.push({
+        type: 'THIN_AIR',
+        level: levels.thinAirZone.price,
+        zone: { low, high },
+        strength: 'HIGH',
+        message: `Price in thin air: low volume zone $${low.toFixed(2)} - $${high.toFixed(2)} - expect a fast move to the next HVN`
+      });
+    }
+
+    levels.lvnZones.filter(zone => zone !== levels.thinAirZone).forEach(zone => {
+      const edge = currentPrice < zone.low ? zone.low : zone.high;
+      const distance = Math.abs(currentPrice - edge) / currentPrice * 100;
       if (distance < 2) {
         signals.alerts.push({
           type: 'VOLUME_GAP',
-          level: lvn.price,
+          level: edge,
+          zone: { low: zone.low, high: zone.high },
           strength: 'MEDIUM',
-          message: `Low volume area at $${lvn.price.toFixed(2)} - potential breakout zone`
+          message: `Low volume zone $${zone.low.toFixed(2)} - $${zone.high.toFixed(2)} - potential breakout zone`
         });
       }
     });
@@ -467,7 +1019,7 @@ class VolumeProfileService {
   /**
    * Real-time data integration method
    */
-  async updateFromLiveData(liveData) {
+  async updateFromLiveData(liveData, symbol = 'ETHUSDT', timeframe = '1m') {
     // This will integrate with your existing live data service
     // Returns updated volume profile and signals
     try {
@@ -475,13 +1027,18 @@ class VolumeProfileService {
       const currentPrice = liveData.currentPrice;
       
       const vpvr = this.calculateVPVR(candleData);
-      const sessions = this.calculateSessionProfiles(candleData);
+      const sessions = this.calculateSessionProfiles(candleData, 'day', { timeframe });
+      const tradingSessions = loadTradingSessions();
+      // The live window is a few hours of 1m bars, so prior sessions come from the 15m level ledger
+      const ledger = this.getLevelLedger(symbol);
+      const priorSessionLevels = this.getPriorLedgerLevels(ledger, tradingSessions.map(session => session.id));
       const signals = this.generateLevelSignals(vpvr, currentPrice, liveData.drPaulSignals);
-      const keyLevels = this.getKeyLevels(vpvr, currentPrice);
+      const keyLevels = this.getKeyLevels(vpvr, currentPrice, ledger);
 
       return {
         vpvr,
         sessions,
+        priorSessionLevels,
         signals,
         keyLevels,
         timestamp: Date.now()
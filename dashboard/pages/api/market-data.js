@@ -0,0 +1,90 @@
+// /dashboard/pages/api/market-data.js
+// Server-side market snapshot: price, 24h stats, Dr. Paul score and volume profile levels
+//
+// GET /api/market-data?symbol=ETHUSDT&timeframe=15m
+// Computed from the same services the dashboards use and cached briefly per symbol/timeframe,
+// so AlertService and external scripts read one source of truth.
+
+import cryptoDataService from '../../lib/cryptoDataService';
+import { buildMarketSnapshot } from '../../lib/marketSnapshot';
+import { TIMEFRAME_MINUTES } from '../../lib/resampler';
+import { SYMBOLS, isKnownSymbol } from '../../lib/symbolRegistry';
+
+const CACHE_TTL = 15000; // 15 seconds
+const snapshotCache = new Map();
+const pendingSnapshots = new Map();
+
+// Fetch candles and ticker, then build the snapshot (see lib/marketSnapshot.js)
+async function buildSnapshot(symbol, timeframe) {
+  const { candles, provider, quality } = await cryptoDataService.fetchCandles(symbol, timeframe);
+  const latestCandle = candles[candles.length - 1];
+
+  let ticker;
+  try {
+    ticker = await cryptoDataService.fetchTickerWithFailover(symbol);
+  } catch (error) {
+    console.warn(`⚠️ No ticker for ${symbol}, using last candle: ${error.message}`);
+    ticker = {
+      price: latestCandle.close,
+      change: cryptoDataService.calculateDailyChange(candles),
+      volume: null
+    };
+  }
+
+  return buildMarketSnapshot({
+    symbol,
+    timeframe,
+    candles,
+    ticker,
+    source: { provider, quality, candles: candles.length }
+  });
+}
+
+// Cached snapshot; concurrent requests for the same key share one computation
+async function getSnapshot(symbol, timeframe) {
+  const key = `${symbol}_${timeframe}`;
+
+  const cached = snapshotCache.get(key);
+  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+    return { ...cached.snapshot, cached: true };
+  }
+
+  if (!pendingSnapshots.has(key)) {
+    const pending = buildSnapshot(symbol, timeframe)
+      .then(snapshot => {
+        snapshotCache.set(key, { snapshot, timestamp: Date.now() });
+        return snapshot;
+      })
+      .finally(() => pendingSnapshots.delete(key));
+    pendingSnapshots.set(key, pending);
+  }
+
+  return { ...(await pendingSnapshots.get(key)), cached: false };
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const symbol = String(req.query.symbol || 'ETHUSDT').toUpperCase();
+  const timeframe = String(req.query.timeframe || '15m');
+
+  if (!isKnownSymbol(symbol)) {
+    return res.status(400).json({ error: `Unknown symbol: ${symbol}`, supported: Object.keys(SYMBOLS) });
+  }
+
+  if (!TIMEFRAME_MINUTES[timeframe]) {
+    return res.status(400).json({ error: `Unsupported timeframe: ${timeframe}`, supported: Object.keys(TIMEFRAME_MINUTES) });
+  }
+
+  try {
+    const snapshot = await getSnapshot(symbol, timeframe);
+    res.setHeader('Cache-Control', `public, max-age=${CACHE_TTL / 1000}`);
+    return res.status(200).json(snapshot);
+  } catch (error) {
+    console.error(`❌ Market data snapshot failed for ${symbol} ${timeframe}:`, error.message);
+    return res.status(502).json({ error: error.message, symbol, timeframe });
+  }
+}
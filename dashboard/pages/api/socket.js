@@ -0,0 +1,28 @@
+// /dashboard/pages/api/socket.js
+// Boots the Socket.IO hub on the Next.js HTTP server (first request wins, later ones reuse it)
+//
+// Clients call GET /api/socket once, then connect with io({ path: '/api/socketio' }) - see lib/socketClient.js.
+
+import { Server } from 'socket.io';
+import socketHub from '../../lib/socketHub';
+
+export const config = {
+  api: {
+    bodyParser: false
+  }
+};
+
+export default function handler(req, res) {
+  const server = res.socket.server;
+
+  if (!server.io) {
+    console.log('🚀 Starting Socket.IO hub');
+    server.io = new Server(server, {
+      path: '/api/socketio',
+      addTrailingSlash: false
+    });
+  }
+
+  socketHub.attach(server.io);
+  res.status(200).json({ status: 'ok', channels: socketHub.getStats() });
+}
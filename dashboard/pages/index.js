@@ -4,11 +4,20 @@ import EnhancedDrPaulDashboard from '../components/EnhancedDrPaulDashboard';
 import EnhancedDrPaulWithLevels from '../components/EnhancedDrPaulWithLevels';
 import InteractiveBacktester from '../components/InteractiveBacktester';
 import ScalpingTracker from '../components/ScalpingTracker';
+import ScalpingScanner from '../components/ScalpingScanner';
 import SmartAlertSystem from '../components/SmartAlertSystem';
-import { BarChart3, TestTube, Activity, Brain, Zap, Volume2, TrendingUp, Layers, BellRing } from 'lucide-react';
+import ScoreCalibration from '../components/ScoreCalibration';
+import { BarChart3, TestTube, Activity, Brain, Zap, Volume2, TrendingUp, Layers, BellRing, Radar, Gauge } from 'lucide-react';
 
 export default function Home() {
   const [activeTab, setActiveTab] = useState('levels');
+  const [scalpingPair, setScalpingPair] = useState({ symbol: 'ETHUSDT', timeframe: '1m' });
+
+  // Scanner click-through: open the tracker on the chosen pair
+  const openScalpingPair = (symbol, timeframe) => {
+    setScalpingPair({ symbol, timeframe });
+    setActiveTab('scalping');
+  };
 
   const tabs = [
     {
@@ -49,6 +58,20 @@ export default function Home() {
       name: 'Scalping Tracker',
       icon: Zap,
       description: 'Fast scalping signals with 9 EMA, 21 MA & 200 MA crossovers (30m/1h timeframes added)'
+    },
+    {
+      id: 'scanner',
+      name: 'Scalping Scanner',
+      icon: Radar,
+      description: 'Every symbol across selected timeframes ranked by latest crossover, distance from the 200 MA and Dr. Paul score',
+      badge: 'NEW'
+    },
+    {
+      id: 'calibration',
+      name: 'Score Calibration',
+      icon: Gauge,
+      description: 'Replay stored candles through the Dr. Paul score • Forward returns and target/stop hit rate per score bucket',
+      badge: 'NEW'
     }
   ];
 
@@ -273,7 +296,48 @@ export default function Home() {
                 </div>
               </div>
               
-              <ScalpingTracker />
+              <ScalpingTracker
+                key={`${scalpingPair.symbol}_${scalpingPair.timeframe}`}
+                initialSymbol={scalpingPair.symbol}
+                initialTimeframe={scalpingPair.timeframe}
+              />
+            </div>
+          )}
+          
+          {activeTab === 'scanner' && (
+            <div className="space-y-6">
+              <div className="bg-gradient-to-r from-yellow-600 to-orange-600 rounded-lg p-6 text-white">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <h2 className="text-2xl font-bold mb-2">Multi-Symbol Scalping Scanner</h2>
+                    <p className="text-yellow-100">
+                      Watches every supported symbol at once so setups surface without flipping the tracker dropdown. Click a row for the detailed chart.
+                    </p>
+                  </div>
+                  <Radar className="w-12 h-12 text-yellow-200" />
+                </div>
+              </div>
+              
+              <ScalpingScanner onSelect={openScalpingPair} />
+            </div>
+          )}
+          
+          {activeTab === 'calibration' && (
+            <div className="space-y-6">
+              <div className="bg-gradient-to-r from-blue-600 to-cyan-600 rounded-lg p-6 text-white">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <h2 className="text-2xl font-bold mb-2">Dr. Paul Score Calibration</h2>
+                    <p className="text-blue-100">
+                      Does a higher score lead to better trades? Replays stored history, groups bars by score and compares what price did next,
+                      so the excellent / good alert thresholds can be tuned from data.
+                    </p>
+                  </div>
+                  <Gauge className="w-12 h-12 text-blue-200" />
+                </div>
+              </div>
+              
+              <ScoreCalibration />
             </div>
           )}
         </div>
@@ -0,0 +1,68 @@
+// /dashboard/scripts/check-indicators.mjs
+// Feeds IndicatorSeries the way the live views do (forming-bar revisions, then a new bar on a feed
+// capped at CAP bars) and checks every update against a batch run over the same bars.
+// Run with: npm run check:indicators
+
+import { IndicatorSeries, computeIndicators } from '../lib/indicators.js';
+
+const CAP = 250;
+const SLIDES = 150;
+const SPECS = {
+  sma20: { type: 'sma', period: 20 },
+  wma10: { type: 'wma', period: 10 },
+  ema9: { type: 'ema', period: 9 },
+  rsi14: { type: 'rsi' },
+  atr14: { type: 'atr' },
+  macd: { type: 'macd' },
+  bollinger: { type: 'bollinger' },
+  vwap: { type: 'vwap' },
+  obv: { type: 'obv' }
+};
+
+// Deterministic 1m candles
+let seed = 42;
+const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+const makeBar = (index, close) => {
+  const open = close + (random() - 0.5) * 4;
+  return {
+    timestamp: Date.UTC(2024, 0, 1) + index * 60000,
+    open,
+    high: Math.max(open, close) + random() * 3,
+    low: Math.min(open, close) - random() * 3,
+    close,
+    volume: 100 + random() * 900
+  };
+};
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const series = new IndicatorSeries(SPECS);
+const feed = [];
+let price = 2000;
+let failures = 0;
+
+for (let index = 0; index < CAP + SLIDES; index++) {
+  price += (random() - 0.5) * 10;
+  feed.push(makeBar(index, price));
+  if (feed.length > CAP) feed.shift();
+
+  // Two revisions of the forming bar before the next one opens
+  for (let tick = 0; tick < 3; tick++) {
+    if (tick > 0) feed[feed.length - 1] = { ...feed[feed.length - 1], close: feed[feed.length - 1].close + (random() - 0.5) * 2, volume: feed[feed.length - 1].volume + 10 };
+
+    const incremental = series.update([...feed]);
+    const batch = computeIndicators(feed, SPECS);
+    Object.keys(SPECS).forEach(name => {
+      if (!same(incremental[name], batch[name])) {
+        failures++;
+        if (failures <= 5) console.error(`❌ ${name} differs from batch after bar ${index} (tick ${tick}, mode ${series.mode})`);
+      }
+    });
+  }
+}
+
+if (failures > 0) {
+  console.error(`❌ ${failures} mismatches between incremental and batch indicators`);
+  process.exit(1);
+}
+console.log(`✅ Incremental indicators match batch over ${CAP} bars + ${SLIDES} slides`);